@@ -0,0 +1,170 @@
+/**
+ * Anonymizer Check
+ * Round-trips a data set through the DICOM anonymizer, once as implicit and
+ * once as explicit VR little endian, and fails if any planted identifying
+ * value survives or an attribute needed for display is lost.
+ *
+ * Usage: node scripts/check-anonymizer.js
+ */
+
+const assert = require('assert');
+const dicomParser = require('dicom-parser');
+
+const IMPLICIT_VR_LITTLE_ENDIAN = '1.2.840.10008.1.2';
+const EXPLICIT_VR_LITTLE_ENDIAN = '1.2.840.10008.1.2.1';
+const CT_IMAGE_STORAGE = '1.2.840.10008.5.1.4.1.1.2';
+const LONG_LENGTH_VRS = ['OB', 'OW', 'SQ', 'UC', 'UN', 'UT'];
+
+const SOP_INSTANCE_UID = '1.2.826.0.1.3680043.2.1125.1.1';
+
+// Identifying attributes from the profile table, several of them missing from the VR dictionary
+const IDENTIFYING = [
+    ['00080018', 'UI', SOP_INSTANCE_UID],
+    ['0008009C', 'PN', 'Consulting^Doctor'],
+    ['00100010', 'PN', 'Doe^John'],
+    ['00100020', 'LO', 'PID-12345'],
+    ['00102297', 'PN', 'Responsible^Person'],
+    ['0020000D', 'UI', '1.2.826.0.1.3680043.2.1125.1.2'],
+    ['0020000E', 'UI', '1.2.826.0.1.3680043.2.1125.1.3'],
+    ['00200200', 'UI', '1.2.826.0.1.3680043.2.1125.1.4'],
+    ['00380050', 'LO', 'Wheelchair for J Doe'],
+    ['00400006', 'PN', 'Scheduled^Physician'],
+    ['00400009', 'SH', 'SPS-778899'],
+    ['00400241', 'AE', 'PERFORMED_AE'],
+    ['00400242', 'SH', 'Performed Station'],
+    ['00400243', 'SH', 'Performed Room 7'],
+    ['00402008', 'PN', 'Order^Enterer'],
+    ['00189424', 'LT', 'Protocol adjusted for J Doe']
+];
+
+// Free text outside the profile table, caught only by the rules for unlisted attributes
+const UNLISTED = [
+    ['00102298', 'CS', 'MOTHER'],
+    ['00181401', 'LO', 'DOE-PROCESSING'],
+    ['00280051', 'CS', 'DOE_FLAG'],
+    ['00321066', 'UT', 'Follow-up for John Doe after the fall']
+];
+
+const INSTITUTION_CODE = 'HOSPITAL-CODE-42';
+const REPORT_TEXT = 'Findings discussed with Mrs Doe';
+
+// Attributes the viewer needs, which must come through unchanged
+const KEPT = [
+    ['00080060', 'CS', 'CT'],
+    ['00080070', 'LO', 'ACME'],
+    ['00280004', 'CS', 'MONOCHROME2']
+];
+
+function pad(bytes, vr) {
+    return bytes.length % 2 === 0 ? bytes : Buffer.concat([bytes, Buffer.from([vr === 'UI' ? 0x00 : 0x20])]);
+}
+
+function uint16(value) {
+    const buffer = Buffer.alloc(2);
+    buffer.writeUInt16LE(value, 0);
+    return buffer;
+}
+
+/**
+ * @param {string} tag - GGGGEEEE
+ * @param {string} vr - Written only for explicit VR
+ * @param {Buffer} value - Encoded value, even length
+ * @param {boolean} explicit - Explicit VR little endian
+ */
+function encodeElement(tag, vr, value, explicit) {
+    const longLength = !explicit || LONG_LENGTH_VRS.includes(vr);
+    const header = Buffer.alloc(explicit && longLength ? 12 : 8);
+    header.writeUInt16LE(parseInt(tag.slice(0, 4), 16), 0);
+    header.writeUInt16LE(parseInt(tag.slice(4), 16), 2);
+
+    if (!explicit) {
+        header.writeUInt32LE(value.length, 4);
+    } else {
+        header.write(vr, 4, 'latin1');
+        if (longLength) {
+            header.writeUInt32LE(value.length, 8);
+        } else {
+            header.writeUInt16LE(value.length, 6);
+        }
+    }
+    return Buffer.concat([header, value]);
+}
+
+function encodeText(tag, vr, text, explicit) {
+    return encodeElement(tag, vr, pad(Buffer.from(text, 'latin1'), vr), explicit);
+}
+
+function encodeSequence(tag, itemElements, explicit) {
+    const content = Buffer.concat(itemElements);
+    const item = Buffer.alloc(8);
+    item.writeUInt16LE(0xfffe, 0);
+    item.writeUInt16LE(0xe000, 2);
+    item.writeUInt32LE(content.length, 4);
+    return encodeElement(tag, 'SQ', Buffer.concat([item, content]), explicit);
+}
+
+function buildFile(transferSyntaxUID) {
+    const explicit = transferSyntaxUID !== IMPLICIT_VR_LITTLE_ENDIAN;
+
+    const meta = Buffer.concat([
+        encodeText('00020002', 'UI', CT_IMAGE_STORAGE, true),
+        encodeText('00020003', 'UI', SOP_INSTANCE_UID, true),
+        encodeText('00020010', 'UI', transferSyntaxUID, true)
+    ]);
+    const groupLength = Buffer.alloc(4);
+    groupLength.writeUInt32LE(meta.length, 0);
+
+    const elements = [
+        ['00080016', encodeText('00080016', 'UI', CT_IMAGE_STORAGE, explicit)],
+        ['00080082', encodeSequence('00080082', [encodeText('00080100', 'SH', INSTITUTION_CODE, explicit)], explicit)],
+        ['00280010', encodeElement('00280010', 'US', uint16(2), explicit)],
+        ['00280011', encodeElement('00280011', 'US', uint16(2), explicit)],
+        ['00280100', encodeElement('00280100', 'US', uint16(16), explicit)],
+        ['0040A730', encodeSequence('0040A730', [encodeText('0040A160', 'UT', REPORT_TEXT, explicit)], explicit)],
+        ['7FE00010', encodeElement('7FE00010', 'OW', Buffer.alloc(8), explicit)],
+        ...[...IDENTIFYING, ...UNLISTED, ...KEPT].map(([tag, vr, text]) => [tag, encodeText(tag, vr, text, explicit)])
+    ].sort(([a], [b]) => a.localeCompare(b));
+
+    return Buffer.concat([
+        Buffer.alloc(128),
+        Buffer.from('DICM', 'latin1'),
+        encodeElement('00020000', 'UL', groupLength, true),
+        meta,
+        ...elements.map(([, encoded]) => encoded)
+    ]);
+}
+
+function check(DicomAnonymizer, transferSyntaxUID) {
+    const source = dicomParser.parseDicom(new Uint8Array(buildFile(transferSyntaxUID)));
+    const output = new DicomAnonymizer().anonymize(source);
+    const result = dicomParser.parseDicom(output);
+    const outputText = Buffer.from(output).toString('latin1');
+    const label = transferSyntaxUID === IMPLICIT_VR_LITTLE_ENDIAN ? 'implicit VR' : 'explicit VR';
+
+    assert.strictEqual(result.string('x00020010'), transferSyntaxUID, `${label}: transfer syntax changed`);
+    assert.strictEqual(result.uint16('x00280010'), 2, `${label}: image attribute was not kept`);
+    KEPT.forEach(([tag, , text]) => {
+        assert.strictEqual(result.string(`x${tag.toLowerCase()}`), text, `${label}: ${tag} was not kept`);
+    });
+
+    ['00080082', '0040A730', ...UNLISTED.map(([tag]) => tag)].forEach(tag => {
+        assert.ok(!result.elements[`x${tag.toLowerCase()}`], `${label}: (${tag.slice(0, 4)},${tag.slice(4)}) survived`);
+    });
+    [...IDENTIFYING, ...UNLISTED].map(([, , text]) => text).concat(INSTITUTION_CODE, REPORT_TEXT).forEach(text => {
+        assert.ok(!outputText.includes(text), `${label}: "${text}" survived`);
+    });
+}
+
+async function main() {
+    const { default: DicomAnonymizer } = await import('../src/dicom-anonymizer.js');
+
+    check(DicomAnonymizer, IMPLICIT_VR_LITTLE_ENDIAN);
+    check(DicomAnonymizer, EXPLICIT_VR_LITTLE_ENDIAN);
+
+    console.log('Anonymizer check passed');
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+});
@@ -0,0 +1,269 @@
+/**
+ * DICOMweb Mock Server
+ * Minimal QIDO-RS / WADO-RS stand-in for local development. Serves the
+ * DICOM files of a folder under /dicom-web, like Orthanc's DICOMweb plugin.
+ *
+ * Usage: node scripts/dicomweb-mock-server.js <folder> [port]
+ * Set DICOMWEB_AUTH (e.g. "Bearer secret") to require an Authorization header.
+ * Listens on 127.0.0.1 only; set DICOMWEB_HOST to expose the files to other machines.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const dicomParser = require('dicom-parser');
+
+const ROOT = '/dicom-web';
+// Patient files stay on this machine unless another interface is asked for
+const DEFAULT_HOST = '127.0.0.1';
+const EXPLICIT_VR_LITTLE_ENDIAN = '1.2.840.10008.1.2.1';
+const UNCOMPRESSED_SYNTAXES = ['1.2.840.10008.1.2', '1.2.840.10008.1.2.1'];
+
+// Attributes included in the DICOM JSON responses, with their VR
+const ATTRIBUTES = {
+    '00080016': 'UI', '00080018': 'UI', '00080020': 'DA', '00080050': 'SH',
+    '00080060': 'CS', '00081030': 'LO', '0008103E': 'LO',
+    '00100010': 'PN', '00100020': 'LO',
+    '00180050': 'DS', '00180088': 'DS',
+    '0020000D': 'UI', '0020000E': 'UI', '00200011': 'IS', '00200013': 'IS',
+    '00200032': 'DS', '00200037': 'DS', '00200052': 'UI',
+    '00280002': 'US', '00280004': 'CS', '00280008': 'IS', '00280010': 'US',
+    '00280011': 'US', '00280030': 'DS', '00280100': 'US', '00280101': 'US',
+    '00280102': 'US', '00280103': 'US', '00281050': 'DS', '00281051': 'DS',
+    '00281052': 'DS', '00281053': 'DS'
+};
+const STUDY_ATTRIBUTES = ['00080020', '00080050', '00081030', '00100010', '00100020', '0020000D'];
+const SERIES_ATTRIBUTES = ['00080060', '0008103E', '0020000D', '0020000E', '00200011'];
+
+function listFiles(directory) {
+    return fs.readdirSync(directory, { withFileTypes: true }).flatMap(entry => {
+        const fullPath = path.join(directory, entry.name);
+        if (entry.name.startsWith('.')) return [];
+        return entry.isDirectory() ? listFiles(fullPath) : [fullPath];
+    });
+}
+
+function toJsonAttribute(dataSet, tag, vr) {
+    const key = `x${tag.toLowerCase()}`;
+    const element = dataSet.elements[key];
+    if (!element || element.length === 0) return null;
+
+    if (vr === 'US') {
+        return { vr, Value: [dataSet.uint16(key)] };
+    }
+
+    const values = (dataSet.string(key) || '').split('\\');
+    if (vr === 'DS' || vr === 'IS') {
+        return { vr, Value: values.map(Number) };
+    }
+    if (vr === 'PN') {
+        return { vr, Value: values.map(name => ({ Alphabetic: name })) };
+    }
+    return { vr, Value: values };
+}
+
+function loadInstances(folder) {
+    const instances = [];
+
+    listFiles(folder).forEach(filePath => {
+        try {
+            const byteArray = new Uint8Array(fs.readFileSync(filePath));
+            const dataSet = dicomParser.parseDicom(byteArray);
+            if (!dataSet.elements.x7fe00010) return;
+
+            const json = {};
+            Object.entries(ATTRIBUTES).forEach(([tag, vr]) => {
+                const attribute = toJsonAttribute(dataSet, tag, vr);
+                if (attribute) json[tag] = attribute;
+            });
+
+            instances.push({
+                studyInstanceUID: dataSet.string('x0020000d'),
+                seriesInstanceUID: dataSet.string('x0020000e'),
+                sopInstanceUID: dataSet.string('x00080018'),
+                transferSyntaxUID: dataSet.string('x00020010'),
+                dataSet,
+                json
+            });
+        } catch (error) {
+            console.warn(`Skipping ${filePath}: ${error.message || error}`);
+        }
+    });
+
+    return instances;
+}
+
+/**
+ * Read one frame (1-based) of pixel data
+ */
+function getFrame(instance, frameNumber) {
+    const { dataSet } = instance;
+    const pixelData = dataSet.elements.x7fe00010;
+    const frameIndex = frameNumber - 1;
+
+    if (pixelData.encapsulatedPixelData) {
+        const numberOfFrames = dataSet.intString('x00280008') || 1;
+        if (numberOfFrames === 1) {
+            return dicomParser.readEncapsulatedPixelDataFromFragments(dataSet, pixelData, 0, pixelData.fragments.length);
+        }
+        const offsets = pixelData.basicOffsetTable.length > 0
+            ? pixelData.basicOffsetTable
+            : dicomParser.createJPEGBasicOffsetTable(dataSet, pixelData);
+        return dicomParser.readEncapsulatedImageFrame(dataSet, pixelData, frameIndex, offsets);
+    }
+
+    const frameLength = dataSet.uint16('x00280010') * dataSet.uint16('x00280011') *
+        (dataSet.uint16('x00280002') || 1) * (dataSet.uint16('x00280100') / 8);
+    const start = pixelData.dataOffset + frameIndex * frameLength;
+    return dataSet.byteArray.slice(start, start + frameLength);
+}
+
+function matches(value, pattern) {
+    if (!pattern) return true;
+    const escaped = pattern.split('*').map(part => part.replace(/[.+?^$()|[\]{}\\]/g, '\\$&'));
+    return new RegExp(`^${escaped.join('.*')}$`, 'i').test(value || '');
+}
+
+function pick(json, tags) {
+    const result = {};
+    tags.forEach(tag => {
+        if (json[tag]) result[tag] = json[tag];
+    });
+    return result;
+}
+
+function searchStudies(instances, query) {
+    const studies = new Map();
+    instances.forEach(instance => {
+        const { json } = instance;
+        const name = json['00100010']?.Value[0].Alphabetic;
+        if (!matches(name, query.get('PatientName')) ||
+            !matches(json['00100020']?.Value[0], query.get('PatientID')) ||
+            !matches(json['00080050']?.Value[0], query.get('AccessionNumber')) ||
+            !matches(instance.studyInstanceUID, query.get('StudyInstanceUID'))) {
+            return;
+        }
+
+        if (!studies.has(instance.studyInstanceUID)) {
+            studies.set(instance.studyInstanceUID, { json: pick(json, STUDY_ATTRIBUTES), series: new Set(), modalities: new Set(), count: 0 });
+        }
+        const study = studies.get(instance.studyInstanceUID);
+        study.series.add(instance.seriesInstanceUID);
+        study.modalities.add(json['00080060']?.Value[0]);
+        study.count++;
+    });
+
+    return [...studies.values()].map(study => ({
+        ...study.json,
+        '00080061': { vr: 'CS', Value: [...study.modalities].filter(Boolean) },
+        '00201206': { vr: 'IS', Value: [study.series.size] },
+        '00201208': { vr: 'IS', Value: [study.count] }
+    }));
+}
+
+function searchSeries(instances, studyInstanceUID) {
+    const series = new Map();
+    instances
+        .filter(instance => instance.studyInstanceUID === studyInstanceUID)
+        .forEach(instance => {
+            if (!series.has(instance.seriesInstanceUID)) {
+                series.set(instance.seriesInstanceUID, { json: pick(instance.json, SERIES_ATTRIBUTES), count: 0 });
+            }
+            series.get(instance.seriesInstanceUID).count++;
+        });
+
+    return [...series.values()].map(item => ({
+        ...item.json,
+        '00201209': { vr: 'IS', Value: [item.count] }
+    }));
+}
+
+function sendJson(response, body) {
+    if (body.length === 0) {
+        response.writeHead(204);
+        response.end();
+        return;
+    }
+    response.writeHead(200, { 'Content-Type': 'application/dicom+json' });
+    response.end(JSON.stringify(body));
+}
+
+function sendFrame(response, instance, frameNumber) {
+    const transferSyntax = UNCOMPRESSED_SYNTAXES.includes(instance.transferSyntaxUID)
+        ? EXPLICIT_VR_LITTLE_ENDIAN
+        : instance.transferSyntaxUID;
+    const boundary = `mock-${Date.now()}`;
+    const frame = Buffer.from(getFrame(instance, frameNumber));
+
+    response.writeHead(200, {
+        'Content-Type': `multipart/related; type="application/octet-stream"; boundary=${boundary}`
+    });
+    response.end(Buffer.concat([
+        Buffer.from(`--${boundary}\r\nContent-Type: application/octet-stream; transfer-syntax=${transferSyntax}\r\n\r\n`),
+        frame,
+        Buffer.from(`\r\n--${boundary}--\r\n`)
+    ]));
+}
+
+function createServer(instances, authHeader) {
+    return http.createServer((request, response) => {
+        response.setHeader('Access-Control-Allow-Origin', '*');
+        response.setHeader('Access-Control-Allow-Headers', 'Authorization, Accept');
+
+        if (request.method === 'OPTIONS') {
+            response.writeHead(204);
+            response.end();
+            return;
+        }
+
+        if (authHeader && request.headers.authorization !== authHeader) {
+            response.writeHead(401);
+            response.end();
+            return;
+        }
+
+        const url = new URL(request.url, 'http://localhost');
+        const parts = url.pathname.startsWith(ROOT)
+            ? url.pathname.slice(ROOT.length).split('/').filter(Boolean)
+            : [];
+
+        try {
+            if (parts.length === 1 && parts[0] === 'studies') {
+                sendJson(response, searchStudies(instances, url.searchParams));
+            } else if (parts.length === 3 && parts[2] === 'series') {
+                sendJson(response, searchSeries(instances, parts[1]));
+            } else if (parts.length === 5 && parts[4] === 'metadata') {
+                sendJson(response, instances
+                    .filter(instance => instance.studyInstanceUID === parts[1] && instance.seriesInstanceUID === parts[3])
+                    .map(instance => instance.json));
+            } else if (parts.length === 8 && parts[6] === 'frames') {
+                const instance = instances.find(item => item.sopInstanceUID === parts[5]);
+                if (!instance) throw new Error('not found');
+                sendFrame(response, instance, parseInt(parts[7], 10));
+            } else {
+                response.writeHead(404);
+                response.end();
+            }
+        } catch (error) {
+            console.warn(`${request.url}: ${error.message}`);
+            response.writeHead(404);
+            response.end();
+        }
+    });
+}
+
+if (require.main === module) {
+    const [folder, port = '8042'] = process.argv.slice(2);
+    if (!folder) {
+        console.error('Usage: node scripts/dicomweb-mock-server.js <folder> [port]');
+        process.exit(1);
+    }
+
+    const instances = loadInstances(folder);
+    const host = process.env.DICOMWEB_HOST || DEFAULT_HOST;
+    createServer(instances, process.env.DICOMWEB_AUTH).listen(Number(port), host, () => {
+        console.log(`Serving ${instances.length} instance(s) at http://${host}:${port}${ROOT}`);
+    });
+}
+
+module.exports = { createServer, loadInstances };
@@ -0,0 +1,654 @@
+/**
+ * DICOM Anonymizer Module
+ * Rewrites loaded DICOM files following the DICOM PS3.15 Basic Application
+ * Level Confidentiality Profile and packs them into a ZIP archive
+ */
+
+import { lookupTag } from './dicom-dictionary.js';
+import ZipWriter from './zip-writer.js';
+
+const IMPLICIT_VR_LITTLE_ENDIAN = '1.2.840.10008.1.2';
+const EXPLICIT_VR_LITTLE_ENDIAN = '1.2.840.10008.1.2.1';
+const EXPLICIT_VR_BIG_ENDIAN = '1.2.840.10008.1.2.2';
+const DEFLATED_EXPLICIT_VR_LITTLE_ENDIAN = '1.2.840.10008.1.2.1.99';
+
+// Identifies files written by this tool in the File Meta Information
+const IMPLEMENTATION_CLASS_UID = '2.25.208113738629717012436178962453587370131';
+const IMPLEMENTATION_VERSION_NAME = 'MED3D_ANON_1';
+
+// Explicit VR elements with a 4-byte length field
+const LONG_LENGTH_VRS = ['OB', 'OD', 'OF', 'OL', 'OV', 'OW', 'SQ', 'SV', 'UC', 'UN', 'UR', 'UT', 'UV'];
+
+// Modalities that routinely carry burned-in text even when the flag is absent
+const BURNED_IN_SUSPECT_MODALITIES = ['US', 'XC', 'ES', 'GM', 'SC', 'OT', 'DOC'];
+
+/**
+ * Basic Profile actions (PS3.15 Table E.1-1) for the attributes commonly found in image objects:
+ * D = replace with dummy value, Z = empty value, X = remove, U = remap UID.
+ * Attributes not listed fall back to a rule by VR: unlisted text is removed unless it is in
+ * SAFE_TEXT_ATTRIBUTES, as is anything whose VR is unknown (see getAction).
+ */
+const BASIC_PROFILE = {
+    '00001000': 'X', // AffectedSOPInstanceUID
+    '00001001': 'U', // RequestedSOPInstanceUID
+    '00041511': 'U', // ReferencedSOPInstanceUIDInFile
+    '00080012': 'X', // InstanceCreationDate
+    '00080013': 'X', // InstanceCreationTime
+    '00080014': 'U', // InstanceCreatorUID
+    '00080015': 'X', // InstanceCoercionDateTime
+    '00080018': 'U', // SOPInstanceUID
+    '00080020': 'Z', // StudyDate
+    '00080021': 'X', // SeriesDate
+    '00080022': 'X', // AcquisitionDate
+    '00080023': 'Z', // ContentDate
+    '00080024': 'X', // OverlayDate
+    '00080025': 'X', // CurveDate
+    '0008002A': 'X', // AcquisitionDateTime
+    '00080030': 'Z', // StudyTime
+    '00080031': 'X', // SeriesTime
+    '00080032': 'X', // AcquisitionTime
+    '00080033': 'Z', // ContentTime
+    '00080034': 'X', // OverlayTime
+    '00080035': 'X', // CurveTime
+    '00080050': 'Z', // AccessionNumber
+    '00080058': 'U', // FailedSOPInstanceUIDList
+    '00080080': 'X', // InstitutionName
+    '00080081': 'X', // InstitutionAddress
+    '00080082': 'X', // InstitutionCodeSequence
+    '00080090': 'Z', // ReferringPhysicianName
+    '00080092': 'X', // ReferringPhysicianAddress
+    '00080094': 'X', // ReferringPhysicianTelephoneNumbers
+    '00080096': 'X', // ReferringPhysicianIdentificationSequence
+    '0008009C': 'Z', // ConsultingPhysicianName
+    '0008009D': 'X', // ConsultingPhysicianIdentificationSequence
+    '00080201': 'X', // TimezoneOffsetFromUTC
+    '00081010': 'X', // StationName
+    '00081030': 'X', // StudyDescription
+    '0008103E': 'X', // SeriesDescription
+    '00081040': 'X', // InstitutionalDepartmentName
+    '00081048': 'X', // PhysiciansOfRecord
+    '00081049': 'X', // PhysiciansOfRecordIdentificationSequence
+    '00081050': 'X', // PerformingPhysicianName
+    '00081052': 'X', // PerformingPhysicianIdentificationSequence
+    '00081060': 'X', // NameOfPhysiciansReadingStudy
+    '00081062': 'X', // PhysiciansReadingStudyIdentificationSequence
+    '00081070': 'X', // OperatorsName
+    '00081072': 'X', // OperatorIdentificationSequence
+    '00081080': 'X', // AdmittingDiagnosesDescription
+    '00081084': 'X', // AdmittingDiagnosesCodeSequence
+    '00081110': 'X', // ReferencedStudySequence
+    '00081111': 'X', // ReferencedPerformedProcedureStepSequence
+    '00081120': 'X', // ReferencedPatientSequence
+    '00081155': 'U', // ReferencedSOPInstanceUID
+    '00081195': 'U', // TransactionUID
+    '00082111': 'X', // DerivationDescription
+    '00083010': 'U', // IrradiationEventUID
+    '00084000': 'X', // IdentifyingComments
+    '00100010': 'D', // PatientName
+    '00100020': 'D', // PatientID
+    '00100021': 'X', // IssuerOfPatientID
+    '00100030': 'Z', // PatientBirthDate
+    '00100032': 'X', // PatientBirthTime
+    '00100040': 'Z', // PatientSex
+    '00100050': 'X', // PatientInsurancePlanCodeSequence
+    '00100101': 'X', // PatientPrimaryLanguageCodeSequence
+    '00100102': 'X', // PatientPrimaryLanguageModifierCodeSequence
+    '00101000': 'X', // OtherPatientIDs
+    '00101001': 'X', // OtherPatientNames
+    '00101002': 'X', // OtherPatientIDsSequence
+    '00101005': 'X', // PatientBirthName
+    '00101010': 'X', // PatientAge
+    '00101020': 'X', // PatientSize
+    '00101030': 'X', // PatientWeight
+    '00101040': 'X', // PatientAddress
+    '00101050': 'X', // InsurancePlanIdentification
+    '00101060': 'X', // PatientMotherBirthName
+    '00101080': 'X', // MilitaryRank
+    '00101090': 'X', // MedicalRecordLocator
+    '00102000': 'X', // MedicalAlerts
+    '00102110': 'X', // Allergies
+    '00102150': 'X', // CountryOfResidence
+    '00102152': 'X', // RegionOfResidence
+    '00102154': 'X', // PatientTelephoneNumbers
+    '00102160': 'X', // EthnicGroup
+    '00102180': 'X', // Occupation
+    '001021A0': 'X', // SmokingStatus
+    '001021B0': 'X', // AdditionalPatientHistory
+    '001021C0': 'X', // PregnancyStatus
+    '001021F0': 'X', // PatientReligiousPreference
+    '00102203': 'X', // PatientSexNeutered
+    '00102297': 'X', // ResponsiblePerson
+    '00102299': 'X', // ResponsibleOrganization
+    '00104000': 'X', // PatientComments
+    '00181000': 'X', // DeviceSerialNumber
+    '00181002': 'U', // DeviceUID
+    '00181004': 'X', // PlateID
+    '00181005': 'X', // GeneratorID
+    '00181007': 'X', // CassetteID
+    '00181008': 'X', // GantryID
+    '00181030': 'X', // ProtocolName
+    '00181200': 'X', // DateOfLastCalibration
+    '00181201': 'X', // TimeOfLastCalibration
+    '00181400': 'X', // AcquisitionDeviceProcessingDescription
+    '0018700A': 'X', // DetectorID
+    '00189424': 'X', // AcquisitionProtocolDescription
+    '0018A003': 'X', // ContributionDescription
+    '0020000D': 'U', // StudyInstanceUID
+    '0020000E': 'U', // SeriesInstanceUID
+    '00200010': 'Z', // StudyID
+    '00200052': 'U', // FrameOfReferenceUID
+    '00200200': 'U', // SynchronizationFrameOfReferenceUID
+    '00203401': 'X', // ModifyingDeviceID
+    '00203404': 'X', // ModifyingDeviceManufacturer
+    '00203406': 'X', // ModifiedImageDescription
+    '00204000': 'X', // ImageComments
+    '00209158': 'X', // FrameComments
+    '00209161': 'U', // ConcatenationUID
+    '00209164': 'U', // DimensionOrganizationUID
+    '00321020': 'X', // ScheduledStudyLocation
+    '00321021': 'X', // ScheduledStudyLocationAETitle
+    '00321030': 'X', // ReasonForStudy
+    '00321032': 'X', // RequestingPhysician
+    '00321033': 'X', // RequestingService
+    '00321060': 'X', // RequestedProcedureDescription
+    '00321070': 'X', // RequestedContrastAgent
+    '00324000': 'X', // StudyComments
+    '00380004': 'X', // ReferencedPatientAliasSequence
+    '00380010': 'X', // AdmissionID
+    '00380011': 'X', // IssuerOfAdmissionID
+    '00380050': 'X', // SpecialNeeds
+    '00380060': 'X', // ServiceEpisodeID
+    '00380062': 'X', // ServiceEpisodeDescription
+    '00380300': 'X', // CurrentPatientLocation
+    '00380400': 'X', // PatientInstitutionResidence
+    '00380500': 'X', // PatientState
+    '00384000': 'X', // VisitComments
+    '00400001': 'X', // ScheduledStationAETitle
+    '00400002': 'X', // ScheduledProcedureStepStartDate
+    '00400003': 'X', // ScheduledProcedureStepStartTime
+    '00400004': 'X', // ScheduledProcedureStepEndDate
+    '00400005': 'X', // ScheduledProcedureStepEndTime
+    '00400006': 'X', // ScheduledPerformingPhysicianName
+    '00400007': 'X', // ScheduledProcedureStepDescription
+    '00400009': 'X', // ScheduledProcedureStepID
+    '0040000B': 'X', // ScheduledPerformingPhysicianIdentificationSequence
+    '00400010': 'X', // ScheduledStationName
+    '00400011': 'X', // ScheduledProcedureStepLocation
+    '00400012': 'X', // PreMedication
+    '00400241': 'X', // PerformedStationAETitle
+    '00400242': 'X', // PerformedStationName
+    '00400243': 'X', // PerformedLocation
+    '00400244': 'X', // PerformedProcedureStepStartDate
+    '00400245': 'X', // PerformedProcedureStepStartTime
+    '00400250': 'X', // PerformedProcedureStepEndDate
+    '00400251': 'X', // PerformedProcedureStepEndTime
+    '00400253': 'X', // PerformedProcedureStepID
+    '00400254': 'X', // PerformedProcedureStepDescription
+    '00400275': 'X', // RequestAttributesSequence
+    '00400280': 'X', // CommentsOnThePerformedProcedureStep
+    '00400555': 'X', // AcquisitionContextSequence
+    '00401001': 'X', // RequestedProcedureID
+    '00401002': 'X', // ReasonForTheRequestedProcedure
+    '00401004': 'X', // PatientTransportArrangements
+    '00401005': 'X', // RequestedProcedureLocation
+    '00401010': 'X', // NamesOfIntendedRecipientsOfResults
+    '00401011': 'X', // IntendedRecipientsOfResultsIdentificationSequence
+    '00401101': 'X', // PersonIdentificationCodeSequence
+    '00401102': 'X', // PersonAddress
+    '00401103': 'X', // PersonTelephoneNumbers
+    '00401400': 'X', // RequestedProcedureComments
+    '00402001': 'X', // ReasonForTheImagingServiceRequest
+    '00402008': 'X', // OrderEnteredBy
+    '00402009': 'X', // OrderEntererLocation
+    '00402010': 'X', // OrderCallbackPhoneNumber
+    '00402016': 'X', // PlacerOrderNumberImagingServiceRequest
+    '00402017': 'X', // FillerOrderNumberImagingServiceRequest
+    '00402400': 'X', // ImagingServiceRequestComments
+    '00403001': 'X', // ConfidentialityConstraintOnPatientDataDescription
+    '0040A027': 'X', // VerifyingOrganization
+    '0040A073': 'X', // VerifyingObserverSequence
+    '0040A075': 'D', // VerifyingObserverName
+    '0040A078': 'X', // AuthorObserverSequence
+    '0040A07A': 'X', // ParticipantSequence
+    '0040A07C': 'X', // CustodialOrganizationSequence
+    '0040A088': 'Z', // VerifyingObserverIdentificationCodeSequence
+    '0040A123': 'D', // PersonName
+    '0040A124': 'U', // UID
+    '0040A160': 'X', // TextValue
+    '0040A171': 'U', // ObservationUID
+    '0040A730': 'X', // ContentSequence
+    '0040DB0C': 'U', // TemplateExtensionOrganizationUID
+    '0040DB0D': 'U', // TemplateExtensionCreatorUID
+    '00700084': 'Z', // ContentCreatorName
+    '00880140': 'U', // StorageMediaFileSetUID
+    '00880200': 'X', // IconImageSequence
+    '00880904': 'X', // TopicTitle
+    '00880906': 'X', // TopicSubject
+    '00880910': 'X', // TopicAuthor
+    '00880912': 'X', // TopicKeywords
+    '20300020': 'X', // TextString
+    '30060024': 'U', // ReferencedFrameOfReferenceUID
+    '40000010': 'X', // Arbitrary
+    '40004000': 'X', // TextComments
+    'FFFAFFFA': 'X' // DigitalSignaturesSequence
+};
+
+// Profile options (PS3.15 Table E.1-1 option columns) -> attributes they keep
+const RETAINED_BY_OPTION = {
+    retainPatientCharacteristics: [
+        '00100040', '00101010', '00101020', '00101030', '00102160', '001021A0', '001021C0', '00102203'
+    ],
+    retainDeviceIdentity: [
+        '00081010', '00181000', '00181002', '00181004', '00181005', '00181007', '00181008', '0018700A',
+        '00203401', '00203404', '00400001', '00400010', '00400241', '00400242'
+    ],
+    retainDescriptions: [
+        '00081030', '0008103E', '00082111', '00084000', '00181030', '00181400', '00189424', '0018A003',
+        '00203406', '00204000', '00209158', '00321060', '00400007', '00400254', '00400280', '00401400',
+        '00402400'
+    ]
+};
+
+// Text VRs whose values are free to hold names, IDs or notes
+const TEXT_VRS = ['AE', 'CS', 'LO', 'LT', 'SH', 'ST', 'UC', 'UT'];
+
+// Text attributes outside the profile table that describe the image or acquisition
+// and are needed to display it; every other unlisted text attribute is removed
+const SAFE_TEXT_ATTRIBUTES = [
+    '00041430', '00080005', '00080008', '00080056', '00080060', '00080061', '00080064', '00080070',
+    '00080100', '00080102', '00080104', '00081090', '00089007', '00120062', '00120063', '00180015',
+    '00180020', '00180021', '00180022', '00180023', '00180024', '00181020', '00181140', '00181160',
+    '00181210', '00181250', '00181251', '00181312', '00185100', '00200020', '00200060', '00201040',
+    '00209056', '00280004', '00280300', '00280301', '00280303', '00281054', '00281055', '00281056',
+    '00282110', '00282114', '00541000', '00541001', '00541002', '00541100', '00541101', '00541102',
+    '00541103'
+];
+
+// Kept out of "retain dates": they identify the patient rather than the timeline
+const BIRTH_DATE_TAGS = ['00100030', '00100032'];
+
+// De-identification Method Code Sequence entries (CID 7050)
+const METHOD_CODES = {
+    basic: ['113100', 'Basic Application Confidentiality Profile'],
+    retainDates: ['113106', 'Retain Longitudinal Temporal Information Full Dates Option'],
+    retainPatientCharacteristics: ['113108', 'Retain Patient Characteristics Option'],
+    retainDeviceIdentity: ['113109', 'Retain Device Identity Option'],
+    retainUIDs: ['113110', 'Retain UIDs Option']
+};
+
+export const DEFAULT_PROFILE = {
+    patientName: 'ANONYMOUS',
+    patientId: 'ANON',
+    retainDates: false,
+    retainPatientCharacteristics: false,
+    retainDeviceIdentity: false,
+    retainDescriptions: false,
+    retainPrivateTags: false,
+    retainUIDs: false,
+    includeBurnedIn: false
+};
+
+class DicomAnonymizer {
+    /**
+     * @param {Object} profile - Options overriding DEFAULT_PROFILE
+     */
+    constructor(profile = {}) {
+        this.profile = { ...DEFAULT_PROFILE, ...profile };
+        // Consistent remapping across every file of one export
+        this.uidMap = new Map();
+        this.patientMap = new Map();
+        this.studyFolders = new Map();
+        this.seriesFolders = new Map();
+    }
+
+    /**
+     * De-identify loaded images and pack the rewritten files into a ZIP
+     * @param {Array<Object>} images - Loaded images from DicomLoader (frames of one file share a data set)
+     * @param {Function} onProgress - Called with { done, total }
+     * @returns {Promise<Object>} { blob, exported, skipped, warnings } where skipped lists { fileName, reason, message }
+     */
+    async exportZip(images, onProgress) {
+        const sources = new Map();
+        const skipped = [];
+        images.forEach(entry => {
+            const dataSet = entry.image?.data;
+            if (!dataSet?.byteArray) {
+                skipped.push({ fileName: entry.fileName, reason: 'remote', message: 'Streamed frames have no local file to rewrite' });
+                return;
+            }
+            if (!sources.has(dataSet)) {
+                sources.set(dataSet, entry.fileName.replace(/ \(frame \d+\)$/, ''));
+            }
+        });
+
+        const zip = new ZipWriter();
+        const warnings = [];
+        let exported = 0;
+        let suspectCount = 0;
+        let burnedInCount = 0;
+        let done = 0;
+
+        for (const [dataSet, fileName] of sources) {
+            const burnedIn = (dataSet.string('x00280301') || '').toUpperCase();
+            const modality = dataSet.string('x00080060') || '';
+
+            if (burnedIn === 'YES' && !this.profile.includeBurnedIn) {
+                skipped.push({ fileName, reason: 'burned-in', message: 'Burned In Annotation is YES' });
+            } else {
+                if (burnedIn === 'YES') {
+                    burnedInCount++;
+                } else if (!burnedIn && BURNED_IN_SUSPECT_MODALITIES.includes(modality)) {
+                    suspectCount++;
+                }
+                try {
+                    const bytes = this.anonymize(dataSet);
+                    await zip.addFile(this.getArchivePath(dataSet), bytes);
+                    exported++;
+                } catch (error) {
+                    console.warn(`Could not de-identify ${fileName}:`, error);
+                    skipped.push({ fileName, reason: 'encode-error', message: error.message });
+                }
+            }
+
+            done++;
+            onProgress?.({ done, total: sources.size });
+        }
+
+        if (suspectCount > 0) {
+            warnings.push(`${suspectCount} file(s) have no Burned In Annotation flag but a modality that often carries burned-in text - check the pixel data before sharing`);
+        }
+        if (burnedInCount > 0) {
+            warnings.push(`${burnedInCount} file(s) flagged with burned-in annotations were included; pixel data is not cleaned`);
+        }
+
+        return { blob: exported > 0 ? zip.toBlob() : null, exported, skipped, warnings };
+    }
+
+    /**
+     * Rewrite one data set as a de-identified Part 10 file
+     * @param {Object} dataSet - dicomParser data set of a complete file
+     * @returns {Uint8Array} Part 10 encoded file
+     */
+    anonymize(dataSet) {
+        const sourceSyntax = dataSet.string('x00020010') || EXPLICIT_VR_LITTLE_ENDIAN;
+        // dicomParser has already inflated deflated files
+        const transferSyntaxUID = sourceSyntax === DEFLATED_EXPLICIT_VR_LITTLE_ENDIAN
+            ? EXPLICIT_VR_LITTLE_ENDIAN
+            : sourceSyntax;
+        const encoding = {
+            explicit: transferSyntaxUID !== IMPLICIT_VR_LITTLE_ENDIAN,
+            littleEndian: transferSyntaxUID !== EXPLICIT_VR_BIG_ENDIAN
+        };
+
+        const patient = this.getPatient(dataSet);
+        const elements = this.writeElements(dataSet, encoding);
+
+        // Type 2 patient attributes are always present, even if the source omitted them
+        const added = [
+            ['00100010', patient.name],
+            ['00100020', patient.id],
+            ['00120062', 'YES'],
+            ['00120063', this.getMethodDescription()],
+            ['00280303', this.profile.retainDates ? 'UNMODIFIED' : 'REMOVED']
+        ];
+        added.forEach(([tag, value]) => {
+            const { vr } = lookupTag(tag);
+            elements.set(tag, this.encodeElement(tag, vr, this.encodeString(value, vr), encoding));
+        });
+        elements.set('00120064', this.encodeSequence('00120064', this.getMethodCodeItems(encoding), encoding));
+
+        const body = [...elements.keys()].sort().flatMap(tag => elements.get(tag));
+
+        const sopClassUID = dataSet.string('x00080016') || dataSet.string('x00020002') || '';
+        const sopInstanceUID = this.mapUid(dataSet.string('x00080018') || dataSet.string('x00020003') || '');
+        return this.concat([
+            new Uint8Array(128),
+            new TextEncoder().encode('DICM'),
+            ...this.encodeMetaHeader(sopClassUID, sopInstanceUID, transferSyntaxUID),
+            ...body
+        ]);
+    }
+
+    /**
+     * Apply the profile to every element of a data set, recursing into sequences
+     * @returns {Map<string, Array<Uint8Array>>} Tag -> encoded element
+     */
+    writeElements(dataSet, encoding) {
+        const elements = new Map();
+
+        Object.keys(dataSet.elements).forEach(key => {
+            const tag = key.slice(1).toUpperCase();
+            // The meta header is rebuilt; item delimiters are written by encodeSequence
+            if (tag.startsWith('0002') || tag.startsWith('FFFE')) return;
+
+            const element = dataSet.elements[key];
+            const vr = element.vr || (element.items ? 'SQ' : lookupTag(tag).vr);
+            const action = this.getAction(tag, vr);
+            if (action === 'X') return;
+
+            if (element.items && action !== 'Z') {
+                const items = element.items.map(item => {
+                    const itemElements = item.dataSet ? this.writeElements(item.dataSet, encoding) : new Map();
+                    return [...itemElements.keys()].sort().flatMap(itemTag => itemElements.get(itemTag));
+                });
+                elements.set(tag, this.encodeSequence(tag, items, encoding));
+            } else if (action === 'Z') {
+                elements.set(tag, this.encodeElement(tag, vr, new Uint8Array(0), encoding));
+            } else if (action === 'U') {
+                const uids = (dataSet.string(key) || '').split('\\').map(uid => this.mapUid(uid.trim()));
+                elements.set(tag, this.encodeElement(tag, vr, this.encodeString(uids.join('\\'), 'UI'), encoding));
+            } else {
+                // D attributes are written by anonymize() at the top level and dropped in sequences
+                if (action === 'D') return;
+                const value = dataSet.byteArray.subarray(element.dataOffset, element.dataOffset + element.length);
+                elements.set(tag, this.encodeElement(tag, vr, value, encoding, element.hadUndefinedLength));
+            }
+        });
+
+        return elements;
+    }
+
+    /**
+     * Profile action for an element
+     * @param {string} tag - GGGGEEEE
+     * @param {string|null} vr - Explicit VR, or the dictionary VR for implicit data sets
+     * @returns {string} K (keep), D, Z, X or U
+     */
+    getAction(tag, vr) {
+        const group = parseInt(tag.slice(0, 4), 16);
+        const element = parseInt(tag.slice(4), 16);
+
+        if (element === 0) return 'X'; // Group lengths are not recomputed
+        if (group % 2 === 1) return this.profile.retainPrivateTags ? 'K' : 'X';
+        // Curves, overlay data and overlay comments may hold identifying text
+        if ((group & 0xff00) === 0x5000) return 'X';
+        if ((group & 0xff00) === 0x6000 && (element === 0x3000 || element === 0x4000)) return 'X';
+
+        const isDate = vr === 'DA' || vr === 'DT' || vr === 'TM';
+        if (isDate && this.profile.retainDates && !BIRTH_DATE_TAGS.includes(tag)) return 'K';
+
+        const action = BASIC_PROFILE[tag];
+        if (action) {
+            const retained = Object.keys(RETAINED_BY_OPTION)
+                .some(option => this.profile[option] && RETAINED_BY_OPTION[option].includes(tag));
+            return retained ? 'K' : action;
+        }
+
+        if (vr === 'UI') return 'U';
+        if (vr === 'PN') return 'Z';
+        // Dates anywhere (e.g. inside sequences) are emptied; times alone do not identify
+        if (vr === 'DA' || vr === 'DT') return 'Z';
+        if (TEXT_VRS.includes(vr) && !SAFE_TEXT_ATTRIBUTES.includes(tag)) return 'X';
+        // Implicit VR elements missing from the dictionary could hold names or UIDs
+        if (!vr) return 'X';
+        return 'K';
+    }
+
+    /**
+     * Replace a UID with a consistent random 2.25 UID; standard (1.2.840.10008) UIDs are kept
+     */
+    mapUid(uid) {
+        if (!uid || this.profile.retainUIDs || uid.startsWith('1.2.840.10008.')) return uid;
+
+        if (!this.uidMap.has(uid)) {
+            const bytes = crypto.getRandomValues(new Uint8Array(16));
+            const hex = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+            this.uidMap.set(uid, `2.25.${BigInt(`0x${hex}`).toString()}`);
+        }
+        return this.uidMap.get(uid);
+    }
+
+    /**
+     * Replacement name and ID; each distinct source patient gets its own pseudonym
+     */
+    getPatient(dataSet) {
+        const key = dataSet.string('x00100020') || dataSet.string('x00100010') || '';
+        if (!this.patientMap.has(key)) {
+            const index = this.patientMap.size + 1;
+            const suffix = index === 1 ? '' : `-${index}`;
+            this.patientMap.set(key, {
+                name: `${this.profile.patientName}${suffix}`,
+                id: `${this.profile.patientId}${suffix}`
+            });
+        }
+        return this.patientMap.get(key);
+    }
+
+    /**
+     * PATIENT/STUDYn/SERIESn/IMnnnnn.dcm, numbered in export order so no source identifiers leak into names
+     */
+    getArchivePath(dataSet) {
+        const patient = this.getPatient(dataSet).id.replace(/[^A-Za-z0-9._-]/g, '_') || 'PATIENT';
+        const studyUID = dataSet.string('x0020000d') || '';
+        const seriesUID = dataSet.string('x0020000e') || '';
+
+        if (!this.studyFolders.has(studyUID)) {
+            this.studyFolders.set(studyUID, this.studyFolders.size + 1);
+        }
+        if (!this.seriesFolders.has(seriesUID)) {
+            this.seriesFolders.set(seriesUID, { index: this.seriesFolders.size + 1, count: 0 });
+        }
+
+        const series = this.seriesFolders.get(seriesUID);
+        series.count++;
+        return `${patient}/STUDY${this.studyFolders.get(studyUID)}/SERIES${series.index}/IM${String(series.count).padStart(5, '0')}.dcm`;
+    }
+
+    getMethodDescription() {
+        const options = Object.keys(METHOD_CODES).filter(option => this.profile[option]);
+        const names = ['DICOM PS3.15 Basic Profile', ...options.map(option => METHOD_CODES[option][1].replace(/ Option$/, ''))];
+        if (this.profile.retainDescriptions) names.push('Descriptions retained');
+        if (this.profile.retainPrivateTags) names.push('Private tags retained');
+        // LO values are limited to 64 characters each
+        return names.map(name => name.slice(0, 64)).join('\\');
+    }
+
+    getMethodCodeItems(encoding) {
+        const options = ['basic', ...Object.keys(METHOD_CODES).filter(option => this.profile[option])];
+        return options.map(option => {
+            const [value, meaning] = METHOD_CODES[option];
+            return [
+                ['00080100', 'SH', value],
+                ['00080102', 'SH', 'DCM'],
+                ['00080104', 'LO', meaning.slice(0, 64)]
+            ].flatMap(([tag, vr, text]) => this.encodeElement(tag, vr, this.encodeString(text, vr), encoding));
+        });
+    }
+
+    /**
+     * File Meta Information, always explicit VR little endian
+     */
+    encodeMetaHeader(sopClassUID, sopInstanceUID, transferSyntaxUID) {
+        const encoding = { explicit: true, littleEndian: true };
+        const meta = [
+            this.encodeElement('00020001', 'OB', new Uint8Array([0x00, 0x01]), encoding),
+            this.encodeElement('00020002', 'UI', this.encodeString(sopClassUID, 'UI'), encoding),
+            this.encodeElement('00020003', 'UI', this.encodeString(sopInstanceUID, 'UI'), encoding),
+            this.encodeElement('00020010', 'UI', this.encodeString(transferSyntaxUID, 'UI'), encoding),
+            this.encodeElement('00020012', 'UI', this.encodeString(IMPLEMENTATION_CLASS_UID, 'UI'), encoding),
+            this.encodeElement('00020013', 'SH', this.encodeString(IMPLEMENTATION_VERSION_NAME, 'SH'), encoding)
+        ].flat();
+
+        const groupLength = new Uint8Array(4);
+        new DataView(groupLength.buffer).setUint32(0, meta.reduce((total, part) => total + part.length, 0), true);
+        return [...this.encodeElement('00020000', 'UL', groupLength, encoding), ...meta];
+    }
+
+    /**
+     * Encode an element header followed by its value
+     * @param {string} tag - GGGGEEEE
+     * @param {string|null} vr - Value representation (ignored for implicit VR)
+     * @param {Uint8Array} value - Encoded value, even length
+     * @param {Object} encoding - { explicit, littleEndian }
+     * @param {boolean} undefinedLength - Value is copied raw and ends with its own delimiter
+     * @returns {Array<Uint8Array>} Header and value
+     */
+    encodeElement(tag, vr, value, encoding, undefinedLength = false) {
+        const { explicit, littleEndian } = encoding;
+        const writtenVr = vr && /^[A-Z]{2}$/.test(vr) ? vr : 'UN';
+        const longLength = !explicit || LONG_LENGTH_VRS.includes(writtenVr);
+        const header = new DataView(new ArrayBuffer(explicit && longLength ? 12 : 8));
+
+        header.setUint16(0, parseInt(tag.slice(0, 4), 16), littleEndian);
+        header.setUint16(2, parseInt(tag.slice(4), 16), littleEndian);
+        const length = undefinedLength ? 0xffffffff : value.length;
+
+        if (!explicit) {
+            header.setUint32(4, length, littleEndian);
+        } else {
+            header.setUint8(4, writtenVr.charCodeAt(0));
+            header.setUint8(5, writtenVr.charCodeAt(1));
+            if (longLength) {
+                header.setUint32(8, length, littleEndian);
+            } else if (value.length > 0xffff) {
+                throw new Error(`Value of (${tag.slice(0, 4)},${tag.slice(4)}) is too long for VR ${writtenVr}`);
+            } else {
+                header.setUint16(6, length, littleEndian);
+            }
+        }
+
+        return [new Uint8Array(header.buffer), value];
+    }
+
+    /**
+     * Encode a sequence with defined lengths
+     * @param {Array<Array<Uint8Array>>} items - Encoded elements of each item
+     */
+    encodeSequence(tag, items, encoding) {
+        const parts = items.flatMap(item => {
+            const content = this.concat(item);
+            const header = new DataView(new ArrayBuffer(8));
+            header.setUint16(0, 0xfffe, encoding.littleEndian);
+            header.setUint16(2, 0xe000, encoding.littleEndian);
+            header.setUint32(4, content.length, encoding.littleEndian);
+            return [new Uint8Array(header.buffer), content];
+        });
+
+        return this.encodeElement(tag, 'SQ', this.concat(parts), encoding);
+    }
+
+    /**
+     * Encode a string value padded to even length (NUL for UI, space otherwise)
+     */
+    encodeString(text, vr) {
+        const bytes = new TextEncoder().encode(text);
+        if (bytes.length % 2 === 0) return bytes;
+
+        const padded = new Uint8Array(bytes.length + 1);
+        padded.set(bytes);
+        padded[bytes.length] = vr === 'UI' ? 0x00 : 0x20;
+        return padded;
+    }
+
+    concat(parts) {
+        const output = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+        let offset = 0;
+        parts.forEach(part => {
+            output.set(part, offset);
+            offset += part.length;
+        });
+        return output;
+    }
+}
+
+export default DicomAnonymizer;
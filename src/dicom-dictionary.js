@@ -0,0 +1,340 @@
+/**
+ * DICOM Dictionary Module
+ * VR and keyword for commonly used data elements. Used to name tags in the
+ * tag inspector and to pick a VR for implicit VR data sets.
+ */
+
+// Tag (GGGGEEEE) -> [VR, keyword]
+const DICTIONARY = {
+    // File meta information
+    '00020000': ['UL', 'FileMetaInformationGroupLength'],
+    '00020001': ['OB', 'FileMetaInformationVersion'],
+    '00020002': ['UI', 'MediaStorageSOPClassUID'],
+    '00020003': ['UI', 'MediaStorageSOPInstanceUID'],
+    '00020010': ['UI', 'TransferSyntaxUID'],
+    '00020012': ['UI', 'ImplementationClassUID'],
+    '00020013': ['SH', 'ImplementationVersionName'],
+    '00020016': ['AE', 'SourceApplicationEntityTitle'],
+
+    // Directory records
+    '00041200': ['UL', 'OffsetOfTheFirstDirectoryRecordOfTheRootDirectoryEntity'],
+    '00041220': ['SQ', 'DirectoryRecordSequence'],
+    '00041430': ['CS', 'DirectoryRecordType'],
+    '00041500': ['CS', 'ReferencedFileID'],
+
+    // Identification
+    '00080005': ['CS', 'SpecificCharacterSet'],
+    '00080008': ['CS', 'ImageType'],
+    '00080012': ['DA', 'InstanceCreationDate'],
+    '00080013': ['TM', 'InstanceCreationTime'],
+    '00080014': ['UI', 'InstanceCreatorUID'],
+    '00080016': ['UI', 'SOPClassUID'],
+    '00080018': ['UI', 'SOPInstanceUID'],
+    '00080020': ['DA', 'StudyDate'],
+    '00080021': ['DA', 'SeriesDate'],
+    '00080022': ['DA', 'AcquisitionDate'],
+    '00080023': ['DA', 'ContentDate'],
+    '0008002A': ['DT', 'AcquisitionDateTime'],
+    '00080030': ['TM', 'StudyTime'],
+    '00080031': ['TM', 'SeriesTime'],
+    '00080032': ['TM', 'AcquisitionTime'],
+    '00080033': ['TM', 'ContentTime'],
+    '00080050': ['SH', 'AccessionNumber'],
+    '00080054': ['AE', 'RetrieveAETitle'],
+    '00080056': ['CS', 'InstanceAvailability'],
+    '00080060': ['CS', 'Modality'],
+    '00080061': ['CS', 'ModalitiesInStudy'],
+    '00080064': ['CS', 'ConversionType'],
+    '00080070': ['LO', 'Manufacturer'],
+    '00080080': ['LO', 'InstitutionName'],
+    '00080081': ['ST', 'InstitutionAddress'],
+    '00080090': ['PN', 'ReferringPhysicianName'],
+    '00080092': ['ST', 'ReferringPhysicianAddress'],
+    '00080094': ['SH', 'ReferringPhysicianTelephoneNumbers'],
+    '00080096': ['SQ', 'ReferringPhysicianIdentificationSequence'],
+    '00080100': ['SH', 'CodeValue'],
+    '00080102': ['SH', 'CodingSchemeDesignator'],
+    '00080104': ['LO', 'CodeMeaning'],
+    '00080201': ['SH', 'TimezoneOffsetFromUTC'],
+    '00081010': ['SH', 'StationName'],
+    '00081030': ['LO', 'StudyDescription'],
+    '00081032': ['SQ', 'ProcedureCodeSequence'],
+    '0008103E': ['LO', 'SeriesDescription'],
+    '00081040': ['LO', 'InstitutionalDepartmentName'],
+    '00081048': ['PN', 'PhysiciansOfRecord'],
+    '00081050': ['PN', 'PerformingPhysicianName'],
+    '00081060': ['PN', 'NameOfPhysiciansReadingStudy'],
+    '00081070': ['PN', 'OperatorsName'],
+    '00081080': ['LO', 'AdmittingDiagnosesDescription'],
+    '00081084': ['SQ', 'AdmittingDiagnosesCodeSequence'],
+    '00081090': ['LO', 'ManufacturerModelName'],
+    '00081110': ['SQ', 'ReferencedStudySequence'],
+    '00081111': ['SQ', 'ReferencedPerformedProcedureStepSequence'],
+    '00081115': ['SQ', 'ReferencedSeriesSequence'],
+    '00081120': ['SQ', 'ReferencedPatientSequence'],
+    '00081140': ['SQ', 'ReferencedImageSequence'],
+    '00081150': ['UI', 'ReferencedSOPClassUID'],
+    '00081155': ['UI', 'ReferencedSOPInstanceUID'],
+    '00082111': ['ST', 'DerivationDescription'],
+    '00082112': ['SQ', 'SourceImageSequence'],
+    '00089007': ['CS', 'FrameType'],
+
+    // Patient
+    '00100010': ['PN', 'PatientName'],
+    '00100020': ['LO', 'PatientID'],
+    '00100021': ['LO', 'IssuerOfPatientID'],
+    '00100030': ['DA', 'PatientBirthDate'],
+    '00100032': ['TM', 'PatientBirthTime'],
+    '00100040': ['CS', 'PatientSex'],
+    '00101000': ['LO', 'OtherPatientIDs'],
+    '00101001': ['PN', 'OtherPatientNames'],
+    '00101002': ['SQ', 'OtherPatientIDsSequence'],
+    '00101005': ['PN', 'PatientBirthName'],
+    '00101010': ['AS', 'PatientAge'],
+    '00101020': ['DS', 'PatientSize'],
+    '00101030': ['DS', 'PatientWeight'],
+    '00101040': ['LO', 'PatientAddress'],
+    '00101060': ['PN', 'PatientMotherBirthName'],
+    '00101080': ['LO', 'MilitaryRank'],
+    '00101090': ['LO', 'MedicalRecordLocator'],
+    '00102000': ['LO', 'MedicalAlerts'],
+    '00102110': ['LO', 'Allergies'],
+    '00102150': ['LO', 'CountryOfResidence'],
+    '00102152': ['LO', 'RegionOfResidence'],
+    '00102154': ['SH', 'PatientTelephoneNumbers'],
+    '00102160': ['SH', 'EthnicGroup'],
+    '00102180': ['SH', 'Occupation'],
+    '001021A0': ['CS', 'SmokingStatus'],
+    '001021B0': ['LT', 'AdditionalPatientHistory'],
+    '001021C0': ['US', 'PregnancyStatus'],
+    '001021F0': ['LO', 'PatientReligiousPreference'],
+    '00102203': ['CS', 'PatientSexNeutered'],
+    '00104000': ['LT', 'PatientComments'],
+    '00120062': ['CS', 'PatientIdentityRemoved'],
+    '00120063': ['LO', 'DeidentificationMethod'],
+    '00120064': ['SQ', 'DeidentificationMethodCodeSequence'],
+
+    // Acquisition
+    '00180010': ['LO', 'ContrastBolusAgent'],
+    '00180015': ['CS', 'BodyPartExamined'],
+    '00180020': ['CS', 'ScanningSequence'],
+    '00180021': ['CS', 'SequenceVariant'],
+    '00180022': ['CS', 'ScanOptions'],
+    '00180023': ['CS', 'MRAcquisitionType'],
+    '00180024': ['SH', 'SequenceName'],
+    '00180050': ['DS', 'SliceThickness'],
+    '00180060': ['DS', 'KVP'],
+    '00180080': ['DS', 'RepetitionTime'],
+    '00180081': ['DS', 'EchoTime'],
+    '00180082': ['DS', 'InversionTime'],
+    '00180083': ['DS', 'NumberOfAverages'],
+    '00180084': ['DS', 'ImagingFrequency'],
+    '00180086': ['IS', 'EchoNumbers'],
+    '00180087': ['DS', 'MagneticFieldStrength'],
+    '00180088': ['DS', 'SpacingBetweenSlices'],
+    '00180090': ['DS', 'DataCollectionDiameter'],
+    '00180091': ['IS', 'EchoTrainLength'],
+    '00180095': ['DS', 'PixelBandwidth'],
+    '00181000': ['LO', 'DeviceSerialNumber'],
+    '00181002': ['UI', 'DeviceUID'],
+    '00181004': ['LO', 'PlateID'],
+    '00181020': ['LO', 'SoftwareVersions'],
+    '00181030': ['LO', 'ProtocolName'],
+    '00181041': ['DS', 'ContrastBolusVolume'],
+    '00181072': ['TM', 'RadiopharmaceuticalStartTime'],
+    '00181074': ['DS', 'RadionuclideTotalDose'],
+    '00181075': ['DS', 'RadionuclideHalfLife'],
+    '00181076': ['DS', 'RadionuclidePositronFraction'],
+    '00181078': ['DT', 'RadiopharmaceuticalStartDateTime'],
+    '00181100': ['DS', 'ReconstructionDiameter'],
+    '00181110': ['DS', 'DistanceSourceToDetector'],
+    '00181111': ['DS', 'DistanceSourceToPatient'],
+    '00181120': ['DS', 'GantryDetectorTilt'],
+    '00181130': ['DS', 'TableHeight'],
+    '00181140': ['CS', 'RotationDirection'],
+    '00181150': ['IS', 'ExposureTime'],
+    '00181151': ['IS', 'XRayTubeCurrent'],
+    '00181152': ['IS', 'Exposure'],
+    '00181160': ['SH', 'FilterType'],
+    '00181170': ['IS', 'GeneratorPower'],
+    '00181190': ['DS', 'FocalSpots'],
+    '00181200': ['DA', 'DateOfLastCalibration'],
+    '00181201': ['TM', 'TimeOfLastCalibration'],
+    '00181210': ['SH', 'ConvolutionKernel'],
+    '00181250': ['SH', 'ReceiveCoilName'],
+    '00181251': ['SH', 'TransmitCoilName'],
+    '00181310': ['US', 'AcquisitionMatrix'],
+    '00181312': ['CS', 'InPlanePhaseEncodingDirection'],
+    '00181314': ['DS', 'FlipAngle'],
+    '00181316': ['DS', 'SAR'],
+    '00181400': ['LO', 'AcquisitionDeviceProcessingDescription'],
+    '00185100': ['CS', 'PatientPosition'],
+    '0018700A': ['SH', 'DetectorID'],
+    '00189073': ['FD', 'AcquisitionDuration'],
+    '00189087': ['FD', 'DiffusionBValue'],
+    '00189089': ['FD', 'DiffusionGradientOrientation'],
+    '00189305': ['FD', 'RevolutionTime'],
+    '00189306': ['FD', 'SingleCollimationWidth'],
+    '00189307': ['FD', 'TotalCollimationWidth'],
+    '00189309': ['FD', 'TableSpeed'],
+    '00189310': ['FD', 'TableFeedPerRotation'],
+    '00189311': ['FD', 'SpiralPitchFactor'],
+
+    // Relationship and geometry
+    '0020000D': ['UI', 'StudyInstanceUID'],
+    '0020000E': ['UI', 'SeriesInstanceUID'],
+    '00200010': ['SH', 'StudyID'],
+    '00200011': ['IS', 'SeriesNumber'],
+    '00200012': ['IS', 'AcquisitionNumber'],
+    '00200013': ['IS', 'InstanceNumber'],
+    '00200020': ['CS', 'PatientOrientation'],
+    '00200032': ['DS', 'ImagePositionPatient'],
+    '00200037': ['DS', 'ImageOrientationPatient'],
+    '00200052': ['UI', 'FrameOfReferenceUID'],
+    '00200060': ['CS', 'Laterality'],
+    '00200100': ['IS', 'TemporalPositionIdentifier'],
+    '00200105': ['IS', 'NumberOfTemporalPositions'],
+    '00201002': ['IS', 'ImagesInAcquisition'],
+    '00201040': ['LO', 'PositionReferenceIndicator'],
+    '00201041': ['DS', 'SliceLocation'],
+    '00201206': ['IS', 'NumberOfStudyRelatedSeries'],
+    '00201208': ['IS', 'NumberOfStudyRelatedInstances'],
+    '00201209': ['IS', 'NumberOfSeriesRelatedInstances'],
+    '00204000': ['LT', 'ImageComments'],
+    '00209056': ['SH', 'StackID'],
+    '00209057': ['UL', 'InStackPositionNumber'],
+    '00209111': ['SQ', 'FrameContentSequence'],
+    '00209113': ['SQ', 'PlanePositionSequence'],
+    '00209116': ['SQ', 'PlaneOrientationSequence'],
+    '00209128': ['UL', 'TemporalPositionIndex'],
+    '00209157': ['UL', 'DimensionIndexValues'],
+
+    // Image pixel
+    '00280002': ['US', 'SamplesPerPixel'],
+    '00280004': ['CS', 'PhotometricInterpretation'],
+    '00280006': ['US', 'PlanarConfiguration'],
+    '00280008': ['IS', 'NumberOfFrames'],
+    '00280009': ['AT', 'FrameIncrementPointer'],
+    '00280010': ['US', 'Rows'],
+    '00280011': ['US', 'Columns'],
+    '00280030': ['DS', 'PixelSpacing'],
+    '00280034': ['IS', 'PixelAspectRatio'],
+    '00280100': ['US', 'BitsAllocated'],
+    '00280101': ['US', 'BitsStored'],
+    '00280102': ['US', 'HighBit'],
+    '00280103': ['US', 'PixelRepresentation'],
+    '00280106': ['US', 'SmallestImagePixelValue'],
+    '00280107': ['US', 'LargestImagePixelValue'],
+    '00280120': ['US', 'PixelPaddingValue'],
+    '00280300': ['CS', 'QualityControlImage'],
+    '00280301': ['CS', 'BurnedInAnnotation'],
+    '00280303': ['CS', 'LongitudinalTemporalInformationModified'],
+    '00281050': ['DS', 'WindowCenter'],
+    '00281051': ['DS', 'WindowWidth'],
+    '00281052': ['DS', 'RescaleIntercept'],
+    '00281053': ['DS', 'RescaleSlope'],
+    '00281054': ['LO', 'RescaleType'],
+    '00281055': ['LO', 'WindowCenterWidthExplanation'],
+    '00281056': ['CS', 'VOILUTFunction'],
+    '00282110': ['CS', 'LossyImageCompression'],
+    '00282112': ['DS', 'LossyImageCompressionRatio'],
+    '00282114': ['CS', 'LossyImageCompressionMethod'],
+    '00283000': ['SQ', 'ModalityLUTSequence'],
+    '00283010': ['SQ', 'VOILUTSequence'],
+    '00289110': ['SQ', 'PixelMeasuresSequence'],
+    '00289132': ['SQ', 'FrameVOILUTSequence'],
+    '00289145': ['SQ', 'PixelValueTransformationSequence'],
+
+    // Study / procedure
+    '00321032': ['PN', 'RequestingPhysician'],
+    '00321033': ['LO', 'RequestingService'],
+    '00321060': ['LO', 'RequestedProcedureDescription'],
+    '00324000': ['LT', 'StudyComments'],
+    '00380010': ['LO', 'AdmissionID'],
+    '00380300': ['LO', 'CurrentPatientLocation'],
+    '00380400': ['LO', 'PatientInstitutionResidence'],
+    '00380500': ['LO', 'PatientState'],
+    '00384000': ['LT', 'VisitComments'],
+    '00400244': ['DA', 'PerformedProcedureStepStartDate'],
+    '00400245': ['TM', 'PerformedProcedureStepStartTime'],
+    '00400253': ['SH', 'PerformedProcedureStepID'],
+    '00400254': ['LO', 'PerformedProcedureStepDescription'],
+    '00400275': ['SQ', 'RequestAttributesSequence'],
+    '00401001': ['SH', 'RequestedProcedureID'],
+    '00402016': ['LO', 'PlacerOrderNumberImagingServiceRequest'],
+    '00402017': ['LO', 'FillerOrderNumberImagingServiceRequest'],
+    '0040A030': ['DT', 'VerificationDateTime'],
+    '0040A032': ['DT', 'ObservationDateTime'],
+    '0040A073': ['SQ', 'VerifyingObserverSequence'],
+    '0040A075': ['PN', 'VerifyingObserverName'],
+    '0040A120': ['DT', 'DateTime'],
+    '0040A121': ['DA', 'Date'],
+    '0040A122': ['TM', 'Time'],
+    '0040A123': ['PN', 'PersonName'],
+    '0040A124': ['UI', 'UID'],
+
+    // PET / NM
+    '00540016': ['SQ', 'RadiopharmaceuticalInformationSequence'],
+    '00540081': ['US', 'NumberOfSlices'],
+    '00541000': ['CS', 'SeriesType'],
+    '00541001': ['CS', 'Units'],
+    '00541002': ['CS', 'CountsSource'],
+    '00541100': ['CS', 'RandomsCorrectionMethod'],
+    '00541101': ['LO', 'AttenuationCorrectionMethod'],
+    '00541102': ['CS', 'DecayCorrection'],
+    '00541103': ['LO', 'ReconstructionMethod'],
+    '00541300': ['DS', 'FrameReferenceTime'],
+    '00541321': ['DS', 'DecayFactor'],
+    '00541322': ['DS', 'DoseCalibrationFactor'],
+    '00541330': ['US', 'ImageIndex'],
+
+    // Presentation
+    '00700084': ['PN', 'ContentCreatorName'],
+
+    // Enhanced multi-frame
+    '52009229': ['SQ', 'SharedFunctionalGroupsSequence'],
+    '52009230': ['SQ', 'PerFrameFunctionalGroupsSequence'],
+
+    // Pixel data
+    '7FE00008': ['OF', 'FloatPixelData'],
+    '7FE00009': ['OD', 'DoubleFloatPixelData'],
+    '7FE00010': ['OW', 'PixelData'],
+    'FFFAFFFA': ['SQ', 'DigitalSignaturesSequence'],
+    'FFFCFFFC': ['OB', 'DataSetTrailingPadding']
+};
+
+/**
+ * Look up a tag
+ * @param {string} tag - Tag as GGGGEEEE (case-insensitive), with or without a leading "x"
+ * @returns {Object} { vr, name } - VR is null and the name generic for tags not in the dictionary
+ */
+export function lookupTag(tag) {
+    const key = tag.replace(/^x/i, '').toUpperCase();
+    const entry = DICTIONARY[key];
+    if (entry) {
+        return { vr: entry[0], name: entry[1] };
+    }
+
+    const group = parseInt(key.slice(0, 4), 16);
+    const element = parseInt(key.slice(4), 16);
+    if (element === 0) {
+        return { vr: 'UL', name: 'GroupLength' };
+    }
+    if (group % 2 === 1) {
+        // Private creator elements reserve blocks (gggg,0010-00FF)
+        return element >= 0x10 && element <= 0xff
+            ? { vr: 'LO', name: 'PrivateCreator' }
+            : { vr: null, name: 'Private Tag' };
+    }
+    return { vr: null, name: 'Unknown' };
+}
+
+/**
+ * Format a tag as (GGGG,EEEE)
+ * @param {string} tag - Tag as GGGGEEEE, with or without a leading "x"
+ * @returns {string} Formatted tag
+ */
+export function formatTag(tag) {
+    const key = tag.replace(/^x/i, '').toUpperCase();
+    return `(${key.slice(0, 4)},${key.slice(4)})`;
+}
@@ -0,0 +1,109 @@
+/**
+ * DICOM Geometry Helpers
+ * Vector math on patient-space DICOM attributes (ImageOrientationPatient, ImagePositionPatient)
+ */
+
+/**
+ * Convert a DICOM multi-valued attribute into an array of numbers
+ * @param {Array|string} value - Array of numbers/strings or a backslash separated string
+ * @param {number} length - Expected number of components
+ * @returns {Array<number>|null} Parsed vector, or null when missing or malformed
+ */
+export function parseVector(value, length) {
+    if (value === undefined || value === null) {
+        return null;
+    }
+
+    const parts = Array.isArray(value) ? value : String(value).split('\\');
+    if (parts.length < length) {
+        return null;
+    }
+
+    const vector = parts.slice(0, length).map(part => parseFloat(part));
+    return vector.every(Number.isFinite) ? vector : null;
+}
+
+export function dot(a, b) {
+    return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+}
+
+export function cross(a, b) {
+    return [
+        a[1] * b[2] - a[2] * b[1],
+        a[2] * b[0] - a[0] * b[2],
+        a[0] * b[1] - a[1] * b[0]
+    ];
+}
+
+export function normalize(v) {
+    const length = Math.sqrt(dot(v, v));
+    return length > 0 ? [v[0] / length, v[1] / length, v[2] / length] : [0, 0, 0];
+}
+
+/**
+ * Compute the slice normal (row cosines x column cosines)
+ * @param {Array<number>} orientation - Six ImageOrientationPatient values
+ * @returns {Array<number>|null} Unit normal vector
+ */
+export function getSliceNormal(orientation) {
+    if (!orientation || orientation.length < 6) {
+        return null;
+    }
+    return normalize(cross(orientation.slice(0, 3), orientation.slice(3, 6)));
+}
+
+/**
+ * Classify an image plane as Axial, Coronal, Sagittal or Oblique
+ * @param {Array<number>} orientation - Six ImageOrientationPatient values
+ * @returns {string} Plane label
+ */
+export function getOrientationLabel(orientation) {
+    const normal = getSliceNormal(orientation);
+    if (!normal) {
+        return 'Unknown';
+    }
+
+    const labels = ['Sagittal', 'Coronal', 'Axial'];
+    const magnitudes = normal.map(Math.abs);
+    const major = magnitudes.indexOf(Math.max(...magnitudes));
+
+    // Anything more than ~10 degrees off the main axis is reported as oblique
+    return magnitudes[major] > 0.985 ? labels[major] : 'Oblique';
+}
+
+/**
+ * Outline where a plane cuts a box, e.g. an MPR slice through the volume
+ * @param {Array<Array<number>>} corners - Eight box corners; bits 1, 2 and 4 of a
+ *     corner's index select the far end along the box's first, second and third edge
+ * @param {Array<number>} point - Point on the plane
+ * @param {Array<number>} normal - Plane normal
+ * @returns {Array<Array<number>>} Polygon vertices in order around the plane,
+ *     fewer than 3 when the plane misses the box
+ */
+export function getPlaneBoxIntersection(corners, point, normal) {
+    const distances = corners.map(corner => dot(corner.map((value, i) => value - point[i]), normal));
+
+    const points = new Map();
+    corners.forEach((corner, a) => {
+        [1, 2, 4].filter(bit => !(a & bit)).forEach(bit => {
+            const b = a | bit;
+            const [da, db] = [distances[a], distances[b]];
+            if ((da > 0 && db > 0) || (da < 0 && db < 0) || da === db) return;
+
+            const t = da / (da - db);
+            const vertex = corner.map((value, i) => value + (corners[b][i] - value) * t);
+            // Corners on the plane are reached from several edges
+            points.set(vertex.map(value => value.toFixed(3)).join(','), vertex);
+        });
+    });
+
+    const vertices = [...points.values()];
+    if (vertices.length < 3) return vertices;
+
+    const center = [0, 1, 2].map(i => vertices.reduce((sum, vertex) => sum + vertex[i], 0) / vertices.length);
+    const offset = vertex => vertex.map((value, i) => value - center[i]);
+    const u = normalize(offset(vertices[0]));
+    const v = cross(normal, u);
+    const angle = vertex => Math.atan2(dot(offset(vertex), v), dot(offset(vertex), u));
+    return vertices.sort((a, b) => angle(a) - angle(b));
+}
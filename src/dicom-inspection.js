@@ -0,0 +1,237 @@
+/**
+ * DICOM Inspection Module
+ * Content-based DICOM detection, legacy data set wrapping and multi-frame
+ * geometry. Free of Cornerstone so it also runs in the parse worker.
+ */
+
+import * as dicomParser from 'dicom-parser';
+import { parseVector, getSliceNormal } from './dicom-geometry.js';
+
+const IMPLICIT_VR_LITTLE_ENDIAN = '1.2.840.10008.1.2';
+const EXPLICIT_VR_LITTLE_ENDIAN = '1.2.840.10008.1.2.1';
+
+// SOP classes that are valid DICOM but carry no image for volume rendering
+const NON_IMAGE_SOP_CLASSES = [
+    { prefix: '1.2.840.10008.1.3.10', reason: 'dicomdir', message: 'DICOMDIR media index, not an image' },
+    { prefix: '1.2.840.10008.5.1.4.1.1.88.', reason: 'structured-report', message: 'Structured report (no image data)' },
+    { prefix: '1.2.840.10008.5.1.4.1.1.11.', reason: 'presentation-state', message: 'Presentation state (no image data)' },
+    { prefix: '1.2.840.10008.5.1.4.1.1.104.', reason: 'encapsulated-document', message: 'Encapsulated document (PDF/CDA)' },
+    { prefix: '1.2.840.10008.5.1.4.1.1.481.', reason: 'radiotherapy', message: 'RT object (no image data)', allow: '1.2.840.10008.5.1.4.1.1.481.1' },
+    { prefix: '1.2.840.10008.5.1.4.1.1.66', reason: 'non-image', message: 'Raw data / registration object (no image data)' },
+    { prefix: '1.2.840.10008.5.1.4.1.1.9.', reason: 'non-image', message: 'Waveform (no image data)' }
+];
+
+/**
+ * Inspect raw bytes for DICOM content.
+ * Part 10 files are recognised by the 128-byte preamble followed by "DICM";
+ * anything else gets a fallback parse as a legacy (headerless) data set.
+ * @param {Uint8Array} byteArray - File contents
+ * @returns {Object} { isDicom, isImage, part10, transferSyntaxUID, dataSet, reason, message }
+ */
+export function inspectDicomBytes(byteArray) {
+    const result = {
+        isDicom: false,
+        isImage: false,
+        part10: false,
+        transferSyntaxUID: null,
+        dataSet: null,
+        reason: 'not-dicom',
+        message: 'Not a DICOM file'
+    };
+
+    const hasMagic = byteArray.length >= 132 &&
+        byteArray[128] === 0x44 && byteArray[129] === 0x49 &&
+        byteArray[130] === 0x43 && byteArray[131] === 0x4d;
+
+    if (hasMagic) {
+        try {
+            result.dataSet = dicomParser.parseDicom(byteArray, { untilTag: 'x7fe00010' });
+            result.part10 = true;
+            result.transferSyntaxUID = result.dataSet.string('x00020010');
+        } catch (error) {
+            result.message = `Corrupt DICOM header: ${error.message || error}`;
+            return result;
+        }
+    } else {
+        const legacy = parseLegacyDataset(byteArray);
+        if (!legacy) {
+            return result;
+        }
+        result.dataSet = legacy.dataSet;
+        result.transferSyntaxUID = legacy.transferSyntaxUID;
+    }
+
+    result.isDicom = true;
+
+    // Some writers omit the Media Storage SOP Class, so also look for the directory records
+    const sopClassUID = result.dataSet.elements.x00041220
+        ? '1.2.840.10008.1.3.10'
+        : result.dataSet.string('x00020002') || result.dataSet.string('x00080016') || '';
+    const nonImage = NON_IMAGE_SOP_CLASSES.find(entry =>
+        sopClassUID.startsWith(entry.prefix) && sopClassUID !== entry.allow
+    );
+
+    if (nonImage) {
+        result.reason = nonImage.reason;
+        result.message = nonImage.message;
+        return result;
+    }
+
+    if (!result.dataSet.elements.x7fe00010) {
+        result.reason = 'no-pixel-data';
+        result.message = 'DICOM object without pixel data';
+        return result;
+    }
+
+    result.isImage = true;
+    result.reason = null;
+    result.message = null;
+    return result;
+}
+
+/**
+ * Try to parse a legacy data set that has no preamble or meta header
+ * (common for old ACR-NEMA style exports)
+ * @param {Uint8Array} byteArray - File contents
+ * @returns {Object|null} { dataSet, transferSyntaxUID } if the bytes look like DICOM
+ */
+export function parseLegacyDataset(byteArray) {
+    // A data set starts with a low group number such as 0008; rejects most other formats cheaply
+    if (byteArray.length < 8 || byteArray[1] !== 0x00 || byteArray[0] > 0x08) {
+        return null;
+    }
+
+    for (const transferSyntaxUID of [IMPLICIT_VR_LITTLE_ENDIAN, EXPLICIT_VR_LITTLE_ENDIAN]) {
+        try {
+            const dataSet = dicomParser.parseDicom(byteArray, {
+                TransferSyntaxUID: transferSyntaxUID,
+                untilTag: 'x7fe00010'
+            });
+
+            // Random bytes occasionally parse; require identifying attributes with sane values
+            const uid = dataSet.string('x00080016') || dataSet.string('x00080018') || '';
+            const hasImageTags = dataSet.elements.x00280010 && dataSet.elements.x7fe00010;
+            if (/^[0-9.]+$/.test(uid) || hasImageTags) {
+                return { dataSet, transferSyntaxUID };
+            }
+        } catch (error) {
+            // Try the next transfer syntax
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Prepend a preamble and File Meta Information group to a legacy data set
+ * @param {Uint8Array} byteArray - Headerless data set
+ * @param {Object} inspection - Result of inspectDicomBytes
+ * @returns {Uint8Array} Part 10 encoded file
+ */
+export function wrapLegacyDataset(byteArray, inspection) {
+    const { dataSet, transferSyntaxUID } = inspection;
+    const encoder = new TextEncoder();
+
+    // Explicit VR little endian element; UI values are padded with NUL to even length
+    const element = (group, elementNumber, vr, value) => {
+        let bytes = typeof value === 'string' ? encoder.encode(value) : value;
+        if (bytes.length % 2) {
+            const padded = new Uint8Array(bytes.length + 1);
+            padded.set(bytes);
+            bytes = padded;
+        }
+
+        const longHeader = vr === 'OB';
+        const header = new DataView(new ArrayBuffer(longHeader ? 12 : 8));
+        header.setUint16(0, group, true);
+        header.setUint16(2, elementNumber, true);
+        header.setUint8(4, vr.charCodeAt(0));
+        header.setUint8(5, vr.charCodeAt(1));
+        if (longHeader) {
+            header.setUint32(8, bytes.length, true);
+        } else {
+            header.setUint16(6, bytes.length, true);
+        }
+        return [new Uint8Array(header.buffer), bytes];
+    };
+
+    const metaElements = [
+        ...element(0x0002, 0x0001, 'OB', new Uint8Array([0x00, 0x01])),
+        ...element(0x0002, 0x0002, 'UI', dataSet.string('x00080016') || ''),
+        ...element(0x0002, 0x0003, 'UI', dataSet.string('x00080018') || ''),
+        ...element(0x0002, 0x0010, 'UI', transferSyntaxUID)
+    ];
+    const metaLength = metaElements.reduce((total, part) => total + part.length, 0);
+    const groupLength = new Uint8Array(4);
+    new DataView(groupLength.buffer).setUint32(0, metaLength, true);
+
+    const parts = [
+        new Uint8Array(128),
+        encoder.encode('DICM'),
+        ...element(0x0002, 0x0000, 'UL', groupLength),
+        ...metaElements,
+        byteArray
+    ];
+
+    const output = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+    let offset = 0;
+    parts.forEach(part => {
+        output.set(part, offset);
+        offset += part.length;
+    });
+    return output;
+}
+
+/**
+ * Read per-frame plane geometry of a multi-frame object.
+ * Enhanced CT/MR store position, orientation and pixel measures in the
+ * Per-frame (5200,9230) or Shared (5200,9229) Functional Groups; legacy
+ * multi-frame files only have one position, so later frames are stepped
+ * along the slice normal by SpacingBetweenSlices.
+ * @param {Object} dataSet - dicomParser data set
+ * @param {number} numberOfFrames - NumberOfFrames
+ * @returns {Array<Object>} Geometry per frame
+ */
+export function getFrameGeometry(dataSet, numberOfFrames) {
+    const shared = dataSet.elements.x52009229?.items?.[0]?.dataSet;
+    const perFrame = dataSet.elements.x52009230?.items || [];
+    const macro = (groups, sequenceTag) => groups?.elements[sequenceTag]?.items?.[0]?.dataSet;
+    const functionalGroup = (frameGroups, sequenceTag) =>
+        macro(frameGroups, sequenceTag) || macro(shared, sequenceTag);
+
+    const topOrientation = parseVector(dataSet.string('x00200037'), 6);
+    const topPosition = parseVector(dataSet.string('x00200032'), 3);
+    const topPixelSpacing = parseVector(dataSet.string('x00280030'), 2);
+    const spacingBetweenSlices = parseFloat(dataSet.string('x00180088'));
+
+    const frames = [];
+    for (let index = 0; index < numberOfFrames; index++) {
+        const frameGroups = perFrame[index]?.dataSet;
+        const planePosition = functionalGroup(frameGroups, 'x00209113');
+        const planeOrientation = functionalGroup(frameGroups, 'x00209116');
+        const pixelMeasures = functionalGroup(frameGroups, 'x00289110');
+        const frameContent = macro(frameGroups, 'x00209111');
+
+        const imageOrientationPatient = parseVector(planeOrientation?.string('x00200037'), 6) || topOrientation;
+        let imagePositionPatient = parseVector(planePosition?.string('x00200032'), 3);
+
+        if (!imagePositionPatient && topPosition) {
+            const normal = getSliceNormal(imageOrientationPatient);
+            imagePositionPatient = normal && Number.isFinite(spacingBetweenSlices)
+                ? topPosition.map((value, axis) => value + normal[axis] * spacingBetweenSlices * index)
+                : null;
+        }
+
+        const sliceThickness = parseFloat(pixelMeasures?.string('x00180050') ?? dataSet.string('x00180050'));
+
+        frames.push({
+            imagePositionPatient,
+            imageOrientationPatient,
+            pixelSpacing: parseVector(pixelMeasures?.string('x00280030'), 2) || topPixelSpacing,
+            sliceThickness: Number.isFinite(sliceThickness) ? sliceThickness : null,
+            stackId: frameContent?.string('x00209056') || null
+        });
+    }
+
+    return frames;
+}
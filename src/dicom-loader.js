@@ -6,9 +6,28 @@
 import * as cornerstone from '@cornerstonejs/core';
 import * as cornerstoneDICOMImageLoader from '@cornerstonejs/dicom-image-loader';
 import * as dicomParser from 'dicom-parser';
+import { parseVector, getOrientationLabel, getSliceNormal, dot } from './dicom-geometry.js';
+import { getRange } from './raster-volume.js';
+import { getSuvFactors, suvScalingProvider } from './pet-suv.js';
+import ZipReader from './zip-reader.js';
+import WorkerPool, { createAbortError } from './worker-pool.js';
+
+// Leave a core for the UI and Cornerstone's decode workers
+const PARSE_WORKERS = Math.max(1, Math.min(4, (navigator.hardwareConcurrency || 2) - 1));
+// Files in flight at once: enough to keep the parse workers busy while images load
+const FILE_CONCURRENCY = PARSE_WORKERS * 2;
+// Smaller angles between the slice stack and the slice normal are rounding noise
+const TILT_TOLERANCE_DEGREES = 0.1;
 
 class DicomLoader {
     constructor() {
+        this.zipReader = new ZipReader();
+        // Per-frame plane geometry of multi-frame files, keyed by frame imageId
+        this.frameGeometry = new Map();
+        this.parsePool = new WorkerPool(
+            () => new Worker(new URL('./dicom-parse-worker.js', import.meta.url)),
+            PARSE_WORKERS
+        );
         this.initializeDicomLoader();
     }
 
@@ -22,6 +41,10 @@ class DicomLoader {
                 cornerstone,
                 dicomParser
             });
+
+            this.registerFrameMetadataProvider();
+            // PET images are decoded straight to body-weight SUV where the header allows
+            cornerstone.metaData.addProvider(suvScalingProvider);
             
             console.log('DICOM loader initialized successfully');
         } catch (error) {
@@ -30,125 +53,372 @@ class DicomLoader {
     }
 
     /**
-     * Load DICOM file from File object
+     * Serve imagePlaneModule for frames of multi-frame files from the geometry
+     * read out of the functional groups, so Cornerstone's volume loader sees
+     * the same per-frame positions as our own slice sorting.
+     */
+    registerFrameMetadataProvider() {
+        const provider = (type, imageId) => {
+            if (type !== 'imagePlaneModule') return;
+
+            const geometry = this.frameGeometry.get(imageId);
+            if (!geometry) return;
+
+            const base = cornerstoneDICOMImageLoader.wadouri.metaData.metaDataProvider(type, imageId) || {};
+            const plane = { ...base };
+
+            if (geometry.imagePositionPatient) {
+                plane.imagePositionPatient = geometry.imagePositionPatient;
+            }
+            if (geometry.imageOrientationPatient) {
+                plane.imageOrientationPatient = geometry.imageOrientationPatient;
+                plane.rowCosines = geometry.imageOrientationPatient.slice(0, 3);
+                plane.columnCosines = geometry.imageOrientationPatient.slice(3, 6);
+            }
+            if (geometry.pixelSpacing) {
+                plane.pixelSpacing = geometry.pixelSpacing;
+                plane.rowPixelSpacing = geometry.pixelSpacing[0];
+                plane.columnPixelSpacing = geometry.pixelSpacing[1];
+            }
+            if (geometry.sliceThickness) {
+                plane.sliceThickness = geometry.sliceThickness;
+            }
+            return plane;
+        };
+
+        // Higher priority than the wadouri provider
+        cornerstone.metaData.addProvider(provider, 10000);
+    }
+
+    /**
+     * Load DICOM file from File object.
+     * The file is read and inspected in a parse worker; multi-frame files
+     * (including Enhanced CT/MR) are expanded into one entry per frame with
+     * its own imageId.
      * @param {File} file - DICOM file from file input
-     * @returns {Promise<Object>} Promise resolving to image data and metadata
+     * @param {Object} options - { signal, onFileRead, onImageLoaded } where onImageLoaded is called per decoded frame
+     * @returns {Promise<Array<Object>>} Promise resolving to image data and metadata per frame
      */
-    async loadDicomFile(file) {
-        return new Promise((resolve, reject) => {
-            if (!file) {
-                reject(new Error('No file provided'));
-                return;
+    async loadDicomFile(file, { signal, onFileRead, onImageLoaded } = {}) {
+        if (!file) {
+            throw new Error('No file provided');
+        }
+
+        console.log('Loading DICOM file:', file.name);
+
+        let parsed;
+        try {
+            parsed = await this.parsePool.run({ file }, { signal });
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            console.error('Error processing file:', error);
+            throw this.createRejection('decode-error', `Failed to process DICOM file: ${error.message}`);
+        }
+        onFileRead?.(file);
+
+        if (!parsed.isImage) {
+            throw this.createRejection(parsed.reason, parsed.message);
+        }
+
+        // Create a blob URL for the DICOM file
+        const blob = new Blob([parsed.buffer], { type: 'application/dicom' });
+        const imageId = cornerstoneDICOMImageLoader.wadouri.fileManager.add(blob);
+
+        console.log('Created image ID:', imageId);
+
+        const { frames } = parsed;
+        const imageIds = frames
+            ? frames.map((geometry, index) => `${imageId}?frame=${index + 1}`)
+            : [imageId];
+
+        frames?.forEach((geometry, index) => this.frameGeometry.set(imageIds[index], geometry));
+
+        // Load the image (every frame for multi-frame files)
+        let images;
+        try {
+            images = await Promise.all(imageIds.map(id => cornerstone.imageLoader.loadImage(id).then((image) => {
+                onImageLoaded?.();
+                return image;
+            })));
+        } catch (error) {
+            console.error('Error loading image:', error);
+            this.releaseImages(imageIds);
+            throw this.createRejection('decode-error', `Failed to load DICOM image: ${error.message}`);
+        }
+
+        if (signal?.aborted) {
+            this.releaseImages(imageIds);
+            throw createAbortError();
+        }
+
+        console.log(`Loaded ${images.length} image(s) from ${file.name}`);
+
+        return images.map((image, index) => {
+            // Extract metadata
+            const metadata = this.extractMetadata(image);
+
+            if (frames) {
+                // Frame order is the fallback when positions are missing
+                metadata.instanceNumber = index + 1;
+                metadata.stackId = frames[index].stackId;
             }
 
-            if (!this.isDicomFile(file)) {
-                reject(new Error('Invalid DICOM file'));
-                return;
+            return {
+                image: image,
+                imageId: imageIds[index],
+                metadata: metadata,
+                fileName: frames ? `${file.name} (frame ${index + 1})` : file.name,
+                frameNumber: frames ? index + 1 : null,
+                // Kept so the series can be stored in the study library
+                file
+            };
+        });
+    }
+
+    /**
+     * Forget the frames of one file: decoded images, geometry and the file itself.
+     * Decaching a loaded frame also releases its reference to the parsed data set.
+     * @param {Array<string>} imageIds - Frame imageIds of a single dicomfile: entry
+     */
+    releaseImages(imageIds) {
+        const { wadouri } = cornerstoneDICOMImageLoader;
+        // For dicomfile: imageIds the parsed url is the file manager index
+        const { url } = wadouri.parseImageId(imageIds[0]);
+
+        imageIds.forEach(imageId => {
+            this.frameGeometry.delete(imageId);
+            // Frames still decoding are in the cache too; removing them cancels the load
+            if (cornerstone.cache.getImageLoadObject(imageId)) {
+                cornerstone.cache.removeImageLoadObject(imageId);
             }
+        });
+        wadouri.fileManager.remove(parseInt(url, 10));
+    }
 
-            console.log('Loading DICOM file:', file.name);
+    /**
+     * Replace ZIP archives in a file list with the files they contain
+     * @param {FileList|Array<File>} files - Files, possibly including .zip archives
+     * @param {Function} onProgress - Called with { archive, entriesDone, entriesTotal, bytesDone, bytesTotal }
+     * @returns {Promise<Object>} { files, failed } with archives expanded; failed lists unreadable
+     *     archives and entries as { file, error, reason }
+     */
+    async expandArchives(files, onProgress) {
+        const expanded = [];
+        const failed = [];
 
-            const fileReader = new FileReader();
-            
-            fileReader.onload = (event) => {
+        for (const file of Array.from(files)) {
+            if (!this.zipReader.isZipFile(file)) {
+                expanded.push(file);
+                continue;
+            }
+
+            try {
+                const entries = await this.zipReader.extract(file, (progress) => {
+                    onProgress?.({ archive: file.name, ...progress });
+                });
+                console.log(`Extracted ${entries.files.length} files from ${file.name}`);
+                expanded.push(...entries.files);
+                failed.push(...entries.failed);
+            } catch (error) {
+                console.error('Error extracting archive:', error);
+                failed.push({
+                    file: file.name,
+                    error: `Failed to extract archive: ${error.message}`,
+                    reason: 'archive-error'
+                });
+            }
+        }
+
+        return { files: expanded, failed };
+    }
+
+    /**
+     * Load multiple DICOM files, a bounded number at a time
+     * @param {Array<File>} files - Multiple DICOM files, with archives already expanded by expandArchives
+     * @param {Object} options
+     * @param {AbortSignal} options.signal - Cancels the load; already loaded images are released
+     * @param {Function} options.onProgress - Called with { filesRead, filesDone, filesTotal, slicesDecoded, bytesRead, bytesTotal }
+     * @param {Array<Object>} options.archiveFailures - Failures from expandArchives, reported with the load's own
+     * @returns {Promise<Object>} Promise resolving to loaded images, failures and series groups
+     */
+    async loadMultipleDicomFiles(files, { signal, onProgress, archiveFailures = [] } = {}) {
+        const progress = {
+            filesRead: 0,
+            filesDone: 0,
+            filesTotal: files.length,
+            slicesDecoded: 0,
+            bytesRead: 0,
+            bytesTotal: files.reduce((total, file) => total + file.size, 0)
+        };
+        const callbacks = {
+            signal,
+            onFileRead: (file) => {
+                progress.filesRead++;
+                progress.bytesRead += file.size;
+                onProgress?.({ ...progress });
+            },
+            onImageLoaded: () => {
+                progress.slicesDecoded++;
+                onProgress?.({ ...progress });
+            }
+        };
+        onProgress?.({ ...progress });
+
+        const results = new Array(files.length);
+        let next = 0;
+        const runNext = async () => {
+            while (next < files.length && !signal?.aborted) {
+                const index = next++;
                 try {
-                    const arrayBuffer = event.target.result;
-                    const byteArray = new Uint8Array(arrayBuffer);
-                    
-                    // Create a blob URL for the DICOM file
-                    const blob = new Blob([byteArray], { type: 'application/dicom' });
-                    const imageId = cornerstoneDICOMImageLoader.wadouri.fileManager.add(blob);
-                    
-                    console.log('Created image ID:', imageId);
-                    
-                    // Load the image
-                    cornerstone.imageLoader.loadImage(imageId).then((image) => {
-                        console.log('Image loaded successfully:', image);
-                        
-                        // Extract metadata
-                        const metadata = this.extractMetadata(image);
-                        
-                        resolve({
-                            image: image,
-                            imageId: imageId,
-                            metadata: metadata,
-                            fileName: file.name
-                        });
-                    }).catch((error) => {
-                        console.error('Error loading image:', error);
-                        reject(new Error(`Failed to load DICOM image: ${error.message}`));
-                    });
-                    
+                    results[index] = { status: 'fulfilled', value: await this.loadDicomFile(files[index], callbacks) };
                 } catch (error) {
-                    console.error('Error processing file:', error);
-                    reject(new Error(`Failed to process DICOM file: ${error.message}`));
+                    results[index] = { status: 'rejected', reason: error };
                 }
+                progress.filesDone++;
+                onProgress?.({ ...progress });
+            }
+        };
+        await Promise.all(Array.from({ length: Math.min(FILE_CONCURRENCY, files.length) }, runNext));
+
+        if (signal?.aborted) {
+            results.forEach(result => {
+                if (result?.status === 'fulfilled' && result.value.length > 0) {
+                    this.releaseImages(result.value.map(entry => entry.imageId));
+                }
+            });
+            throw createAbortError();
+        }
+
+        const successful = [];
+        const failed = [...archiveFailures];
+
+        results.forEach((result, index) => {
+            if (result.status === 'fulfilled') {
+                successful.push(...result.value);
+            } else {
+                failed.push({
+                    file: files[index].name,
+                    error: result.reason.message,
+                    reason: result.reason.reason || 'load-error'
+                });
+            }
+        });
+
+        if (failed.length > 0) {
+            console.warn('Some files failed to load:', failed);
+        }
+
+        return {
+            successful: successful,
+            failed: failed,
+            series: this.groupIntoSeries(successful),
+            total: files.length
+        };
+    }
+
+    /**
+     * Prepare a DICOMweb series for streaming.
+     * Only the WADO-RS metadata is fetched here; pixel data is streamed by
+     * the volume loader once the volume is displayed. The entries mirror
+     * loadDicomFile results so sorting and spacing checks are shared.
+     * @param {DicomWebClient} client - Configured DICOMweb client
+     * @param {string} studyInstanceUID - Study of the series
+     * @param {string} seriesInstanceUID - Series to load
+     * @returns {Promise<Array<Object>>} Series groups flagged as remote
+     */
+    async loadDicomWebSeries(client, studyInstanceUID, seriesInstanceUID) {
+        const imageIds = await client.retrieveSeriesImageIds(studyInstanceUID, seriesInstanceUID);
+
+        const entries = imageIds.map(imageId => {
+            const pixelModule = cornerstone.metaData.get('imagePixelModule', imageId) || {};
+            const voiModule = cornerstone.metaData.get('voiLutModule', imageId) || {};
+            const modalityLutModule = cornerstone.metaData.get('modalityLutModule', imageId) || {};
+
+            // Header-only stand-in for a Cornerstone image
+            const image = {
+                imageId,
+                width: pixelModule.columns,
+                height: pixelModule.rows,
+                windowCenter: voiModule.windowCenter?.[0],
+                windowWidth: voiModule.windowWidth?.[0],
+                intercept: modalityLutModule.rescaleIntercept,
+                slope: modalityLutModule.rescaleSlope
             };
-            
-            fileReader.onerror = () => {
-                reject(new Error('Failed to read file'));
+
+            const [sopInstanceUID, , frame] = imageId.slice(imageId.indexOf('/instances/') + 11).split('/');
+            return {
+                image,
+                imageId,
+                metadata: this.extractMetadata(image),
+                fileName: frame === '1' ? sopInstanceUID : `${sopInstanceUID} (frame ${frame})`,
+                frameNumber: Number(frame)
             };
-            
-            fileReader.readAsArrayBuffer(file);
         });
+
+        const series = this.groupIntoSeries(entries);
+        series.forEach(group => {
+            group.remote = true;
+        });
+        return series;
     }
 
     /**
-     * Load multiple DICOM files
-     * @param {FileList} files - Multiple DICOM files
-     * @returns {Promise<Array>} Promise resolving to array of loaded images
+     * Group loaded images into series by Study/Series Instance UID and orientation.
+     * Scouts and localizers often share a SeriesInstanceUID with the main
+     * acquisition but use a different plane, so orientation is part of the key.
+     * @param {Array} loadedImages - Results from loadDicomFile
+     * @returns {Array<Object>} Series sorted by series number
      */
-    async loadMultipleDicomFiles(files) {
-        const loadPromises = Array.from(files).map(file => this.loadDicomFile(file));
-        
-        try {
-            const results = await Promise.allSettled(loadPromises);
-            const successful = [];
-            const failed = [];
-            
-            results.forEach((result, index) => {
-                if (result.status === 'fulfilled') {
-                    successful.push(result.value);
-                } else {
-                    failed.push({
-                        file: files[index].name,
-                        error: result.reason.message
-                    });
-                }
-            });
-            
-            if (failed.length > 0) {
-                console.warn('Some files failed to load:', failed);
+    groupIntoSeries(loadedImages) {
+        const seriesMap = new Map();
+
+        loadedImages.forEach(loaded => {
+            const metadata = loaded.metadata;
+            const orientation = metadata.imageOrientationPatient;
+            const orientationKey = orientation
+                ? orientation.map(value => value.toFixed(2)).join(',')
+                : 'unknown';
+            const key = [
+                metadata.studyInstanceUID || 'unknown-study',
+                metadata.seriesInstanceUID || 'unknown-series',
+                orientationKey,
+                // Enhanced MR can hold several stacks in one series
+                metadata.stackId || ''
+            ].join('|');
+
+            if (!seriesMap.has(key)) {
+                seriesMap.set(key, {
+                    id: key,
+                    studyInstanceUID: metadata.studyInstanceUID,
+                    seriesInstanceUID: metadata.seriesInstanceUID,
+                    seriesNumber: metadata.seriesNumber,
+                    seriesDescription: metadata.seriesDescription,
+                    modality: metadata.modality,
+                    orientation: getOrientationLabel(orientation),
+                    images: []
+                });
             }
-            
-            return {
-                successful: successful,
-                failed: failed,
-                total: files.length
-            };
-        } catch (error) {
-            throw new Error(`Failed to load DICOM files: ${error.message}`);
-        }
+
+            seriesMap.get(key).images.push(loaded);
+        });
+
+        return Array.from(seriesMap.values()).sort((a, b) => {
+            const aNumber = a.seriesNumber ?? Number.MAX_SAFE_INTEGER;
+            const bNumber = b.seriesNumber ?? Number.MAX_SAFE_INTEGER;
+            return aNumber - bNumber || b.images.length - a.images.length;
+        });
     }
 
     /**
-     * Check if file is a valid DICOM file
-     * @param {File} file - File to check
-     * @returns {boolean} True if file appears to be DICOM
+     * Create an Error carrying a machine readable rejection reason
+     * @param {string} reason - Reason code (not-dicom, dicomdir, structured-report, ...)
+     * @param {string} message - Human readable message
+     * @returns {Error} Error with a reason property
      */
-    isDicomFile(file) {
-        // Check file extension
-        const validExtensions = ['.dcm', '.dicom', '.DCM', '.DICOM'];
-        const hasValidExtension = validExtensions.some(ext => 
-            file.name.toLowerCase().endsWith(ext.toLowerCase())
-        );
-        
-        // Check MIME type (some browsers set this)
-        const hasValidMimeType = file.type === 'application/dicom' || 
-                                file.type === 'application/octet-stream' ||
-                                file.type === '';
-        
-        return hasValidExtension && hasValidMimeType;
+    createRejection(reason, message) {
+        const error = new Error(message);
+        error.reason = reason;
+        return error;
     }
 
     /**
@@ -162,11 +432,21 @@ class DicomLoader {
             studyDate: 'Unknown',
             modality: 'Unknown',
             dimensions: `${image.width} x ${image.height}`,
-            pixelSpacing: 'Unknown',
+            pixelSpacing: null,
+            sliceThickness: null,
             windowCenter: image.windowCenter || 'Unknown',
             windowWidth: image.windowWidth || 'Unknown',
             intercept: image.intercept || 0,
-            slope: image.slope || 1
+            slope: image.slope || 1,
+            studyInstanceUID: null,
+            seriesInstanceUID: null,
+            seriesNumber: null,
+            seriesDescription: '',
+            imageOrientationPatient: null,
+            imagePositionPatient: null,
+            instanceNumber: null,
+            stackId: null,
+            frameOfReferenceUID: null
         };
 
         try {
@@ -179,6 +459,8 @@ class DicomLoader {
                 const patientModule = cornerstone.metaData.get('patientModule', imageId);
                 const generalStudyModule = cornerstone.metaData.get('generalStudyModule', imageId);
                 const imagePixelModule = cornerstone.metaData.get('imagePixelModule', imageId);
+                const generalSeriesModule = cornerstone.metaData.get('generalSeriesModule', imageId);
+                const imagePlaneModule = cornerstone.metaData.get('imagePlaneModule', imageId);
                 
                 // Extract patient name
                 if (patientModule && patientModule.patientName) {
@@ -194,16 +476,35 @@ class DicomLoader {
                 if (generalImageModule && generalImageModule.modality) {
                     metadata.modality = generalImageModule.modality;
                 }
-                
-                // Extract pixel spacing
-                if (imagePixelModule && imagePixelModule.pixelSpacing) {
-                    const spacing = imagePixelModule.pixelSpacing;
-                    if (Array.isArray(spacing)) {
-                        metadata.pixelSpacing = `${spacing[0]} x ${spacing[1]}`;
-                    } else {
-                        metadata.pixelSpacing = spacing.toString();
+
+                // Extract instance number (fallback ordering key)
+                if (generalImageModule && generalImageModule.instanceNumber !== undefined) {
+                    metadata.instanceNumber = generalImageModule.instanceNumber;
+                }
+
+                // Extract series identity used to group files into series
+                if (generalSeriesModule) {
+                    metadata.studyInstanceUID = generalSeriesModule.studyInstanceUID || null;
+                    metadata.seriesInstanceUID = generalSeriesModule.seriesInstanceUID || null;
+                    metadata.seriesNumber = generalSeriesModule.seriesNumber ?? null;
+                    metadata.seriesDescription = generalSeriesModule.seriesDescription || '';
+                    if (generalSeriesModule.modality) {
+                        metadata.modality = generalSeriesModule.modality;
                     }
                 }
+
+                // Extract image orientation and position
+                if (imagePlaneModule) {
+                    metadata.imageOrientationPatient = parseVector(imagePlaneModule.imageOrientationPatient, 6);
+                    metadata.imagePositionPatient = parseVector(imagePlaneModule.imagePositionPatient, 3);
+                    metadata.frameOfReferenceUID = imagePlaneModule.frameOfReferenceUID || null;
+
+                    // Pixel spacing as [row spacing, column spacing] in mm
+                    metadata.pixelSpacing = parseVector(imagePlaneModule.pixelSpacing, 2);
+
+                    const sliceThickness = parseFloat(imagePlaneModule.sliceThickness);
+                    metadata.sliceThickness = Number.isFinite(sliceThickness) ? sliceThickness : null;
+                }
             }
             
             // Fallback: try to access data directly from image object
@@ -228,8 +529,8 @@ class DicomLoader {
                     }
                     
                     // Pixel spacing (0028,0030)
-                    if (elements.x00280030 && elements.x00280030.vr === 'DS') {
-                        metadata.pixelSpacing = elements.x00280030.value || 'Unknown';
+                    if (!metadata.pixelSpacing && elements.x00280030) {
+                        metadata.pixelSpacing = parseVector(image.data.string('x00280030'), 2);
                     }
                 }
             }
@@ -254,13 +555,7 @@ class DicomLoader {
             throw new Error('No images provided for volume creation');
         }
 
-        // Sort images by instance number or position
-        const sortedImages = images.sort((a, b) => {
-            const aPos = a.metadata.instanceNumber || 0;
-            const bPos = b.metadata.instanceNumber || 0;
-            return aPos - bPos;
-        });
-
+        const { sortedImages, duplicates } = this.sortImagesByPosition(images);
         const firstImage = sortedImages[0].image;
         
         return {
@@ -271,41 +566,410 @@ class DicomLoader {
                 depth: sortedImages.length
             },
             metadata: sortedImages[0].metadata,
-            spacing: this.calculateVolumeSpacing(sortedImages)
+            images: sortedImages,
+            spacing: this.calculateVolumeSpacing(sortedImages),
+            tilt: this.detectGantryTilt(sortedImages),
+            duplicates: duplicates
         };
     }
 
     /**
-     * Calculate volume spacing for 3D reconstruction
+     * Detect gantry tilt: slice positions that advance along a direction other
+     * than the slice normal, so each slice is shifted in-plane against the first.
+     * Rendering such a stack on an orthogonal grid shears the anatomy.
+     * @param {Array} sortedImages - Images sorted along the slice normal
+     * @returns {Object|null} { angle } in degrees and per-slice in-plane { offsets } [x, y] in mm,
+     *     or null for an orthogonal stack
+     */
+    detectGantryTilt(sortedImages) {
+        const orientation = sortedImages[0]?.metadata.imageOrientationPatient;
+        const normal = getSliceNormal(orientation);
+        if (!normal || sortedImages.length < 2 || !sortedImages.every(img => img.metadata.imagePositionPatient)) {
+            return null;
+        }
+
+        const origin = sortedImages[0].metadata.imagePositionPatient;
+        const row = orientation.slice(0, 3);
+        const column = orientation.slice(3, 6);
+        const offsets = sortedImages.map(img => {
+            const delta = img.metadata.imagePositionPatient.map((value, i) => value - origin[i]);
+            return [dot(delta, row), dot(delta, column)];
+        });
+
+        const last = sortedImages[sortedImages.length - 1].metadata.imagePositionPatient;
+        const along = dot(last.map((value, i) => value - origin[i]), normal);
+        const across = Math.hypot(...offsets[offsets.length - 1]);
+        const angle = Math.atan2(across, along) * 180 / Math.PI;
+
+        return angle >= TILT_TOLERANCE_DEGREES ? { angle, offsets } : null;
+    }
+
+    /**
+     * Sort images geometrically along the slice normal.
+     * Each ImagePositionPatient is projected onto the normal derived from
+     * ImageOrientationPatient, so file names and upload order do not matter.
+     * Images sharing a position are reported and only the first is kept.
+     * Falls back to instance number when positions are missing.
+     * @param {Array} images - Array of loaded DICOM images
+     * @returns {Object} { sortedImages, duplicates }
+     */
+    sortImagesByPosition(images) {
+        const distances = this.getSliceDistances(images);
+
+        if (!distances) {
+            console.warn('ImagePositionPatient/ImageOrientationPatient missing, sorting by instance number');
+            const sortedImages = images.slice().sort((a, b) => {
+                const aPos = a.metadata.instanceNumber || 0;
+                const bPos = b.metadata.instanceNumber || 0;
+                return aPos - bPos;
+            });
+            return { sortedImages, duplicates: [] };
+        }
+
+        const projected = images
+            .map((img, index) => ({
+                img,
+                distance: distances[index]
+            }))
+            .sort((a, b) => a.distance - b.distance ||
+                (a.img.metadata.instanceNumber || 0) - (b.img.metadata.instanceNumber || 0));
+
+        // Positions closer than this (mm) are treated as the same slice
+        const tolerance = 1e-3;
+        const sortedImages = [];
+        const duplicates = [];
+
+        projected.forEach((entry, index) => {
+            const previous = index > 0 ? projected[index - 1] : null;
+            if (previous && Math.abs(entry.distance - previous.distance) < tolerance) {
+                duplicates.push({
+                    fileName: entry.img.fileName,
+                    duplicateOf: sortedImages[sortedImages.length - 1].fileName,
+                    position: entry.img.metadata.imagePositionPatient
+                });
+                return;
+            }
+            sortedImages.push(entry.img);
+        });
+
+        if (duplicates.length > 0) {
+            console.warn('Duplicate slice positions detected:', duplicates);
+        }
+
+        return { sortedImages, duplicates };
+    }
+
+    /**
+     * Project each image position onto the slice normal of the first image
+     * @param {Array} images - Array of loaded DICOM images
+     * @returns {Array<number>|null} Distance along the normal per image (mm), or null without geometry
+     */
+    getSliceDistances(images) {
+        const normal = getSliceNormal(images[0]?.metadata.imageOrientationPatient);
+        if (!normal || !images.every(img => img.metadata.imagePositionPatient)) {
+            return null;
+        }
+        return images.map(img => dot(img.metadata.imagePositionPatient, normal));
+    }
+
+    /**
+     * Calculate volume spacing for 3D reconstruction.
+     * The slice spacing is the median distance between neighbouring slice
+     * positions; missing slices, irregular spacing and a SliceThickness that
+     * disagrees with the spacing are reported as warnings.
      * @param {Array} sortedImages - Sorted array of images
      * @returns {Object} Spacing information
      */
     calculateVolumeSpacing(sortedImages) {
-        const defaultSpacing = { x: 1, y: 1, z: 1 };
+        const firstMetadata = sortedImages[0]?.metadata || {};
+        const spacing = {
+            x: 1,
+            y: 1,
+            z: 1,
+            sliceThickness: firstMetadata.sliceThickness ?? null,
+            isUniform: true,
+            gaps: [],
+            warnings: []
+        };
+
+        if (firstMetadata.pixelSpacing) {
+            // PixelSpacing is [row spacing (y), column spacing (x)]
+            spacing.y = firstMetadata.pixelSpacing[0];
+            spacing.x = firstMetadata.pixelSpacing[1];
+        } else {
+            spacing.warnings.push('PixelSpacing missing - assuming 1 mm pixels');
+        }
         
         if (sortedImages.length < 2) {
-            return defaultSpacing;
+            return spacing;
         }
 
-        try {
-            // Calculate Z spacing from slice positions
-            const firstImage = sortedImages[0];
-            const secondImage = sortedImages[1];
-            
-            // This is a simplified calculation
-            // In real scenarios, you'd use ImagePositionPatient DICOM tag
-            const zSpacing = Math.abs(1.0); // Default to 1mm
-            
-            return {
-                x: firstImage.metadata.pixelSpacing?.split('\\')[0] || 1,
-                y: firstImage.metadata.pixelSpacing?.split('\\')[1] || 1,
-                z: zSpacing
-            };
-        } catch (error) {
-            console.warn('Could not calculate volume spacing:', error);
-            return defaultSpacing;
+        const distances = this.getSliceDistances(sortedImages);
+        if (!distances) {
+            spacing.warnings.push('Slice positions missing - assuming 1 mm slice spacing');
+            return spacing;
+        }
+
+        const steps = distances.slice(1).map((distance, index) => distance - distances[index]);
+        const nominal = steps.slice().sort((a, b) => a - b)[Math.floor(steps.length / 2)];
+        const tolerance = Math.max(0.01, nominal * 0.05);
+        spacing.z = nominal;
+
+        let minStep = Infinity;
+        let maxStep = -Infinity;
+        steps.forEach((step, index) => {
+            // A step of roughly N x nominal means N - 1 slices are missing
+            if (step > nominal * 1.5) {
+                spacing.gaps.push({
+                    after: sortedImages[index].fileName,
+                    before: sortedImages[index + 1].fileName,
+                    distance: step,
+                    missingSlices: Math.max(1, Math.round(step / nominal) - 1)
+                });
+                return;
+            }
+            minStep = Math.min(minStep, step);
+            maxStep = Math.max(maxStep, step);
+        });
+
+        if (spacing.gaps.length > 0) {
+            const missing = spacing.gaps.reduce((total, gap) => total + gap.missingSlices, 0);
+            spacing.warnings.push(`About ${missing} slice(s) missing in ${spacing.gaps.length} gap(s)`);
+            spacing.isUniform = false;
+        }
+
+        if (maxStep - minStep > tolerance) {
+            spacing.warnings.push(`Variable slice spacing (${minStep.toFixed(2)} - ${maxStep.toFixed(2)} mm)`);
+            spacing.isUniform = false;
+        }
+
+        if (spacing.sliceThickness && Math.abs(spacing.sliceThickness - nominal) > Math.max(0.01, nominal * 0.1)) {
+            spacing.warnings.push(
+                `SliceThickness ${spacing.sliceThickness} mm differs from slice spacing ${nominal.toFixed(2)} mm`
+            );
         }
+
+        return spacing;
+    }
+
+    /**
+     * Resample an irregularly spaced series onto a uniform slice grid.
+     * Slices are linearly interpolated along the slice normal at the nominal
+     * spacing, producing options for volumeLoader.createLocalVolume.
+     * With tilt correction each slice is also shifted back by its in-plane
+     * offset, and the grid grows to cover every shifted slice.
+     * An in-plane factor above 1 averages blocks of factor x factor pixels
+     * to fit large series into memory.
+     * @param {Object} volumeData - Result of createVolumeFromImages
+     * @param {Object} options - { correctTilt } applies volumeData.tilt; { inPlane } is the downsampling factor
+     * @returns {Object} Local volume options (scalarData, dimensions, spacing, origin, direction, metadata)
+     */
+    resampleToUniformGrid(volumeData, { correctTilt = false, inPlane = 1 } = {}) {
+        const { images, spacing } = volumeData;
+        const distances = this.getSliceDistances(images);
+        if (!distances) {
+            throw new Error('Cannot resample a series without slice positions');
+        }
+
+        const first = images[0];
+        const { width, height } = first.image;
+        const extent = distances[distances.length - 1] - distances[0];
+        const depth = Math.round(extent / spacing.z) + 1;
+        const slices = images.map(img => this.getModalityPixelData(img.image));
+
+        // In-plane offset of each slice in pixels, relative to the grid's first column and row
+        const tilt = correctTilt ? volumeData.tilt : null;
+        let shifts = null;
+        let gridWidth = width;
+        let gridHeight = height;
+        let minX = 0;
+        let minY = 0;
+        if (tilt) {
+            const pixelOffsets = tilt.offsets.map(([x, y]) => [x / spacing.x, y / spacing.y]);
+            minX = Math.min(...pixelOffsets.map(offset => offset[0]));
+            minY = Math.min(...pixelOffsets.map(offset => offset[1]));
+            gridWidth = width + Math.ceil(Math.max(...pixelOffsets.map(offset => offset[0])) - minX);
+            gridHeight = height + Math.ceil(Math.max(...pixelOffsets.map(offset => offset[1])) - minY);
+            shifts = pixelOffsets.map(([x, y]) => [x - minX, y - minY]);
+        }
+
+        const sliceLength = gridWidth * gridHeight;
+        const outWidth = Math.floor(gridWidth / inPlane);
+        const outHeight = Math.floor(gridHeight / inPlane);
+        const outLength = outWidth * outHeight;
+        const scalarData = new Float32Array(outLength * depth);
+        // Full-resolution slice that is pooled down when downsampling
+        const blended = inPlane > 1 ? new Float32Array(sliceLength) : null;
+        // Uncovered corners of a tilt-corrected grid get the darkest value in the series
+        const fill = tilt ? Math.min(...slices.map(slice => getRange(slice)[0])) : 0;
+        const sampledA = tilt ? new Float32Array(sliceLength) : null;
+        const sampledB = tilt ? new Float32Array(sliceLength) : null;
+
+        let lower = 0;
+        for (let k = 0; k < depth; k++) {
+            const target = distances[0] + k * spacing.z;
+            while (lower < distances.length - 2 && distances[lower + 1] < target) {
+                lower++;
+            }
+
+            const upper = Math.min(lower + 1, distances.length - 1);
+            const span = distances[upper] - distances[lower];
+            const weight = span > 0 ? Math.min(Math.max((target - distances[lower]) / span, 0), 1) : 0;
+            let a = slices[lower];
+            let b = slices[upper];
+            if (tilt) {
+                a = sampleShifted(a, width, height, shifts[lower], sampledA, gridWidth, fill);
+                b = sampleShifted(b, width, height, shifts[upper], sampledB, gridWidth, fill);
+            }
+            const out = blended || scalarData.subarray(k * outLength, (k + 1) * outLength);
+
+            for (let i = 0; i < sliceLength; i++) {
+                out[i] = a[i] + (b[i] - a[i]) * weight;
+            }
+            if (blended) {
+                averagePool(blended, gridWidth, inPlane, scalarData.subarray(k * outLength, (k + 1) * outLength), outWidth);
+            }
+        }
+
+        // A pooled voxel sits at the centre of the pixels it averages
+        const orientation = first.metadata.imageOrientationPatient;
+        const poolOffset = (inPlane - 1) / 2;
+        const origin = first.metadata.imagePositionPatient.map((value, i) => value +
+            (minX + poolOffset) * spacing.x * orientation[i] + (minY + poolOffset) * spacing.y * orientation[3 + i]);
+        const pixelSpacing = [spacing.x * inPlane, spacing.y * inPlane];
+
+        return {
+            scalarData,
+            dimensions: [outWidth, outHeight, depth],
+            spacing: [...pixelSpacing, spacing.z],
+            origin,
+            direction: [...orientation, ...getSliceNormal(orientation)],
+            metadata: {
+                ...this.buildVolumeMetadata(first, pixelSpacing),
+                Columns: outWidth,
+                Rows: outHeight
+            }
+        };
     }
+
+    /**
+     * Get modality-scaled pixel values (e.g. HU, or SUV for PET) for an image
+     * @param {Object} image - Cornerstone image object
+     * @returns {TypedArray} Pixel values after rescale slope/intercept and SUV scaling
+     */
+    getModalityPixelData(image) {
+        const pixelData = image.getPixelData();
+        if (image.preScale?.scaled) {
+            return pixelData;
+        }
+
+        const suv = getSuvFactors(image.imageId).suvbw ?? 1;
+        const slope = (image.slope ?? 1) * suv;
+        const intercept = (image.intercept ?? 0) * suv;
+        if (slope === 1 && intercept === 0) {
+            return pixelData;
+        }
+        return Float32Array.from(pixelData, value => value * slope + intercept);
+    }
+
+    /**
+     * Build Cornerstone volume metadata for a locally created Float32 volume
+     * @param {Object} loaded - Representative loaded image
+     * @param {Array<number>} pixelSpacing - In-plane spacing [x, y]
+     * @returns {Object} Cornerstone volume metadata
+     */
+    buildVolumeMetadata(loaded, pixelSpacing) {
+        const { image, metadata } = loaded;
+        const windowCenter = parseFloat(metadata.windowCenter);
+        const windowWidth = parseFloat(metadata.windowWidth);
+
+        return {
+            BitsAllocated: 32,
+            BitsStored: 32,
+            SamplesPerPixel: 1,
+            HighBit: 31,
+            PhotometricInterpretation: 'MONOCHROME2',
+            PixelRepresentation: 1,
+            Modality: metadata.modality,
+            FrameOfReferenceUID: metadata.frameOfReferenceUID,
+            ImageOrientationPatient: metadata.imageOrientationPatient,
+            PixelSpacing: pixelSpacing,
+            Columns: image.width,
+            Rows: image.height,
+            voiLut: Number.isFinite(windowCenter) && Number.isFinite(windowWidth)
+                ? [{ windowCenter, windowWidth }]
+                : [],
+            VOILUTFunction: 'LINEAR'
+        };
+    }
+}
+
+/**
+ * Bilinearly resample a slice onto a larger grid, moved by a sub-pixel shift
+ * @param {TypedArray} pixels - Source slice, width x height
+ * @param {number} width - Source columns
+ * @param {number} height - Source rows
+ * @param {Array<number>} shift - Position of the source's first pixel on the grid [x, y] in pixels
+ * @param {Float32Array} out - Destination grid, gridWidth columns
+ * @param {number} gridWidth - Destination columns
+ * @param {number} fill - Value for grid pixels the slice does not cover
+ * @returns {Float32Array} out
+ */
+function sampleShifted(pixels, width, height, [shiftX, shiftY], out, gridWidth, fill) {
+    const gridHeight = out.length / gridWidth;
+
+    for (let j = 0; j < gridHeight; j++) {
+        const y = j - shiftY;
+        const y0 = Math.floor(y);
+        const fy = y - y0;
+        const y1 = Math.min(y0 + 1, height - 1);
+
+        for (let i = 0; i < gridWidth; i++) {
+            const x = i - shiftX;
+            const x0 = Math.floor(x);
+            if (x0 < 0 || y0 < 0 || x0 >= width || y0 >= height) {
+                out[j * gridWidth + i] = fill;
+                continue;
+            }
+
+            const fx = x - x0;
+            const x1 = Math.min(x0 + 1, width - 1);
+            const top = pixels[y0 * width + x0] + (pixels[y0 * width + x1] - pixels[y0 * width + x0]) * fx;
+            const bottom = pixels[y1 * width + x0] + (pixels[y1 * width + x1] - pixels[y1 * width + x0]) * fx;
+            out[j * gridWidth + i] = top + (bottom - top) * fy;
+        }
+    }
+
+    return out;
+}
+
+/**
+ * Downsample a slice by averaging blocks of factor x factor pixels.
+ * Rows and columns that do not fill a whole block are dropped.
+ * @param {Float32Array} pixels - Source slice, width columns
+ * @param {number} width - Source columns
+ * @param {number} factor - Block size in pixels
+ * @param {Float32Array} out - Destination slice, outWidth columns
+ * @param {number} outWidth - Destination columns
+ * @returns {Float32Array} out
+ */
+function averagePool(pixels, width, factor, out, outWidth) {
+    const outHeight = out.length / outWidth;
+    const area = factor * factor;
+
+    for (let j = 0; j < outHeight; j++) {
+        for (let i = 0; i < outWidth; i++) {
+            let sum = 0;
+            for (let y = j * factor; y < (j + 1) * factor; y++) {
+                for (let x = i * factor; x < (i + 1) * factor; x++) {
+                    sum += pixels[y * width + x];
+                }
+            }
+            out[j * outWidth + i] = sum / area;
+        }
+    }
+
+    return out;
 }
 
 export default DicomLoader;
\ No newline at end of file
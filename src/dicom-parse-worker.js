@@ -0,0 +1,40 @@
+/**
+ * DICOM Parse Worker
+ * Reads and inspects one file per message off the main thread: content
+ * detection, legacy data set wrapping and multi-frame geometry
+ */
+
+import { inspectDicomBytes, wrapLegacyDataset, getFrameGeometry } from './dicom-inspection.js';
+
+self.onmessage = async (event) => {
+    const { id, file } = event.data;
+
+    let byteArray;
+    try {
+        byteArray = new Uint8Array(await file.arrayBuffer());
+    } catch (error) {
+        self.postMessage({ id, result: { isImage: false, reason: 'read-error', message: 'Failed to read file' } });
+        return;
+    }
+
+    try {
+        // Detect DICOM by content, not by file extension
+        const inspection = inspectDicomBytes(byteArray);
+        if (!inspection.isImage) {
+            self.postMessage({ id, result: { isImage: false, reason: inspection.reason, message: inspection.message } });
+            return;
+        }
+
+        if (!inspection.part10) {
+            // dicom-image-loader only parses Part 10 files, so give legacy files a meta header
+            byteArray = wrapLegacyDataset(byteArray, inspection);
+        }
+
+        const numberOfFrames = inspection.dataSet.intString('x00280008') || 1;
+        const frames = numberOfFrames > 1 ? getFrameGeometry(inspection.dataSet, numberOfFrames) : null;
+
+        self.postMessage({ id, result: { isImage: true, buffer: byteArray.buffer, frames } }, [byteArray.buffer]);
+    } catch (error) {
+        self.postMessage({ id, error: error.message || String(error) });
+    }
+};
@@ -0,0 +1,85 @@
+/**
+ * DICOMDIR Browser Module
+ * Renders the patient -> study -> series tree read from a DICOMDIR
+ */
+
+class DicomDirBrowser {
+    constructor(containerId, onSelect) {
+        this.containerId = containerId;
+        this.onSelect = onSelect;
+        this.patients = [];
+    }
+
+    /**
+     * Replace the displayed tree
+     * @param {Array<Object>} patients - Patients from DicomDirReader.parse
+     */
+    setPatients(patients) {
+        this.patients = patients || [];
+        this.render();
+    }
+
+    render() {
+        const container = document.getElementById(this.containerId);
+        if (!container) return;
+
+        container.innerHTML = '';
+        container.style.display = this.patients.length > 0 ? '' : 'none';
+        if (this.patients.length === 0) return;
+
+        const title = document.createElement('h3');
+        title.textContent = 'DICOMDIR';
+        container.appendChild(title);
+
+        const tree = document.createElement('ul');
+        tree.className = 'dicomdir-tree';
+
+        this.patients.forEach(patient => {
+            const patientNode = this.createNode(
+                `${patient.patientName}${patient.patientID ? ` (${patient.patientID})` : ''}`,
+                'dicomdir-patient'
+            );
+            const studyList = document.createElement('ul');
+
+            patient.studies.forEach(study => {
+                const studyNode = this.createNode(
+                    [study.studyDate, study.studyDescription].filter(Boolean).join(' - ') || 'Study',
+                    'dicomdir-study'
+                );
+                const seriesList = document.createElement('ul');
+
+                study.series.forEach(series => {
+                    const seriesNode = document.createElement('li');
+                    const button = document.createElement('button');
+                    button.type = 'button';
+                    button.className = 'dicomdir-series';
+                    const seriesNumber = series.seriesNumber ?? '-';
+                    const description = series.seriesDescription ? ` ${series.seriesDescription}` : '';
+                    button.textContent = `#${seriesNumber} ${series.modality}${description} (${series.images.length})`;
+                    button.addEventListener('click', () => this.onSelect?.(series, study, patient));
+                    seriesNode.appendChild(button);
+                    seriesList.appendChild(seriesNode);
+                });
+
+                studyNode.appendChild(seriesList);
+                studyList.appendChild(studyNode);
+            });
+
+            patientNode.appendChild(studyList);
+            tree.appendChild(patientNode);
+        });
+
+        container.appendChild(tree);
+    }
+
+    createNode(label, className) {
+        const node = document.createElement('li');
+        const text = document.createElement('span');
+        text.className = className;
+        text.textContent = label;
+        node.appendChild(text);
+        return node;
+    }
+}
+
+export default DicomDirBrowser;
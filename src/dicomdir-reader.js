@@ -0,0 +1,165 @@
+/**
+ * DICOMDIR Reader Module
+ * Parses DICOMDIR media indexes into a patient -> study -> series tree
+ * and resolves the referenced files from a dropped folder
+ */
+
+import * as dicomParser from 'dicom-parser';
+
+class DicomDirReader {
+    /**
+     * Check if a file is a DICOMDIR index (always named DICOMDIR on media)
+     * @param {File} file - File to check
+     * @returns {boolean} True for DICOMDIR files
+     */
+    isDicomDir(file) {
+        return file.name.toUpperCase() === 'DICOMDIR';
+    }
+
+    /**
+     * Parse a DICOMDIR file
+     * @param {File} file - DICOMDIR file
+     * @returns {Promise<Array<Object>>} Patients with nested studies and series
+     */
+    async parse(file) {
+        const arrayBuffer = await file.arrayBuffer();
+        const dataSet = dicomParser.parseDicom(new Uint8Array(arrayBuffer));
+        const recordSequence = dataSet.elements.x00041220;
+
+        if (!recordSequence || !recordSequence.items) {
+            throw new Error('DICOMDIR has no directory records');
+        }
+
+        const records = recordSequence.items.map(item => ({
+            // Record offsets point at the item tag, 8 bytes before the item data
+            offset: item.dataOffset - 8,
+            type: (item.dataSet.string('x00041430') || '').trim(),
+            dataSet: item.dataSet,
+            children: []
+        }));
+
+        const roots = this.linkRecords(records, dataSet.uint32('x00041200'));
+        return roots
+            .filter(record => record.type === 'PATIENT')
+            .map(patient => this.toPatient(patient));
+    }
+
+    /**
+     * Build the record hierarchy from next/lower-level offsets.
+     * Falls back to sequence order when offsets do not resolve, which some
+     * writers produce after rewriting the file.
+     * @param {Array<Object>} records - Parsed directory records
+     * @param {number} rootOffset - Offset of the first root record
+     * @returns {Array<Object>} Root records with children attached
+     */
+    linkRecords(records, rootOffset) {
+        const byOffset = new Map(records.map(record => [record.offset, record]));
+
+        if (byOffset.has(rootOffset)) {
+            const visited = new Set();
+            const readSiblings = (offset) => {
+                const siblings = [];
+                let record = byOffset.get(offset);
+                while (record && !visited.has(record)) {
+                    visited.add(record);
+                    const lowerOffset = record.dataSet.uint32('x00041420');
+                    if (lowerOffset) {
+                        record.children = readSiblings(lowerOffset);
+                    }
+                    siblings.push(record);
+                    record = byOffset.get(record.dataSet.uint32('x00041400'));
+                }
+                return siblings;
+            };
+            return readSiblings(rootOffset);
+        }
+
+        const levels = ['PATIENT', 'STUDY', 'SERIES'];
+        const roots = [];
+        const parents = [];
+        records.forEach(record => {
+            const level = levels.indexOf(record.type);
+            if (level === 0) {
+                roots.push(record);
+                parents.length = 0;
+                parents[0] = record;
+            } else if (level > 0) {
+                parents[level - 1]?.children.push(record);
+                parents.length = level;
+                parents[level] = record;
+            } else {
+                parents[parents.length - 1]?.children.push(record);
+            }
+        });
+        return roots;
+    }
+
+    toPatient(record) {
+        return {
+            patientName: record.dataSet.string('x00100010') || 'Unknown',
+            patientID: record.dataSet.string('x00100020') || '',
+            studies: record.children
+                .filter(child => child.type === 'STUDY')
+                .map(study => this.toStudy(study))
+        };
+    }
+
+    toStudy(record) {
+        return {
+            studyInstanceUID: record.dataSet.string('x0020000d') || '',
+            studyDate: record.dataSet.string('x00080020') || '',
+            studyDescription: record.dataSet.string('x00081030') || '',
+            series: record.children
+                .filter(child => child.type === 'SERIES')
+                .map(series => this.toSeries(series))
+        };
+    }
+
+    toSeries(record) {
+        return {
+            seriesInstanceUID: record.dataSet.string('x0020000e') || '',
+            seriesNumber: record.dataSet.intString('x00200011') ?? null,
+            seriesDescription: record.dataSet.string('x0008103e') || '',
+            modality: record.dataSet.string('x00080060') || 'Unknown',
+            images: record.children
+                .map(child => child.dataSet.string('x00041500'))
+                .filter(Boolean)
+                .map(fileId => ({ referencedFileId: fileId.split('\\').join('/') }))
+        };
+    }
+
+    /**
+     * Find the files referenced by a DICOMDIR series among the dropped files
+     * @param {Object} series - Series node from parse()
+     * @param {Array<File>} files - All files from the dropped folder
+     * @param {File} dicomDirFile - The DICOMDIR file (paths are relative to its folder)
+     * @returns {Object} { files, missing }
+     */
+    resolveSeriesFiles(series, files, dicomDirFile) {
+        const dicomDirPath = dicomDirFile.relativePath || dicomDirFile.name;
+        const baseDirectory = dicomDirPath.includes('/')
+            ? dicomDirPath.slice(0, dicomDirPath.lastIndexOf('/') + 1)
+            : '';
+
+        // Media file IDs are upper case ISO 9660 names; the host file system may not be
+        const filesByPath = new Map(
+            files.map(file => [(file.relativePath || file.name).toLowerCase(), file])
+        );
+
+        const resolved = [];
+        const missing = [];
+        series.images.forEach(image => {
+            const path = `${baseDirectory}${image.referencedFileId}`.toLowerCase();
+            const file = filesByPath.get(path);
+            if (file) {
+                resolved.push(file);
+            } else {
+                missing.push(image.referencedFileId);
+            }
+        });
+
+        return { files: resolved, missing };
+    }
+}
+
+export default DicomDirReader;
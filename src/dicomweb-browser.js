@@ -0,0 +1,110 @@
+/**
+ * DICOMweb Browser Module
+ * Renders QIDO-RS study results and expands a study into its series on click
+ */
+
+class DicomWebBrowser {
+    /**
+     * @param {string} containerId - Element the results are rendered into
+     * @param {Function} loadSeries - Called with a study UID, resolves to its series
+     * @param {Function} onSelect - Called with (series, study) when a series is chosen
+     */
+    constructor(containerId, loadSeries, onSelect) {
+        this.containerId = containerId;
+        this.loadSeries = loadSeries;
+        this.onSelect = onSelect;
+        this.studies = [];
+    }
+
+    /**
+     * Replace the displayed search results
+     * @param {Array<Object>} studies - Studies from DicomWebClient.searchStudies
+     */
+    setStudies(studies) {
+        this.studies = studies || [];
+        this.render();
+    }
+
+    render() {
+        const container = document.getElementById(this.containerId);
+        if (!container) return;
+
+        container.innerHTML = '';
+        if (this.studies.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'dicomweb-empty';
+            empty.textContent = 'No studies found';
+            container.appendChild(empty);
+            return;
+        }
+
+        const list = document.createElement('ul');
+        list.className = 'dicomdir-tree';
+
+        this.studies.forEach(study => {
+            const studyNode = document.createElement('li');
+            const label = document.createElement('button');
+            label.type = 'button';
+            label.className = 'dicomweb-study';
+            label.textContent = [
+                study.patientName,
+                study.studyDate,
+                study.modalities,
+                study.studyDescription,
+                study.accessionNumber ? `Acc ${study.accessionNumber}` : ''
+            ].filter(Boolean).join(' - ');
+
+            const seriesList = document.createElement('ul');
+            seriesList.style.display = 'none';
+
+            label.addEventListener('click', () => this.toggleStudy(study, seriesList));
+            studyNode.appendChild(label);
+            studyNode.appendChild(seriesList);
+            list.appendChild(studyNode);
+        });
+
+        container.appendChild(list);
+    }
+
+    /**
+     * Show or hide a study's series, querying them on first expand
+     */
+    async toggleStudy(study, seriesList) {
+        if (seriesList.style.display !== 'none') {
+            seriesList.style.display = 'none';
+            return;
+        }
+
+        seriesList.style.display = '';
+        if (seriesList.dataset.loaded) return;
+
+        seriesList.innerHTML = '<li class="dicomweb-empty">Loading series...</li>';
+        try {
+            const series = await this.loadSeries(study.studyInstanceUID);
+            seriesList.innerHTML = '';
+            seriesList.dataset.loaded = 'true';
+
+            series.forEach(item => {
+                const seriesNode = document.createElement('li');
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'dicomdir-series';
+                const seriesNumber = item.seriesNumber ?? '-';
+                const description = item.seriesDescription ? ` ${item.seriesDescription}` : '';
+                const count = item.instanceCount !== null ? ` (${item.instanceCount})` : '';
+                button.textContent = `#${seriesNumber} ${item.modality}${description}${count}`;
+                button.addEventListener('click', () => this.onSelect?.(item, study));
+                seriesNode.appendChild(button);
+                seriesList.appendChild(seriesNode);
+            });
+        } catch (error) {
+            seriesList.innerHTML = '';
+            const message = document.createElement('li');
+            message.className = 'dicomweb-empty';
+            message.textContent = `Could not list series: ${error.message}`;
+            seriesList.appendChild(message);
+        }
+    }
+}
+
+export default DicomWebBrowser;
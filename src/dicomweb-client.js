@@ -0,0 +1,189 @@
+/**
+ * DICOMweb Client Module
+ * Searches a DICOMweb endpoint with QIDO-RS and prepares WADO-RS image IDs
+ * so series can be streamed straight into the volume loader
+ */
+
+import * as cornerstoneDICOMImageLoader from '@cornerstonejs/dicom-image-loader';
+
+const DICOM_JSON = 'application/dicom+json';
+
+// Attributes requested on top of the QIDO-RS defaults
+const STUDY_FIELDS = ['00081030', '00080061', '00201206', '00201208'];
+const SERIES_FIELDS = ['0008103E', '00201209'];
+
+class DicomWebClient {
+    constructor() {
+        this.baseUrl = '';
+        this.authHeader = '';
+
+        // WADO-RS frame requests are made by the image loader, not by fetch
+        cornerstoneDICOMImageLoader.internal.setOptions({
+            beforeSend: (xhr, imageIdOrUrl) => this.getLoaderHeaders(imageIdOrUrl)
+        });
+    }
+
+    /**
+     * Set the endpoint used for all requests
+     * @param {Object} options - { baseUrl, authHeader }; authHeader is the full
+     *   Authorization value, e.g. "Bearer <token>" or "Basic <base64>"
+     */
+    configure({ baseUrl, authHeader }) {
+        this.baseUrl = (baseUrl || '').trim().replace(/\/+$/, '');
+        this.authHeader = (authHeader || '').trim();
+    }
+
+    isConfigured() {
+        return this.baseUrl.length > 0;
+    }
+
+    getHeaders(accept) {
+        const headers = { Accept: accept };
+        if (this.authHeader) {
+            headers.Authorization = this.authHeader;
+        }
+        return headers;
+    }
+
+    /**
+     * Headers for image loader requests, only added for our own endpoint so
+     * credentials are never sent elsewhere
+     */
+    getLoaderHeaders(imageIdOrUrl) {
+        if (!this.authHeader || !this.baseUrl) return {};
+        const target = String(imageIdOrUrl || '').replace(/^wadors:/, '');
+        return target.startsWith(this.baseUrl) ? { Authorization: this.authHeader } : {};
+    }
+
+    /**
+     * GET a DICOM JSON resource
+     * @param {string} path - Path below the base URL
+     * @param {Object} params - Query parameters; empty values are dropped
+     * @returns {Promise<Array<Object>>} DICOM JSON objects
+     */
+    async request(path, params = {}) {
+        if (!this.isConfigured()) {
+            throw new Error('DICOMweb base URL is not set');
+        }
+
+        const query = new URLSearchParams();
+        Object.entries(params).forEach(([key, value]) => {
+            if (Array.isArray(value)) {
+                value.forEach(item => query.append(key, item));
+            } else if (value !== undefined && value !== null && value !== '') {
+                query.append(key, value);
+            }
+        });
+
+        const queryString = query.toString();
+        const url = `${this.baseUrl}${path}${queryString ? `?${queryString}` : ''}`;
+        const response = await fetch(url, { headers: this.getHeaders(DICOM_JSON) });
+
+        if (response.status === 204) {
+            return [];
+        }
+        if (!response.ok) {
+            const hint = response.status === 401 || response.status === 403 ? ' - check the auth header' : '';
+            throw new Error(`DICOMweb request failed (${response.status} ${response.statusText})${hint}`);
+        }
+
+        const text = await response.text();
+        return text ? JSON.parse(text) : [];
+    }
+
+    /**
+     * QIDO-RS study search. Patient name matching is a prefix wildcard search.
+     * @param {Object} query - { patientName, patientID, accessionNumber }
+     * @returns {Promise<Array<Object>>} Studies
+     */
+    async searchStudies(query = {}) {
+        const patientName = (query.patientName || '').trim();
+        const results = await this.request('/studies', {
+            PatientName: patientName && !patientName.includes('*') ? `${patientName}*` : patientName,
+            PatientID: (query.patientID || '').trim(),
+            AccessionNumber: (query.accessionNumber || '').trim(),
+            includefield: STUDY_FIELDS,
+            fuzzymatching: patientName ? 'true' : ''
+        });
+
+        return results.map(study => ({
+            studyInstanceUID: this.getString(study, '0020000D'),
+            patientName: this.getString(study, '00100010') || 'Unknown',
+            patientID: this.getString(study, '00100020'),
+            accessionNumber: this.getString(study, '00080050'),
+            studyDate: this.getString(study, '00080020'),
+            studyDescription: this.getString(study, '00081030'),
+            modalities: this.getValues(study, '00080061').join('/'),
+            seriesCount: this.getNumber(study, '00201206')
+        }));
+    }
+
+    /**
+     * QIDO-RS series search within a study
+     * @param {string} studyInstanceUID - Study to list
+     * @returns {Promise<Array<Object>>} Series sorted by series number
+     */
+    async searchSeries(studyInstanceUID) {
+        const results = await this.request(`/studies/${studyInstanceUID}/series`, {
+            includefield: SERIES_FIELDS
+        });
+
+        return results
+            .map(series => ({
+                studyInstanceUID,
+                seriesInstanceUID: this.getString(series, '0020000E'),
+                seriesNumber: this.getNumber(series, '00200011'),
+                seriesDescription: this.getString(series, '0008103E'),
+                modality: this.getString(series, '00080060') || 'Unknown',
+                instanceCount: this.getNumber(series, '00201209')
+            }))
+            .sort((a, b) => (a.seriesNumber ?? Infinity) - (b.seriesNumber ?? Infinity));
+    }
+
+    /**
+     * WADO-RS series metadata, registered with the image loader so
+     * Cornerstone can read it for every frame image ID
+     * @param {string} studyInstanceUID - Study of the series
+     * @param {string} seriesInstanceUID - Series to retrieve
+     * @returns {Promise<Array<string>>} wadors image IDs, one per frame
+     */
+    async retrieveSeriesImageIds(studyInstanceUID, seriesInstanceUID) {
+        const seriesPath = `/studies/${studyInstanceUID}/series/${seriesInstanceUID}`;
+        const instances = await this.request(`${seriesPath}/metadata`);
+        const imageIds = [];
+
+        instances.forEach(instance => {
+            // Non-image instances (SR, presentation states) have no rows
+            if (!this.getNumber(instance, '00280010')) return;
+
+            const sopInstanceUID = this.getString(instance, '00080018');
+            const numberOfFrames = this.getNumber(instance, '00280008') || 1;
+
+            for (let frame = 1; frame <= numberOfFrames; frame++) {
+                const imageId = `wadors:${this.baseUrl}${seriesPath}/instances/${sopInstanceUID}/frames/${frame}`;
+                cornerstoneDICOMImageLoader.wadors.metaDataManager.add(imageId, instance);
+                imageIds.push(imageId);
+            }
+        });
+
+        return imageIds;
+    }
+
+    getValues(json, tag) {
+        return json?.[tag]?.Value || [];
+    }
+
+    getString(json, tag) {
+        const value = this.getValues(json, tag)[0];
+        if (value === undefined || value === null) return '';
+        // Person names are objects with Alphabetic/Ideographic/Phonetic groups
+        return typeof value === 'object' ? value.Alphabetic || '' : String(value);
+    }
+
+    getNumber(json, tag) {
+        const value = parseFloat(this.getValues(json, tag)[0]);
+        return Number.isFinite(value) ? value : null;
+    }
+}
+
+export default DicomWebClient;
@@ -0,0 +1,96 @@
+/**
+ * File Collector Module
+ * Gathers files from drag-and-drop and directory pickers, walking folders recursively
+ */
+
+class FileCollector {
+    /**
+     * Collect all files from a drop event, descending into dropped folders
+     * @param {DataTransfer} dataTransfer - Drop event data transfer
+     * @returns {Promise<Array<File>>} Flat list of files
+     */
+    async collectFromDataTransfer(dataTransfer) {
+        const items = Array.from(dataTransfer.items || []);
+        const entries = items
+            .filter(item => item.kind === 'file')
+            .map(item => (item.webkitGetAsEntry ? item.webkitGetAsEntry() : null));
+
+        // Browsers without the entries API only expose the top level files
+        if (entries.length === 0 || entries.some(entry => !entry)) {
+            return this.collectFromFileList(dataTransfer.files);
+        }
+
+        const nested = await Promise.all(entries.map(entry => this.readEntry(entry)));
+        return nested.flat();
+    }
+
+    /**
+     * Collect files from an <input type="file"> (including webkitdirectory pickers)
+     * @param {FileList} fileList - Selected files
+     * @returns {Array<File>} Files with a relativePath property
+     */
+    collectFromFileList(fileList) {
+        return Array.from(fileList || [])
+            .filter(file => !this.isHiddenFile(file.name))
+            .map(file => {
+                file.relativePath = file.webkitRelativePath || file.name;
+                return file;
+            });
+    }
+
+    /**
+     * Read a file system entry, recursing into directories
+     * @param {FileSystemEntry} entry - File or directory entry
+     * @returns {Promise<Array<File>>} Files found under the entry
+     */
+    async readEntry(entry) {
+        if (this.isHiddenFile(entry.name)) {
+            return [];
+        }
+
+        if (entry.isFile) {
+            const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+            file.relativePath = entry.fullPath.replace(/^\//, '');
+            return [file];
+        }
+
+        if (entry.isDirectory) {
+            const children = await this.readDirectoryEntries(entry);
+            const nested = await Promise.all(children.map(child => this.readEntry(child)));
+            return nested.flat();
+        }
+
+        return [];
+    }
+
+    /**
+     * Read every child of a directory.
+     * readEntries returns results in batches (100 in Chrome), so it is
+     * called until it yields an empty batch.
+     * @param {FileSystemDirectoryEntry} directoryEntry - Directory to list
+     * @returns {Promise<Array<FileSystemEntry>>} Child entries
+     */
+    async readDirectoryEntries(directoryEntry) {
+        const reader = directoryEntry.createReader();
+        const entries = [];
+
+        let batch;
+        do {
+            batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+            entries.push(...batch);
+        } while (batch.length > 0);
+
+        return entries;
+    }
+
+    /**
+     * Skip OS metadata files such as .DS_Store
+     * @param {string} name - File name
+     * @returns {boolean} True if the file should be ignored
+     */
+    isHiddenFile(name) {
+        return name.startsWith('.') || name === 'Thumbs.db';
+    }
+}
+
+export default FileCollector;
@@ -1,12 +1,74 @@
 import './styles.css';
 import VolumeViewer3D from './volume-viewer-3d.js';
 import DicomLoader from './dicom-loader.js';
+import SeriesBrowser from './series-browser.js';
+import FileCollector from './file-collector.js';
+import DicomDirReader from './dicomdir-reader.js';
+import DicomDirBrowser from './dicomdir-browser.js';
+import DicomWebClient from './dicomweb-client.js';
+import DicomWebBrowser from './dicomweb-browser.js';
+import NiftiReader from './nifti-reader.js';
+import NrrdReader from './nrrd-reader.js';
+import MetaImageReader from './metaimage-reader.js';
+import TagInspector from './tag-inspector.js';
+import DicomAnonymizer from './dicom-anonymizer.js';
+import SeriesValidator from './series-validator.js';
+import ValidationDialog from './validation-dialog.js';
+import ReductionDialog from './reduction-dialog.js';
+import StudyLibrary from './study-library.js';
+import LibraryBrowser from './library-browser.js';
+import TransferFunctionEditor from './transfer-function-editor.js';
+import { getSuvFactors } from './pet-suv.js';
+import { loadViewSettings, saveViewSettings } from './view-settings.js';
+import { estimateVolumeBytes, getReducedSize, suggestReduction, describeReduction, formatBytes } from './volume-budget.js';
+
+const DICOMWEB_URL_KEY = 'dicomweb-base-url';
+const MEMORY_BUDGET_KEY = 'volume-memory-budget-mb';
+// Voxel memory allowed per volume before reduced loading is offered
+const DEFAULT_MEMORY_BUDGET_MB = 1024;
+// Slice interval of the coarse preview pass
+const PREVIEW_INTERLEAVE = 4;
+// Time the browser gets to start a download before its blob URL is revoked
+const DOWNLOAD_URL_LIFETIME_MS = 60000;
+
+// Window level slider ranges and reset values for raw values (HU) and SUV
+const WINDOW_RANGES = {
+    raw: { center: [-2000, 2000, 1], width: [1, 4000, 1], reset: { width: 400, center: 50 } },
+    suv: { center: [0, 20, 0.1], width: [0.1, 40, 0.1], reset: { width: 6, center: 3 } }
+};
 
 class MedicalImagingApp {
     constructor() {
         this.volumeViewer = null;
         this.dicomLoader = null;
+        this.seriesBrowser = null;
+        this.fileCollector = new FileCollector();
+        this.seriesValidator = new SeriesValidator();
+        this.validationDialog = new ValidationDialog('validation-dialog');
+        this.reductionDialog = new ReductionDialog('reduction-dialog');
+        this.studyLibrary = new StudyLibrary();
+        this.libraryBrowser = null;
+        this.transferFunctionEditor = null;
+        this.dicomDirReader = new DicomDirReader();
+        this.niftiReader = new NiftiReader();
+        this.nrrdReader = new NrrdReader();
+        this.metaImageReader = new MetaImageReader();
+        this.dicomDirBrowser = null;
+        this.dicomDirSource = null;
+        this.dicomWebClient = null;
+        this.dicomWebBrowser = null;
+        this.tagInspector = null;
+        this.loadController = null;
+        // SUV factors of the displayed PET series; null when values are not SUV
+        this.suvFactors = null;
+        this.suvType = 'bw';
+        this.rawUnits = '';
         this.currentImages = [];
+        this.currentSeries = [];
+        // DICOM series shown as the base volume; null for NIfTI and similar files
+        this.primarySeries = null;
+        // Key the displayed volume's view settings are saved under
+        this.viewSettingsKey = null;
         this.isInitialized = false;
     }
 
@@ -17,9 +79,35 @@ class MedicalImagingApp {
 
             this.volumeViewer = new VolumeViewer3D('cornerstone-viewport');
             this.dicomLoader = new DicomLoader();
+            this.seriesBrowser = new SeriesBrowser('series-browser', (series) => {
+                this.handleSeriesSelect(series);
+            });
+            this.dicomDirBrowser = new DicomDirBrowser('dicomdir-browser', (series) => {
+                this.handleDicomDirSeriesSelect(series);
+            });
+            this.dicomWebClient = new DicomWebClient();
+            this.dicomWebBrowser = new DicomWebBrowser(
+                'dicomweb-results',
+                (studyInstanceUID) => this.dicomWebClient.searchSeries(studyInstanceUID),
+                (series) => this.handleDicomWebSeriesSelect(series)
+            );
+            this.tagInspector = new TagInspector('tag-inspector');
+            this.libraryBrowser = new LibraryBrowser(
+                'library-browser',
+                (entry) => this.openLibraryEntry(entry),
+                (entry) => this.deleteLibraryEntry(entry)
+            );
+
+            this.transferFunctionEditor = new TransferFunctionEditor(
+                'transfer-function-editor',
+                (functions) => this.applyTransferFunction(functions)
+            );
 
             await this.volumeViewer.initialize();
+            this.transferFunctionEditor.initialize();
+            this.volumeViewer.onVolumeLoaded = () => this.refreshTransferFunctionEditor();
             this.setupEventListeners();
+            await this.refreshLibrary();
 
             this.hideAppLoading();
             this.isInitialized = true;
@@ -35,6 +123,28 @@ class MedicalImagingApp {
             this.handleFileUpload(e);
         });
 
+        document.getElementById('dicom-folder')?.addEventListener('change', (e) => {
+            this.handleFileUpload(e);
+        });
+
+        this.setupDropZone();
+        this.setupDicomWeb();
+        this.setupMemoryBudget();
+        this.setupClipping();
+        this.setupFusion();
+
+        document.getElementById('export-anonymized')?.addEventListener('click', () => {
+            this.handleAnonymizedExport();
+        });
+
+        document.getElementById('load-cancel')?.addEventListener('click', () => {
+            this.loadController?.abort();
+        });
+
+        document.getElementById('mpr-layout')?.addEventListener('change', (e) => {
+            this.volumeViewer?.setMprEnabled(e.target.checked);
+        });
+
         const toolButtons = {
             'rotate-tool': 'Rotate',
             'pan-tool': 'Pan',
@@ -53,7 +163,10 @@ class MedicalImagingApp {
 // Opacity slider event
 document.getElementById('opacity-slider')?.addEventListener('input', (e) => {
     const opacity = parseFloat(e.target.value);
-    this.volumeViewer?.setVolumeOpacity(opacity);
+    this.setVolumeOpacity(opacity);
+});
+document.getElementById('opacity-slider')?.addEventListener('change', (e) => {
+    this.saveViewSettings({ opacity: parseFloat(e.target.value) });
 });
 
 // Opacity preset buttons (nếu bạn có các buttons cho preset)
@@ -61,6 +174,7 @@ const opacityPresets = ['default', 'bone', 'soft', 'lung', 'vessel', 'transparen
 opacityPresets.forEach(preset => {
     document.getElementById(`opacity-${preset}`)?.addEventListener('click', () => {
         this.volumeViewer?.applyOpacityPreset(preset);
+        this.syncTransferFunctionEditor();
         this.showSuccessMessage(`Applied ${preset} opacity preset`);
     });
 });
@@ -72,17 +186,15 @@ opacityPresets.forEach(preset => {
         const tissueOpacities = {};
         tissueOpacities[tissue.replace('-', '')] = opacity;
         this.volumeViewer?.setTissueOpacities(tissueOpacities);
+        this.syncTransferFunctionEditor();
     });
 });
 
 // Reset opacity button
 document.getElementById('reset-opacity')?.addEventListener('click', () => {
-    this.volumeViewer?.setVolumeOpacity(0.5);
-    const opacitySlider = document.getElementById('opacity-slider');
-    if (opacitySlider) opacitySlider.value = 0.5;
-    const opacityDisplay = document.getElementById('opacity-value');
-    if (opacityDisplay) opacityDisplay.textContent = '50%';
-    this.showSuccessMessage('Opacity reset to 50%');
+    this.setVolumeOpacity(1);
+    this.syncOpacitySlider();
+    this.showSuccessMessage('Opacity reset to 100%');
 });
 
 // Window Center slider event
@@ -90,10 +202,7 @@ document.getElementById('window-center-slider')?.addEventListener('input', (e) =
     const center = parseFloat(e.target.value);
     const width = parseFloat(document.getElementById('window-width-slider')?.value || 400);
     this.setWindowLevel(width, center);
-    
-    // Update display
-    const centerDisplay = document.getElementById('window-center-value');
-    if (centerDisplay) centerDisplay.textContent = center.toString();
+    this.updateWindowLevelSliders(width, center);
 });
 
 // Window Width slider event  
@@ -101,10 +210,15 @@ document.getElementById('window-width-slider')?.addEventListener('input', (e) =>
     const width = parseFloat(e.target.value);
     const center = parseFloat(document.getElementById('window-center-slider')?.value || 50);
     this.setWindowLevel(width, center);
-    
-    // Update display
-    const widthDisplay = document.getElementById('window-width-value');
-    if (widthDisplay) widthDisplay.textContent = width.toString();
+    this.updateWindowLevelSliders(width, center);
+});
+
+// SUV normalisation (body weight or lean body mass) for PET
+document.getElementById('suv-type')?.addEventListener('change', (e) => {
+    // Keep the rendered window and re-express it in the new unit
+    this.suvType = e.target.value;
+    this.syncWindowLevelSliders();
+    this.showValueUnits();
 });
 
 // Window Level preset buttons
@@ -114,7 +228,8 @@ const windowPresets = {
     'lung': { width: 1500, center: -600 },
     'brain': { width: 100, center: 50 },
     'liver': { width: 150, center: 30 },
-    'mediastinum': { width: 350, center: 50 }
+    'mediastinum': { width: 350, center: 50 },
+    'pet': { width: 6, center: 3 }
 };
 
 Object.entries(windowPresets).forEach(([preset, values]) => {
@@ -127,8 +242,9 @@ Object.entries(windowPresets).forEach(([preset, values]) => {
 
 // Reset window level button
 document.getElementById('reset-window-level')?.addEventListener('click', () => {
-    this.setWindowLevel(400, 50);
-    this.updateWindowLevelSliders(400, 50);
+    const { width, center } = WINDOW_RANGES[this.suvFactors ? 'suv' : 'raw'].reset;
+    this.setWindowLevel(width, center);
+    this.updateWindowLevelSliders(width, center);
     this.showSuccessMessage('Window level reset to default');
 });
 
@@ -180,40 +296,712 @@ document.getElementById('reset-window-level')?.addEventListener('click', () => {
         document.addEventListener('keydown', (e) => this.handleKeyboardShortcuts(e));
     }
 
+    setupDropZone() {
+        const viewerContainer = document.querySelector('.viewer-container');
+        let dragDepth = 0;
+
+        // The whole page accepts drops so a missed target does not open the file in the browser
+        document.addEventListener('dragenter', (e) => {
+            if (!e.dataTransfer?.types.includes('Files')) return;
+            dragDepth++;
+            viewerContainer?.classList.add('drag-over');
+        });
+
+        document.addEventListener('dragleave', () => {
+            dragDepth = Math.max(0, dragDepth - 1);
+            if (dragDepth === 0) viewerContainer?.classList.remove('drag-over');
+        });
+
+        document.addEventListener('dragover', (e) => {
+            if (!e.dataTransfer?.types.includes('Files')) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'copy';
+        });
+
+        document.addEventListener('drop', async (e) => {
+            if (!e.dataTransfer?.types.includes('Files')) return;
+            e.preventDefault();
+            dragDepth = 0;
+            viewerContainer?.classList.remove('drag-over');
+
+            try {
+                this.showLoadingMessage('Reading dropped files...');
+                const files = await this.fileCollector.collectFromDataTransfer(e.dataTransfer);
+                await this.handleFiles(files);
+            } catch (error) {
+                this.showErrorMessage(`Failed to read dropped files: ${error.message}`);
+            }
+        });
+    }
+
     async handleFileUpload(event) {
-        const files = event.target.files;
-        if (!files || files.length < 2) {
-            this.showErrorMessage('Please upload at least 2 DICOM files from the same series.');
+        const files = this.fileCollector.collectFromFileList(event.target.files);
+        // Allow selecting the same files/folder again
+        event.target.value = '';
+        await this.handleFiles(files);
+    }
+
+    async handleFiles(files) {
+        // Unreadable archives and entries are reported with the files that fail to load
+        let archiveFailures = [];
+        if (files?.some(file => this.dicomLoader.zipReader.isZipFile(file))) {
+            try {
+                this.showLoadingMessage('Reading ZIP archive...');
+                const archives = await this.dicomLoader.expandArchives(files, (progress) => {
+                    this.showArchiveProgress(progress);
+                });
+                files = archives.files;
+                archiveFailures = archives.failed;
+            } catch (error) {
+                this.showErrorMessage(`Failed to read ZIP archive: ${error.message}`);
+                return;
+            }
+        }
+
+        const dicomDirFile = files?.find(file => this.dicomDirReader.isDicomDir(file));
+        if (dicomDirFile && await this.openDicomDir(dicomDirFile, files, archiveFailures)) {
+            return;
+        }
+
+        this.dicomDirSource = null;
+        this.dicomDirBrowser?.setPatients([]);
+
+        // NIfTI, NRRD and MetaImage files are whole volumes and bypass the DICOM pipeline
+        const volumeFiles = files?.filter(file => this.getVolumeReader(file)) || [];
+        if (volumeFiles.length > 0) {
+            await this.loadVolumeFile(volumeFiles[0], files, volumeFiles.length - 1, archiveFailures);
+            return;
+        }
+
+        // A single multi-frame file can hold a whole volume
+        if (!files || files.length === 0) {
+            const skipped = archiveFailures.length > 0 ? ` (${this.describeFailures(archiveFailures)})` : '';
+            this.showErrorMessage(`Please upload DICOM files from the same series.${skipped}`);
             return;
         }
 
         try {
-            this.showLoadingMessage('Processing DICOM files...');
-            await this.loadVolumeFromFiles(files);
+            await this.loadVolumeFromFiles(files, archiveFailures);
         } catch (error) {
+            if (error.name === 'AbortError') {
+                this.showMessage('Loading cancelled');
+                return;
+            }
             this.showErrorMessage(`Failed to load DICOM files: ${error.message}`);
         }
     }
 
-    async loadVolumeFromFiles(files) {
-        const results = await this.dicomLoader.loadMultipleDicomFiles(files);
-        if (results.successful.length < 2) throw new Error('Need at least 2 DICOM files');
+    /**
+     * @param {File} file - File to check
+     * @returns {Object|null} Reader for non-DICOM volume files
+     */
+    getVolumeReader(file) {
+        if (this.niftiReader.isNiftiFile(file)) return this.niftiReader;
+        if (this.nrrdReader.isNrrdFile(file)) return this.nrrdReader;
+        if (this.metaImageReader.isMetaImageFile(file)) return this.metaImageReader;
+        return null;
+    }
+
+    /**
+     * Display a NIfTI, NRRD or MetaImage volume
+     * @param {File} file - Volume file (or header of a detached volume)
+     * @param {Array<File>} files - All uploaded files, for detached data files
+     * @param {number} ignoredCount - Other volume files that were not loaded
+     * @param {Array<Object>} archiveFailures - Unreadable archives and entries from expandArchives
+     */
+    async loadVolumeFile(file, files, ignoredCount = 0, archiveFailures = []) {
+        try {
+            this.showLoadingMessage(`Reading ${file.name}...`);
+            const reader = this.getVolumeReader(file);
+            const { volumeOptions, metadata, warnings } = await reader.read(file, files);
 
-        const imageIds = results.successful.map(res => res.imageId);
-        const metadata = results.successful[0].metadata;
+            await this.volumeViewer.displayLocalVolume(volumeOptions, metadata);
+            this.volumeViewer.setActiveTool('TrackballRotate');
+            this.setValueUnits(null, '');
 
-        await this.volumeViewer.displayVolume(imageIds, metadata);
-        this.volumeViewer.setActiveTool('TrackballRotate');
-        this.currentImages = results.successful;
+            this.currentImages = [];
+            this.currentSeries = [];
+            this.primarySeries = null;
+            this.seriesBrowser.setSeries([]);
+            this.tagInspector.setImages([]);
+            this.restoreViewSettings(`file:${file.name}`);
+            this.updateFusionControls();
+
+            if (ignoredCount > 0) {
+                warnings.push(`Only ${file.name} was loaded; ${ignoredCount} other file(s) ignored`);
+            }
+            if (archiveFailures.length > 0) {
+                warnings.push(`Archive contents ${this.describeFailures(archiveFailures)}`);
+            }
+            this.showVolumeWarnings(warnings);
+
+            const message = `Loaded ${metadata.modality} volume ${volumeOptions.dimensions.join(' x ')}`;
+            if (warnings.length > 0) {
+                this.showWarningMessage(`${message} with ${warnings.length} warning(s) - see Volume Information`);
+                return;
+            }
+            this.showSuccessMessage(message);
+        } catch (error) {
+            this.showErrorMessage(`Failed to load ${file.name}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Update the load progress bar
+     * @param {Object|null} progress - From DicomLoader.loadMultipleDicomFiles; null while starting
+     */
+    showLoadProgress(progress) {
+        const container = document.getElementById('load-progress');
+        const bar = document.getElementById('load-progress-bar');
+        const text = document.getElementById('load-progress-text');
+        if (!container || !bar || !text) return;
+
+        container.style.display = '';
+        if (!progress) {
+            bar.removeAttribute('value');
+            text.textContent = 'Preparing...';
+            return;
+        }
+
+        const megabytes = (bytes) => (bytes / (1024 * 1024)).toFixed(1);
+        bar.value = progress.filesTotal > 0 ? progress.filesDone / progress.filesTotal : 0;
+        text.textContent = `${progress.filesRead}/${progress.filesTotal} files read, ` +
+            `${progress.slicesDecoded} slices decoded, ` +
+            `${megabytes(progress.bytesRead)}/${megabytes(progress.bytesTotal)} MB`;
+    }
+
+    hideLoadProgress() {
+        const container = document.getElementById('load-progress');
+        if (container) container.style.display = 'none';
+    }
+
+    showArchiveProgress(progress) {
+        const percent = progress.bytesTotal > 0
+            ? Math.round((progress.bytesDone / progress.bytesTotal) * 100)
+            : 100;
+        this.showLoadingMessage(
+            `Extracting ${progress.archive}: ${progress.entriesDone}/${progress.entriesTotal} files (${percent}%)`
+        );
+    }
 
-        let message = `Successfully created 3D volume from ${results.successful.length} files`;
+    setupDicomWeb() {
+        const urlInput = document.getElementById('dicomweb-url');
+        if (urlInput) {
+            urlInput.value = localStorage.getItem(DICOMWEB_URL_KEY) || urlInput.value;
+        }
+
+        document.getElementById('dicomweb-form')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleDicomWebSearch();
+        });
+    }
+
+    setupMemoryBudget() {
+        const budgetInput = document.getElementById('memory-budget');
+        if (!budgetInput) return;
+
+        budgetInput.value = localStorage.getItem(MEMORY_BUDGET_KEY) || DEFAULT_MEMORY_BUDGET_MB;
+        budgetInput.addEventListener('change', () => {
+            localStorage.setItem(MEMORY_BUDGET_KEY, this.getMemoryBudget() / 1024 ** 2);
+        });
+    }
+
+    /**
+     * @returns {number} Voxel memory budget in bytes
+     */
+    getMemoryBudget() {
+        const megabytes = parseFloat(document.getElementById('memory-budget')?.value);
+        return (megabytes > 0 ? megabytes : DEFAULT_MEMORY_BUDGET_MB) * 1024 ** 2;
+    }
+
+    /**
+     * Re-read the library listing and storage usage
+     */
+    async refreshLibrary() {
+        if (!this.studyLibrary.isSupported()) {
+            document.getElementById('library-panel')?.style.setProperty('display', 'none');
+            return;
+        }
+
+        try {
+            const [entries, storage] = await Promise.all([
+                this.studyLibrary.list(),
+                this.studyLibrary.getStorageEstimate()
+            ]);
+            this.libraryBrowser.setEntries(entries, storage);
+        } catch (error) {
+            console.warn('Could not read study library:', error);
+            this.libraryBrowser.setEntries([], null);
+        }
+    }
+
+    /**
+     * Store a displayed local series unless the library already holds it
+     * @param {Object} series - Series group from DicomLoader.groupIntoSeries
+     */
+    async saveToLibrary(series) {
+        if (series.remote || !this.studyLibrary.isSupported()) return;
+        if (!document.getElementById('save-to-library')?.checked) return;
+
+        try {
+            // A partial copy from an earlier load is replaced by the fuller one
+            if (await this.studyLibrary.isStored(series)) return;
+            await this.studyLibrary.addSeries(series);
+            await this.refreshLibrary();
+        } catch (error) {
+            console.warn('Could not store series in library:', error);
+            const reason = error.name === 'QuotaExceededError' ? 'storage quota exceeded' : error.message;
+            this.showWarningMessage(`Series not saved to library: ${reason}`);
+        }
+    }
+
+    async openLibraryEntry(entry) {
+        try {
+            this.showLoadingMessage(`Opening ${entry.seriesDescription || 'series'} from library...`);
+            const files = await this.studyLibrary.getFiles(entry.id);
+            await this.handleFiles(files);
+        } catch (error) {
+            this.showErrorMessage(`Failed to open library series: ${error.message}`);
+        }
+    }
+
+    async deleteLibraryEntry(entry) {
+        const label = [entry.patientName, entry.seriesDescription].filter(Boolean).join(' - ');
+        if (!window.confirm(`Delete ${label || 'this series'} from the library?`)) return;
+
+        try {
+            await this.studyLibrary.remove(entry.id);
+            await this.refreshLibrary();
+            this.showSuccessMessage('Series deleted from library');
+        } catch (error) {
+            this.showErrorMessage(`Failed to delete library series: ${error.message}`);
+        }
+    }
+
+    async handleDicomWebSearch() {
+        const value = (id) => document.getElementById(id)?.value || '';
+        const baseUrl = value('dicomweb-url');
+
+        // The auth header is kept in memory only
+        this.dicomWebClient.configure({ baseUrl, authHeader: value('dicomweb-auth') });
+        localStorage.setItem(DICOMWEB_URL_KEY, baseUrl);
+
+        try {
+            this.showLoadingMessage('Searching DICOMweb studies...');
+            const studies = await this.dicomWebClient.searchStudies({
+                patientName: value('dicomweb-patient-name'),
+                patientID: value('dicomweb-patient-id'),
+                accessionNumber: value('dicomweb-accession')
+            });
+            this.dicomWebBrowser.setStudies(studies);
+            this.showSuccessMessage(`Found ${studies.length} study(ies) - expand a study to list its series`);
+        } catch (error) {
+            this.dicomWebBrowser.setStudies([]);
+            this.showErrorMessage(`DICOMweb search failed: ${error.message}`);
+        }
+    }
+
+    async handleDicomWebSeriesSelect(series) {
+        try {
+            this.showLoadingMessage(`Retrieving metadata for series ${series.seriesDescription || series.seriesNumber || ''}...`);
+            const groups = await this.dicomLoader.loadDicomWebSeries(
+                this.dicomWebClient,
+                series.studyInstanceUID,
+                series.seriesInstanceUID
+            );
+
+            const volumeSeries = groups.filter(group => group.images.length >= 2);
+            if (volumeSeries.length === 0) {
+                throw new Error('series has fewer than 2 image frames');
+            }
+
+            // A series can mix localizers with the main stack; stream the largest
+            const largest = volumeSeries.reduce((best, group) =>
+                group.images.length > best.images.length ? group : best);
+
+            this.dicomDirSource = null;
+            this.dicomDirBrowser.setPatients([]);
+            this.currentSeries = groups;
+            this.seriesBrowser.setSeries([]);
+
+            this.showLoadingMessage(`Streaming ${largest.images.length} frames via WADO-RS...`);
+            await this.loadSeries(largest);
+        } catch (error) {
+            this.showErrorMessage(`Failed to load DICOMweb series: ${error.message}`);
+        }
+    }
+
+    /**
+     * Show the DICOMDIR tree instead of scanning every file
+     * @param {File} dicomDirFile - The DICOMDIR
+     * @param {Array<File>} files - All uploaded files
+     * @param {Array<Object>} archiveFailures - Unreadable archives and entries, reported when a series is loaded
+     * @returns {Promise<boolean>} False if the DICOMDIR could not be used
+     */
+    async openDicomDir(dicomDirFile, files, archiveFailures = []) {
+        try {
+            const patients = await this.dicomDirReader.parse(dicomDirFile);
+            const seriesCount = patients.reduce((total, patient) =>
+                total + patient.studies.reduce((sum, study) => sum + study.series.length, 0), 0);
+
+            if (seriesCount === 0) {
+                throw new Error('no series records');
+            }
+
+            this.dicomDirSource = { dicomDirFile, files, archiveFailures };
+            this.dicomDirBrowser.setPatients(patients);
+            this.seriesBrowser.setSeries([]);
+            this.showSuccessMessage(`DICOMDIR found with ${seriesCount} series - select a series to load`);
+            return true;
+        } catch (error) {
+            console.warn('Could not use DICOMDIR, scanning all files instead:', error);
+            this.showWarningMessage(`Could not read DICOMDIR (${error.message}) - scanning all files`);
+            return false;
+        }
+    }
+
+    async handleDicomDirSeriesSelect(series) {
+        if (!this.dicomDirSource) return;
+
+        const { dicomDirFile, files, archiveFailures } = this.dicomDirSource;
+        const resolved = this.dicomDirReader.resolveSeriesFiles(series, files, dicomDirFile);
+
+        if (resolved.missing.length > 0) {
+            console.warn('Files referenced by DICOMDIR not found:', resolved.missing);
+        }
+
+        if (resolved.files.length < 2) {
+            this.showErrorMessage(`Only ${resolved.files.length} of ${series.images.length} referenced files were found`);
+            return;
+        }
+
+        try {
+            await this.loadVolumeFromFiles(resolved.files, archiveFailures);
+            if (resolved.missing.length > 0) {
+                this.showWarningMessage(`${resolved.missing.length} file(s) referenced by DICOMDIR were not found`);
+            }
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                this.showMessage('Loading cancelled');
+                return;
+            }
+            this.showErrorMessage(`Failed to load DICOMDIR series: ${error.message}`);
+        }
+    }
+
+    /**
+     * Load DICOM files with a progress bar; a newer load or the Cancel button aborts this one
+     * @param {Array<File>} files - DICOM files
+     * @param {Array<Object>} archiveFailures - Unreadable archives and entries from expandArchives
+     */
+    async loadVolumeFromFiles(files, archiveFailures = []) {
+        this.loadController?.abort();
+        const controller = new AbortController();
+        this.loadController = controller;
+
+        let results;
+        try {
+            this.showLoadProgress(null);
+            results = await this.dicomLoader.loadMultipleDicomFiles(files, {
+                signal: controller.signal,
+                onProgress: (progress) => this.showLoadProgress(progress),
+                archiveFailures
+            });
+        } finally {
+            if (this.loadController === controller) {
+                this.loadController = null;
+                this.hideLoadProgress();
+            }
+        }
+
+        if (results.successful.length < 2) {
+            const skipped = results.failed.length > 0 ? ` (${this.describeFailures(results.failed)})` : '';
+            throw new Error(`Need at least 2 DICOM image files${skipped}`);
+        }
+
+        this.currentSeries = results.series;
+        this.seriesBrowser.setSeries(results.series);
+
+        const volumeSeries = results.series.filter(series => series.images.length >= 2);
+        if (volumeSeries.length === 0) {
+            throw new Error('No series contains at least 2 slices');
+        }
+
+        // Only build a volume straight away when there is nothing to choose from
+        if (results.series.length === 1) {
+            await this.loadSeries(results.series[0], results.failed);
+            return;
+        }
+
+        let message = `Found ${results.series.length} series - select one to create the 3D volume`;
         if (results.failed.length > 0) {
-            message += ` (${results.failed.length} failed)`;
+            message += ` (${this.describeFailures(results.failed)})`;
+        }
+        this.showSuccessMessage(message);
+    }
+
+    /**
+     * Summarise rejected files by reason, e.g. "3 skipped: 2 not DICOM, 1 DICOMDIR"
+     * @param {Array<Object>} failed - Failed entries from DicomLoader.loadMultipleDicomFiles or DicomAnonymizer.exportZip
+     * @returns {string} Summary text
+     */
+    describeFailures(failed) {
+        const labels = {
+            'not-dicom': 'not DICOM',
+            'dicomdir': 'DICOMDIR',
+            'structured-report': 'structured report',
+            'presentation-state': 'presentation state',
+            'encapsulated-document': 'encapsulated document',
+            'radiotherapy': 'RT object',
+            'non-image': 'non-image object',
+            'no-pixel-data': 'no pixel data',
+            'archive-error': 'unreadable archive',
+            'encrypted-entry': 'encrypted archive entry',
+            'unsupported-compression': 'unsupported compression',
+            'read-error': 'unreadable',
+            'decode-error': 'decode error',
+            'burned-in': 'burned-in annotation',
+            'remote': 'DICOMweb frame',
+            'encode-error': 'encode error'
+        };
+
+        const counts = {};
+        failed.forEach(failure => {
+            const label = labels[failure.reason] || 'failed';
+            counts[label] = (counts[label] || 0) + 1;
+        });
+
+        const details = Object.entries(counts).map(([label, count]) => `${count} ${label}`).join(', ');
+        return `${failed.length} skipped: ${details}`;
+    }
+
+    /**
+     * De-identify the displayed series (or every loaded series) and download a ZIP
+     */
+    async handleAnonymizedExport() {
+        const images = document.getElementById('export-all-series')?.checked
+            ? this.currentSeries.flatMap(series => series.images)
+            : this.currentImages;
+        if (images.length === 0) {
+            this.showErrorMessage('Load a DICOM series before exporting');
+            return;
+        }
+
+        const value = (id) => document.getElementById(id)?.value.trim() || '';
+        const checked = (id) => Boolean(document.getElementById(id)?.checked);
+        const anonymizer = new DicomAnonymizer({
+            patientName: value('export-patient-name') || 'ANONYMOUS',
+            patientId: value('export-patient-id') || 'ANON',
+            retainDates: checked('export-retain-dates'),
+            retainPatientCharacteristics: checked('export-retain-characteristics'),
+            retainDeviceIdentity: checked('export-retain-device'),
+            retainDescriptions: checked('export-retain-descriptions'),
+            retainPrivateTags: checked('export-retain-private'),
+            retainUIDs: checked('export-retain-uids'),
+            includeBurnedIn: checked('export-include-burned-in')
+        });
+
+        try {
+            this.showLoadingMessage('De-identifying files...');
+            const { blob, exported, skipped, warnings } = await anonymizer.exportZip(images, (progress) => {
+                this.showLoadingMessage(`De-identifying ${progress.done}/${progress.total} files...`);
+            });
+            skipped.forEach(entry => console.warn(`Not exported: ${entry.fileName} (${entry.message})`));
+            warnings.forEach(warning => console.warn(warning));
+
+            if (!blob) {
+                throw new Error(`no files could be exported (${this.describeFailures(skipped)})`);
+            }
+
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = 'deidentified-dicom.zip';
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(link.href), DOWNLOAD_URL_LIFETIME_MS);
+
+            let message = `Exported ${exported} de-identified file(s)`;
+            if (skipped.length > 0) {
+                message += ` (${this.describeFailures(skipped)})`;
+            }
+            if (skipped.length > 0 || warnings.length > 0) {
+                this.showWarningMessage([message, ...warnings].join('. '));
+                return;
+            }
+            this.showSuccessMessage(message);
+        } catch (error) {
+            this.showErrorMessage(`Export failed: ${error.message}`);
+        }
+    }
+
+    async handleSeriesSelect(series) {
+        try {
+            this.showLoadingMessage(`Loading series ${series.seriesDescription || series.seriesNumber || ''}...`);
+            await this.loadSeries(series);
+        } catch (error) {
+            this.showErrorMessage(`Failed to load series: ${error.message}`);
+        }
+    }
+
+    async loadSeries(series, failed = []) {
+        if (series.images.length < 2) {
+            throw new Error('Selected series has fewer than 2 slices');
+        }
+
+        // Mixed slices would otherwise fail deep inside volume creation
+        const report = this.seriesValidator.validate(series.images);
+        if (report.errors.length > 0 || report.warnings.length > 0) {
+            const title = series.seriesDescription || `Series ${series.seriesNumber ?? ''}`.trim();
+            const proceed = await this.validationDialog.confirm(report, title);
+            if (report.errors.length > 0) {
+                throw new Error(`${report.errors.length} consistency error(s): ${report.errors[0].message}`);
+            }
+            if (!proceed) {
+                this.showMessage('Volume creation cancelled');
+                return;
+            }
+        }
+
+        let volumeData = this.dicomLoader.createVolumeFromImages(series.images);
+        if (volumeData.imageIds.length < 2) {
+            throw new Error('Selected series has fewer than 2 distinct slice positions');
+        }
+        const { duplicates } = volumeData;
+        const fullSize = volumeData.dimensions;
+
+        const reduction = await this.chooseReduction(fullSize, { allowInPlane: !series.remote });
+        if (!reduction) {
+            this.showMessage('Volume creation cancelled');
+            return;
+        }
+        const { inPlane, sliceStep, first, last } = reduction;
+        if (sliceStep > 1 || first > 0 || last < fullSize.depth - 1) {
+            const kept = volumeData.images.filter((img, index) =>
+                index >= first && index <= last && (index - first) % sliceStep === 0);
+            if (kept.length < 2) {
+                throw new Error('Reduced series has fewer than 2 slices');
+            }
+            volumeData = this.dicomLoader.createVolumeFromImages(kept);
+        }
+
+        const warnings = [...report.warnings.map(warning => warning.message), ...volumeData.spacing.warnings];
+        if (duplicates.length > 0) {
+            const skipped = duplicates.map(dup => dup.fileName).join(', ');
+            warnings.push(`Skipped ${duplicates.length} duplicate slice position(s): ${skipped}`);
+        }
+
+        const metadata = { ...volumeData.metadata, volumeSpacing: volumeData.spacing, corrections: [] };
+        const reducedSize = getReducedSize(fullSize, reduction);
+        metadata.memory = formatBytes(estimateVolumeBytes(reducedSize));
+        const reduced = reducedSize.depth < fullSize.depth || inPlane > 1;
+        if (reduced) {
+            metadata.dimensions = `${reducedSize.width} x ${reducedSize.height}`;
+            metadata.volumeSpacing = { ...volumeData.spacing, x: volumeData.spacing.x * inPlane, y: volumeData.spacing.y * inPlane };
+            metadata.memory += ` (full: ${formatBytes(estimateVolumeBytes(fullSize))})`;
+            metadata.corrections.push(`Reduced: ${describeReduction(reduction, fullSize.depth)}`);
+        }
+
+        const { tilt } = volumeData;
+        const irregular = !volumeData.spacing.isUniform &&
+            document.getElementById('resample-irregular')?.checked;
+        let correctTilt = Boolean(tilt) && document.getElementById('correct-gantry-tilt')?.checked;
+        let resample = irregular || correctTilt || inPlane > 1;
+
+        // Streamed series have no pixel data in memory to resample from
+        if (resample && series.remote) {
+            resample = false;
+            correctTilt = false;
+            warnings.push('Resampling is not available for DICOMweb series; displayed with nominal spacing');
+        }
+
+        if (tilt && !correctTilt) {
+            warnings.push(`Gantry tilt of ${tilt.angle.toFixed(1)}° not corrected; the volume is displayed sheared`);
+        }
+
+        if (resample) {
+            if (correctTilt) {
+                metadata.corrections.push(`Gantry tilt ${tilt.angle.toFixed(1)}° corrected`);
+            }
+            const volumeOptions = this.dicomLoader.resampleToUniformGrid(volumeData, { correctTilt, inPlane });
+            await this.volumeViewer.displayLocalVolume(volumeOptions, metadata);
+            if (irregular) {
+                warnings.push(`Resampled to ${volumeOptions.dimensions[2]} uniform slices at ${volumeData.spacing.z.toFixed(2)} mm`);
+            }
+        } else {
+            const interleave = document.getElementById('coarse-preview')?.checked ? PREVIEW_INTERLEAVE : 1;
+            await this.volumeViewer.displayVolume(volumeData.imageIds, metadata, { interleave });
+        }
+
+        this.volumeViewer.setActiveTool('TrackballRotate');
+
+        // PET volumes hold body-weight SUV when the header allows computing it
+        const suv = metadata.modality === 'PT' ? getSuvFactors(volumeData.imageIds[0]) : null;
+        if (suv?.error) {
+            warnings.push(`SUV not available (${suv.error}); PET values are shown unscaled`);
+        }
+        this.setValueUnits(suv && !suv.error ? suv : null, metadata.modality === 'CT' ? 'HU' : '');
+        if (this.suvFactors) {
+            this.apply3DPreset('pet-scan');
+        }
+
+        this.currentImages = series.images;
+        this.seriesBrowser.setActive(series.id);
+        this.primarySeries = series;
+        this.updateFusionControls();
+        this.tagInspector.setImages(volumeData.images);
+        this.showVolumeWarnings(warnings);
+        this.restoreViewSettings(series.id);
+        // Stored in the background; the volume is already on screen
+        this.saveToLibrary(series);
+
+        const unit = series.remote ? 'frames' : 'files';
+        let message = `Successfully created 3D volume from ${volumeData.imageIds.length} ${unit}`;
+        if (correctTilt) {
+            message += `, corrected for ${tilt.angle.toFixed(1)}° gantry tilt`;
+        }
+        if (reduced) {
+            message += `, reduced to ${reducedSize.width} x ${reducedSize.height} x ${reducedSize.depth}`;
+        }
+        if (failed.length > 0) {
+            message += ` (${this.describeFailures(failed)})`;
+        }
+
+        if (warnings.length > 0) {
+            this.showWarningMessage(`${message} with ${warnings.length} warning(s) - see Volume Information`);
+            return;
         }
 
         this.showSuccessMessage(message);
     }
 
+    /**
+     * Ask for a reduced resolution when the full volume exceeds the memory budget
+     * @param {Object} size - Full { width, height, depth }
+     * @param {Object} options - { allowInPlane } is false for streamed series
+     * @returns {Promise<Object|null>} { inPlane, sliceStep, first, last }, or null if cancelled
+     */
+    async chooseReduction(size, { allowInPlane }) {
+        const budget = this.getMemoryBudget();
+        if (estimateVolumeBytes(size) <= budget) {
+            return { inPlane: 1, sliceStep: 1, first: 0, last: size.depth - 1 };
+        }
+
+        const suggestion = suggestReduction(size, budget, { allowInPlane });
+        return this.reductionDialog.choose(size, budget, suggestion, { allowInPlane });
+    }
+
+    showVolumeWarnings(warnings) {
+        const list = document.getElementById('volume-warnings');
+        if (!list) return;
+
+        list.innerHTML = '';
+        warnings.forEach(warning => {
+            const item = document.createElement('li');
+            item.textContent = warning;
+            list.appendChild(item);
+        });
+        list.style.display = warnings.length > 0 ? '' : 'none';
+    }
+
     setActiveTool(toolName, buttonElement) {
         this.updateToolButtonStates(buttonElement);
 
@@ -230,14 +1018,339 @@ document.getElementById('reset-window-level')?.addEventListener('click', () => {
 
     setVolumeOpacity(opacity) {
         this.volumeViewer?.setVolumeOpacity(opacity);
+        this.syncTransferFunctionEditor();
+    }
+
+    /**
+     * Show the viewer's global opacity on the opacity slider
+     */
+    syncOpacitySlider() {
+        const opacity = this.volumeViewer?.getVolumeOpacity();
+        const opacitySlider = document.getElementById('opacity-slider');
+        if (opacitySlider && opacity !== undefined) opacitySlider.value = opacity;
     }
 
     setRenderingMode(mode) {
         this.volumeViewer?.setRenderingMode(mode);
+        this.saveViewSettings({ renderingMode: mode });
+    }
+
+    /**
+     * Remember settings of the displayed volume for the next time it is opened
+     * @param {Object} changes - Any of { renderingMode, opacity, clipping }
+     */
+    saveViewSettings(changes) {
+        if (this.viewSettingsKey) {
+            saveViewSettings(this.viewSettingsKey, changes);
+        }
     }
 
+    /**
+     * Make a newly displayed volume the target of saved settings and reapply
+     * what was saved for it last time
+     * @param {string} key - Series id, or file:<name> for single-file volumes
+     */
+    restoreViewSettings(key) {
+        this.viewSettingsKey = key;
+        const settings = loadViewSettings(key);
+        if (!settings) {
+            this.syncOpacitySlider();
+            this.syncTransferFunctionEditor();
+            this.renderClipPlaneList();
+            return;
+        }
+
+        if (settings.renderingMode) {
+            this.volumeViewer.setRenderingMode(settings.renderingMode);
+        }
+        if (Number.isFinite(settings.opacity)) {
+            this.volumeViewer.setVolumeOpacity(settings.opacity);
+        }
+        if (settings.clipping) {
+            this.volumeViewer.clipping.setState(settings.clipping);
+        }
+        this.syncOpacitySlider();
+        this.syncTransferFunctionEditor();
+        this.renderClipPlaneList();
+        console.log(`Restored view settings for ${key}`);
+    }
+
+    setupClipping() {
+        const clipping = this.volumeViewer.clipping;
+        clipping.onChange = (state) => {
+            this.saveViewSettings({ clipping: state });
+            this.renderClipPlaneList();
+        };
+
+        document.getElementById('crop-handles')?.addEventListener('change', (e) => {
+            clipping.setHandlesVisible(e.target.checked);
+        });
+        document.getElementById('clip-add')?.addEventListener('click', () => {
+            if (!this.volumeViewer.currentVolumeData) {
+                this.showWarningMessage('Load a volume before adding clipping planes');
+                return;
+            }
+            clipping.addPlaneFromView();
+        });
+        document.getElementById('clip-invert')?.addEventListener('click', () => {
+            clipping.toggleInvert();
+        });
+        document.getElementById('clip-reset')?.addEventListener('click', () => {
+            clipping.reset();
+            this.saveViewSettings({ clipping: clipping.getState() });
+            this.renderClipPlaneList();
+            this.showSuccessMessage('Clipping reset');
+        });
+    }
+
+    setupFusion() {
+        document.getElementById('fusion-load')?.addEventListener('click', async () => {
+            const id = document.getElementById('fusion-series')?.value;
+            const series = this.currentSeries.find(candidate => candidate.id === id);
+            if (!series) {
+                this.showWarningMessage('Choose a series to fuse');
+                return;
+            }
+
+            try {
+                this.showLoadingMessage(`Fusing series ${series.seriesDescription || series.seriesNumber || ''}...`);
+                await this.loadFusionSeries(series);
+                this.showSuccessMessage(`Fused ${series.modality} series with the displayed volume`);
+            } catch (error) {
+                this.showErrorMessage(`Fusion failed: ${error.message}`);
+            }
+            this.updateFusionControls();
+        });
+        document.getElementById('fusion-remove')?.addEventListener('click', () => {
+            this.volumeViewer.removeFusionVolume();
+            this.updateFusionControls();
+        });
+        document.getElementById('fusion-colormap')?.addEventListener('change', (e) => {
+            this.volumeViewer.setFusionColormap(e.target.value);
+        });
+        document.getElementById('fusion-opacity')?.addEventListener('input', (e) => {
+            this.volumeViewer.setFusionOpacity(parseFloat(e.target.value));
+        });
+        document.getElementById('fusion-blend')?.addEventListener('input', (e) => {
+            this.volumeViewer.setFusionBlend(parseFloat(e.target.value));
+        });
+        ['fusion-window-center', 'fusion-window-width'].forEach(id => {
+            document.getElementById(id)?.addEventListener('change', () => {
+                const center = parseFloat(document.getElementById('fusion-window-center').value);
+                const width = parseFloat(document.getElementById('fusion-window-width').value);
+                if (Number.isFinite(center) && Number.isFinite(width) && width > 0) {
+                    this.volumeViewer.setFusionWindowLevel(width, center);
+                }
+            });
+        });
+
+        this.updateFusionControls();
+    }
+
+    /**
+     * Render another series of the study in the 3D view with the displayed one
+     * @param {Object} series - Series group from the loaded files
+     */
+    async loadFusionSeries(series) {
+        if (!this.primarySeries) {
+            throw new Error('fusion needs a DICOM series as the base volume');
+        }
+
+        const report = this.seriesValidator.validate(series.images);
+        if (report.errors.length > 0) {
+            throw new Error(report.errors[0].message);
+        }
+        const volumeData = this.dicomLoader.createVolumeFromImages(series.images);
+        if (volumeData.imageIds.length < 2) {
+            throw new Error('series has fewer than 2 distinct slice positions');
+        }
+
+        // Without a shared frame of reference the two volumes' positions cannot be related
+        const baseFrame = this.primarySeries.images[0].metadata.frameOfReferenceUID;
+        const fusedFrame = volumeData.metadata.frameOfReferenceUID;
+        if (!baseFrame || !fusedFrame) {
+            throw new Error('FrameOfReferenceUID is missing, so the volumes cannot be aligned');
+        }
+        if (baseFrame !== fusedFrame) {
+            throw new Error('series do not share a FrameOfReferenceUID with the displayed volume');
+        }
+
+        // The base volume stays in memory next to the fused one
+        const baseSize = this.volumeViewer.getVolumeSize();
+        const baseBytes = baseSize ? estimateVolumeBytes(baseSize) : 0;
+        const bytes = estimateVolumeBytes(volumeData.dimensions);
+        if (baseBytes + bytes > this.getMemoryBudget()) {
+            throw new Error(`series needs ${formatBytes(bytes)}, which with the ${formatBytes(baseBytes)} base volume exceeds the memory budget`);
+        }
+
+        // Streamed series have no pixel data in memory to resample from
+        const resample = !series.remote && (!volumeData.spacing.isUniform || Boolean(volumeData.tilt));
+        const source = resample
+            ? { volumeOptions: this.dicomLoader.resampleToUniformGrid(volumeData, { correctTilt: Boolean(volumeData.tilt) }) }
+            : { imageIds: volumeData.imageIds };
+
+        const colormap = volumeData.metadata.modality === 'PT' ? 'hot' : 'grayscale';
+        await this.volumeViewer.displayFusionVolume(source, volumeData.metadata, {
+            colormap,
+            windowLevel: this.getFusionWindow(volumeData),
+            opacity: parseFloat(document.getElementById('fusion-opacity')?.value ?? 1),
+            blend: parseFloat(document.getElementById('fusion-blend')?.value ?? 0.5)
+        });
+    }
+
+    /**
+     * Initial window of a fused volume: the SUV window for PET with SUV,
+     * otherwise the series' own window
+     * @param {Object} volumeData - From DicomLoader.createVolumeFromImages
+     * @returns {Object} { width, center } in the volume's values
+     */
+    getFusionWindow(volumeData) {
+        const { modality, windowCenter, windowWidth } = volumeData.metadata;
+        if (modality === 'PT' && !getSuvFactors(volumeData.imageIds[0]).error) {
+            return { ...WINDOW_RANGES.suv.reset };
+        }
+
+        const center = parseFloat(windowCenter);
+        const width = parseFloat(windowWidth);
+        if (Number.isFinite(center) && Number.isFinite(width) && width > 0) {
+            return { width, center };
+        }
+        return { ...WINDOW_RANGES.raw.reset };
+    }
+
+    /**
+     * List the series that can be fused and show the current fusion settings
+     */
+    updateFusionControls() {
+        const select = document.getElementById('fusion-series');
+        if (select) {
+            const candidates = this.primarySeries
+                ? this.currentSeries.filter(series => series.id !== this.primarySeries.id && series.images.length >= 2)
+                : [];
+            select.innerHTML = '';
+            candidates.forEach(series => {
+                const option = document.createElement('option');
+                option.value = series.id;
+                const description = series.seriesDescription ? ` ${series.seriesDescription}` : '';
+                option.textContent = `#${series.seriesNumber ?? '-'} ${series.modality}${description} (${series.images.length} slices)`;
+                select.appendChild(option);
+            });
+            select.disabled = candidates.length === 0;
+            document.getElementById('fusion-load').disabled = candidates.length === 0;
+        }
+
+        const fusion = this.volumeViewer.getFusionState();
+        const status = document.getElementById('fusion-status');
+        if (status) {
+            status.textContent = fusion ? `Fused ${fusion.modality} volume` : 'No fused volume';
+        }
+        ['fusion-remove', 'fusion-colormap', 'fusion-opacity', 'fusion-blend', 'fusion-window-center', 'fusion-window-width']
+            .forEach(id => {
+                const control = document.getElementById(id);
+                if (control) control.disabled = !fusion;
+            });
+        if (!fusion) return;
+
+        document.getElementById('fusion-colormap').value = fusion.colormap;
+        document.getElementById('fusion-window-center').value = fusion.windowLevel.center;
+        document.getElementById('fusion-window-width').value = fusion.windowLevel.width;
+    }
+
+    /**
+     * List the oblique clipping planes with an offset slider and remove button each
+     */
+    renderClipPlaneList() {
+        const list = document.getElementById('clip-plane-list');
+        if (!list) return;
+
+        const clipping = this.volumeViewer.clipping;
+        const { planes, invert } = clipping.getState();
+        const range = Math.ceil(clipping.getPlaneRange());
+        document.getElementById('clip-invert')?.classList.toggle('active', invert);
+
+        list.innerHTML = '';
+        planes.forEach((plane, index) => {
+            const item = document.createElement('li');
+            item.className = 'clip-plane';
+
+            const label = document.createElement('span');
+            label.textContent = `Plane ${index + 1}`;
+            item.appendChild(label);
+
+            const slider = document.createElement('input');
+            slider.type = 'range';
+            slider.className = 'control-slider';
+            slider.min = -range;
+            slider.max = range;
+            slider.step = 1;
+            slider.value = plane.offset;
+            slider.title = 'Offset from volume centre (mm)';
+            slider.addEventListener('input', () => clipping.setPlaneOffset(index, parseFloat(slider.value)));
+            slider.addEventListener('change', () => this.saveViewSettings({ clipping: clipping.getState() }));
+            item.appendChild(slider);
+
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.className = 'preset-btn';
+            remove.textContent = 'Remove';
+            remove.addEventListener('click', () => clipping.removePlane(index));
+            item.appendChild(remove);
+
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * @param {number} width - Window width in displayed units
+     * @param {number} center - Window center in displayed units
+     */
     setWindowLevel(width, center) {
-        this.volumeViewer?.setWindowLevel(width, center);
+        const scale = this.getDisplayScale();
+        this.volumeViewer?.setWindowLevel(width / scale, center / scale);
+        this.syncTransferFunctionEditor();
+    }
+
+    /**
+     * Apply points edited in the transfer function editor to the volume
+     * @param {Object} functions - { colorPoints, opacityPoints }
+     */
+    applyTransferFunction(functions) {
+        this.volumeViewer?.setBaseTransferFunction(functions);
+        this.transferFunctionEditor?.setAppliedOpacity(this.volumeViewer?.getTransferFunction()?.appliedOpacityPoints);
+    }
+
+    /**
+     * Show the histogram and functions of a fully loaded volume in the editor
+     */
+    refreshTransferFunctionEditor() {
+        this.transferFunctionEditor?.setHistogram(this.volumeViewer.getHistogram());
+        this.syncTransferFunctionEditor();
+    }
+
+    /**
+     * Show the functions on the volume after a preset or window level change
+     */
+    syncTransferFunctionEditor() {
+        this.transferFunctionEditor?.setFunctions(this.volumeViewer?.getTransferFunction());
+    }
+
+    /**
+     * Show the window applied to the volume in displayed units, or none while
+     * the volume has no window
+     */
+    syncWindowLevelSliders() {
+        const windowLevel = this.volumeViewer?.getWindowLevel();
+        if (!windowLevel) {
+            ['window-center-value', 'window-width-value'].forEach(id => {
+                const display = document.getElementById(id);
+                if (display) display.textContent = 'None';
+            });
+            return;
+        }
+
+        const scale = this.getDisplayScale();
+        const round = (value) => Math.round(value * scale * 10) / 10;
+        this.updateWindowLevelSliders(round(windowLevel.width), round(windowLevel.center));
     }
 
     updateWindowLevelSliders(width, center) {
@@ -248,8 +1361,66 @@ document.getElementById('reset-window-level')?.addEventListener('click', () => {
         
         if (centerSlider) centerSlider.value = center;
         if (widthSlider) widthSlider.value = width;
-        if (centerDisplay) centerDisplay.textContent = center.toString();
-        if (widthDisplay) widthDisplay.textContent = width.toString();
+        if (centerDisplay) centerDisplay.textContent = this.formatValue(center);
+        if (widthDisplay) widthDisplay.textContent = this.formatValue(width);
+    }
+
+    /**
+     * Switch window level, PET presets and value readouts between raw values and SUV
+     * @param {Object|null} suvFactors - From getSuvFactors for a PET series with SUV, otherwise null
+     * @param {string} rawUnits - Unit of the values without SUV, e.g. 'HU'
+     */
+    setValueUnits(suvFactors, rawUnits) {
+        this.suvFactors = suvFactors;
+        this.rawUnits = rawUnits;
+
+        const select = document.getElementById('suv-type');
+        if (select) {
+            select.closest('.control-group').style.display = suvFactors ? '' : 'none';
+            select.querySelector('option[value="lbm"]').disabled = !suvFactors?.suvlbm;
+            if (!suvFactors?.suvlbm) select.value = 'bw';
+            this.suvType = select.value;
+        }
+
+        const ranges = WINDOW_RANGES[suvFactors ? 'suv' : 'raw'];
+        [['window-center-slider', ranges.center], ['window-width-slider', ranges.width]].forEach(([id, [min, max, step]]) => {
+            const slider = document.getElementById(id);
+            if (!slider) return;
+            slider.min = min;
+            slider.max = max;
+            slider.step = step;
+        });
+        // Dragging either slider starts from the reset window
+        this.updateWindowLevelSliders(ranges.reset.width, ranges.reset.center);
+        this.syncWindowLevelSliders();
+        this.showValueUnits();
+    }
+
+    /**
+     * Factor from volume values (body-weight SUV for PET) to displayed values
+     * @returns {number} 1 unless lean body mass SUV is selected
+     */
+    getDisplayScale() {
+        return this.suvFactors && this.suvType === 'lbm'
+            ? this.suvFactors.suvlbm / this.suvFactors.suvbw
+            : 1;
+    }
+
+    getValueUnits() {
+        if (!this.suvFactors) return this.rawUnits;
+        return this.suvType === 'lbm' ? 'SUVlbm' : 'SUVbw';
+    }
+
+    formatValue(value) {
+        const units = this.getValueUnits();
+        return units ? `${value} ${units}` : value.toString();
+    }
+
+    showValueUnits() {
+        const element = document.getElementById('value-units');
+        if (!element) return;
+        const units = this.getValueUnits();
+        element.textContent = this.suvFactors ? `${units} (g/ml)` : units || '-';
     }
 
     apply3DPreset(presetName) {
@@ -311,14 +1482,16 @@ document.getElementById('reset-window-level')?.addEventListener('click', () => {
             },
             'pet-scan': {
                 name: 'PET Scan',
+                // Values in SUV; converted to the volume's values when applied
+                units: 'SUV',
                 colorPoints: [
-                    { value: 0, color: [0, 0, 0, 0] },             // No activity - transparent
-                    { value: 1500, color: [0, 0, 1, 0.3] },       // Low activity - blue
-                    { value: 3000, color: [0, 1, 0, 0.6] },       // Moderate activity - green
-                    { value: 4000, color: [1, 1, 0, 0.8] },       // High activity - yellow
-                    { value: 5000, color: [1, 0, 0, 1.0] }        // Maximum activity - red
+                    { value: 0, color: [0, 0, 0, 0] },             // No uptake - transparent
+                    { value: 1, color: [0, 0, 1, 0.3] },          // Background - blue
+                    { value: 2.5, color: [0, 1, 0, 0.6] },        // Liver / suspicious threshold - green
+                    { value: 5, color: [1, 1, 0, 0.8] },          // High uptake - yellow
+                    { value: 10, color: [1, 0, 0, 1.0] }          // Maximum uptake - red
                 ],
-                windowLevel: { width: 5000, center: 2500 },
+                windowLevel: { width: 8, center: 5 },
                 opacity: 0.9
             },
             'contrast-enhanced': {
@@ -338,7 +1511,7 @@ document.getElementById('reset-window-level')?.addEventListener('click', () => {
         const preset = presets[presetName];
         if (preset && this.volumeViewer) {
             // Apply color points and window level
-            this.volumeViewer.apply3DPreset(preset);
+            this.volumeViewer.apply3DPreset(preset.units === 'SUV' ? this.toVolumeValues(preset) : preset);
             
             // Update opacity slider if exists
             const opacitySlider = document.getElementById('opacity-slider');
@@ -352,11 +1525,30 @@ document.getElementById('reset-window-level')?.addEventListener('click', () => {
                 opacityDisplay.textContent = Math.round(preset.opacity * 100) + '%';
             }
 
-            // Update window level sliders if preset has window level
-            if (preset.windowLevel) {
-                this.updateWindowLevelSliders(preset.windowLevel.width, preset.windowLevel.center);
-            }
+            this.syncWindowLevelSliders();
+            this.syncTransferFunctionEditor();
+        }
+    }
+
+    /**
+     * Convert an SUV preset into the volume's values, honouring the selected SUV type
+     * @param {Object} preset - Preset with colorPoints and windowLevel in SUV
+     * @returns {Object} Preset for VolumeViewer3D.apply3DPreset
+     */
+    toVolumeValues(preset) {
+        if (!this.suvFactors) {
+            console.warn(`${preset.name} preset is defined in SUV, but the volume has no SUV scaling`);
         }
+
+        const scale = this.getDisplayScale();
+        return {
+            ...preset,
+            colorPoints: preset.colorPoints.map(point => ({ ...point, value: point.value / scale })),
+            windowLevel: preset.windowLevel && {
+                width: preset.windowLevel.width / scale,
+                center: preset.windowLevel.center / scale
+            }
+        };
     }
 
     updateToolButtonStates(activeButton) {
@@ -366,6 +1558,8 @@ document.getElementById('reset-window-level')?.addEventListener('click', () => {
 
     handleKeyboardShortcuts(e) {
         if (!this.isInitialized) return;
+        // Let text fields (DICOMweb search) receive their keystrokes
+        if (e.target.isContentEditable || /^(text|search|url|password)$/.test(e.target.type)) return;
 
         switch (e.key.toLowerCase()) {
             case 'r': e.preventDefault(); this.setActiveTool('Rotate', document.getElementById('rotate-tool')); break;
@@ -373,6 +1567,7 @@ document.getElementById('reset-window-level')?.addEventListener('click', () => {
             case 'z': e.preventDefault(); this.setActiveTool('Zoom', document.getElementById('zoom-tool')); break;
             case 'o': e.preventDefault(); document.getElementById('opacity-tool')?.click(); break;
             case 'f': e.preventDefault(); this.resetView(); break;
+            case 'm': e.preventDefault(); document.getElementById('mpr-layout')?.click(); break;
             case '1': e.preventDefault(); this.setRenderingMode('VR'); break;
             case '2': e.preventDefault(); this.setRenderingMode('MIP'); break;
             case '3': e.preventDefault(); this.setRenderingMode('MinIP'); break;
@@ -387,6 +1582,7 @@ document.getElementById('reset-window-level')?.addEventListener('click', () => {
     showLoadingMessage(msg) { this.showMessage(msg, 'loading'); }
     showSuccessMessage(msg) { this.showMessage(msg, 'success'); }
     showErrorMessage(msg) { this.showMessage(msg, 'error'); }
+    showWarningMessage(msg) { this.showMessage(msg, 'warning'); }
 
     showMessage(message, type = 'info') {
         document.querySelector('.app-message')?.remove();
@@ -407,19 +1603,27 @@ document.getElementById('reset-window-level')?.addEventListener('click', () => {
 
         el.textContent = message;
         if (type === 'loading') {
-            el.innerHTML = `<div style="display: flex; align-items: center; gap: 0.5rem;">
-                                <div class="loading-spinner" style="width: 16px; height: 16px;"></div>
-                                ${message}
-                            </div>`;
+            // The message may carry series descriptions from files or servers, so it stays text
+            const row = document.createElement('div');
+            row.style.cssText = 'display: flex; align-items: center; gap: 0.5rem;';
+            const spinner = document.createElement('div');
+            spinner.className = 'loading-spinner';
+            spinner.style.cssText = 'width: 16px; height: 16px;';
+            const text = document.createElement('span');
+            text.textContent = message;
+            row.append(spinner, text);
+            el.replaceChildren(row);
             el.style.backgroundColor = '#3498db';
         } else if (type === 'success') {
             el.style.backgroundColor = '#27ae60';
         } else if (type === 'error') {
             el.style.backgroundColor = '#e74c3c';
+        } else if (type === 'warning') {
+            el.style.backgroundColor = '#e67e22';
         }
 
         document.body.appendChild(el);
-        setTimeout(() => el.remove(), type === 'error' ? 5000 : 3000);
+        setTimeout(() => el.remove(), type === 'error' || type === 'warning' ? 5000 : 3000);
     }
 
     showAppLoading() {
@@ -448,10 +1652,17 @@ document.getElementById('reset-window-level')?.addEventListener('click', () => {
     }
 
     destroy() {
+        this.loadController?.abort();
+        this.dicomLoader?.parsePool.terminate();
         this.volumeViewer?.destroy();
         this.volumeViewer = null;
         this.dicomLoader = null;
+        this.seriesBrowser = null;
+        this.dicomDirBrowser = null;
+        this.dicomDirSource = null;
+        this.tagInspector = null;
         this.currentImages = [];
+        this.currentSeries = [];
         this.isInitialized = false;
         console.log('App destroyed');
     }
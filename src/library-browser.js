@@ -0,0 +1,113 @@
+/**
+ * Library Browser Module
+ * Lists the series stored in the study library with storage usage,
+ * and lets the user reopen or delete them
+ */
+
+import { formatBytes } from './volume-budget.js';
+
+class LibraryBrowser {
+    /**
+     * @param {string} containerId - Element the library is rendered into
+     * @param {Function} onOpen - Called with a library record to reopen it
+     * @param {Function} onDelete - Called with a library record to delete it
+     */
+    constructor(containerId, onOpen, onDelete) {
+        this.containerId = containerId;
+        this.onOpen = onOpen;
+        this.onDelete = onDelete;
+        this.entries = [];
+        this.storage = null;
+    }
+
+    /**
+     * Replace the listed series
+     * @param {Array<Object>} entries - Records from StudyLibrary.list
+     * @param {Object|null} storage - { usage, quota } from StudyLibrary.getStorageEstimate
+     */
+    setEntries(entries, storage) {
+        this.entries = entries || [];
+        this.storage = storage;
+        this.render();
+    }
+
+    render() {
+        const container = document.getElementById(this.containerId);
+        if (!container) return;
+
+        container.innerHTML = '';
+        container.appendChild(this.renderStorage());
+
+        if (this.entries.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'dicomweb-empty';
+            empty.textContent = 'No stored series';
+            container.appendChild(empty);
+            return;
+        }
+
+        const list = document.createElement('ul');
+        list.className = 'library-list';
+        this.entries.forEach(entry => list.appendChild(this.renderEntry(entry)));
+        container.appendChild(list);
+    }
+
+    renderStorage() {
+        const usage = document.createElement('div');
+        usage.className = 'library-usage';
+        if (!this.storage) {
+            usage.textContent = 'Storage usage unknown';
+            return usage;
+        }
+
+        const { usage: used, quota } = this.storage;
+        const meter = document.createElement('progress');
+        meter.max = quota || 1;
+        meter.value = used;
+        const text = document.createElement('span');
+        text.textContent = `${formatBytes(used)} of ${formatBytes(quota)} used`;
+        usage.appendChild(meter);
+        usage.appendChild(text);
+        return usage;
+    }
+
+    renderEntry(entry) {
+        const item = document.createElement('li');
+        item.className = 'library-item';
+
+        const study = document.createElement('div');
+        study.className = 'library-study';
+        study.textContent = [entry.patientName, entry.studyDate, entry.studyDescription]
+            .filter(value => value && value !== 'Unknown').join(' - ') || 'Unknown patient';
+        item.appendChild(study);
+
+        const series = document.createElement('div');
+        series.className = 'library-series';
+        const description = entry.seriesDescription ? ` ${entry.seriesDescription}` : '';
+        series.textContent = `#${entry.seriesNumber ?? '-'} ${entry.modality}${description} (${entry.sliceCount} slices)`;
+        item.appendChild(series);
+
+        const details = document.createElement('small');
+        details.textContent = `${formatBytes(entry.size)}, added ${new Date(entry.addedAt).toLocaleString()}`;
+        item.appendChild(details);
+
+        const actions = document.createElement('div');
+        actions.className = 'library-actions';
+        actions.appendChild(this.createButton('Open', () => this.onOpen?.(entry)));
+        actions.appendChild(this.createButton('Delete', () => this.onDelete?.(entry)));
+        item.appendChild(actions);
+
+        return item;
+    }
+
+    createButton(label, onClick) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'preset-btn';
+        button.textContent = label;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+}
+
+export default LibraryBrowser;
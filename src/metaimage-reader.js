@@ -0,0 +1,177 @@
+/**
+ * MetaImage Reader Module
+ * Reads ITK MetaImage volumes (.mha, or .mhd with a detached data file) into
+ * local Cornerstone volume options
+ */
+
+import { SCALAR_TYPES, decompress, readScalars, findCompanionFile, buildLocalVolume } from './raster-volume.js';
+
+// MetaImage element types -> scalar types
+const ELEMENT_TYPES = {
+    MET_CHAR: 'int8',
+    MET_UCHAR: 'uint8',
+    MET_SHORT: 'int16',
+    MET_USHORT: 'uint16',
+    MET_INT: 'int32',
+    MET_UINT: 'uint32',
+    MET_LONG: 'int32',
+    MET_ULONG: 'uint32',
+    MET_FLOAT: 'float32',
+    MET_DOUBLE: 'float64'
+};
+
+class MetaImageReader {
+    /**
+     * Check if a file is a MetaImage header
+     * @param {File} file - File to check
+     * @returns {boolean} True for .mha and .mhd files
+     */
+    isMetaImageFile(file) {
+        const name = file.name.toLowerCase();
+        return name.endsWith('.mha') || name.endsWith('.mhd');
+    }
+
+    /**
+     * Read a MetaImage file
+     * @param {File} file - .mha or .mhd file
+     * @param {Array<File>} files - All uploaded files, searched for a detached data file
+     * @returns {Promise<Object>} { volumeOptions, metadata, warnings }
+     */
+    async read(file, files = []) {
+        const bytes = new Uint8Array(await file.arrayBuffer());
+        const { header, dataStart } = this.parseHeader(bytes);
+        const warnings = [];
+
+        const dims = this.getNumbers(header, 'DimSize');
+        if (dims.length !== 3) {
+            throw new Error(`Only 3D MetaImage volumes are supported (NDims ${dims.length})`);
+        }
+
+        const type = ELEMENT_TYPES[header.ElementType];
+        if (!type) {
+            throw new Error(`Unsupported MetaImage ElementType "${header.ElementType}"`);
+        }
+
+        const channels = parseInt(header.ElementNumberOfChannels || '1', 10);
+        if (channels > 1) {
+            warnings.push(`${channels} channels per voxel; only the first is shown`);
+        }
+
+        let data = await this.getEncodedData(file, bytes, dataStart, header, files);
+        if (this.isTrue(header.CompressedData)) {
+            // MetaImage compresses with zlib (deflate with a zlib header)
+            data = new Uint8Array(await decompress(data, 'deflate'));
+        }
+
+        const count = dims[0] * dims[1] * dims[2];
+        let offset = 0;
+        if (header.HeaderSize === '-1') {
+            // Data sits at the end of the data file
+            offset = data.byteLength - count * channels * SCALAR_TYPES[type].bytes;
+        } else if (header.HeaderSize && header.ElementDataFile !== 'LOCAL') {
+            offset = parseInt(header.HeaderSize, 10);
+        }
+
+        const bigEndian = this.isTrue(header.BinaryDataByteOrderMSB) || this.isTrue(header.ElementByteOrderMSB);
+        const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+        const scalarData = readScalars(view, offset, count, type, !bigEndian, { stride: channels });
+
+        const { volumeOptions, metadata } = buildLocalVolume({
+            scalarData,
+            dimensions: dims,
+            ...this.getVoxelToPatient(header),
+            name: file.name,
+            format: 'MetaImage'
+        });
+
+        return { volumeOptions, metadata, warnings };
+    }
+
+    /**
+     * Parse "Key = Value" header lines. ElementDataFile is always the last key;
+     * for LOCAL data the voxels start right after its line.
+     * @param {Uint8Array} bytes - File contents
+     * @returns {Object} { header, dataStart }
+     */
+    parseHeader(bytes) {
+        const header = {};
+        let lineStart = 0;
+
+        while (lineStart < bytes.length) {
+            let lineEnd = bytes.indexOf(0x0a, lineStart);
+            if (lineEnd < 0) lineEnd = bytes.length;
+
+            const line = new TextDecoder().decode(bytes.subarray(lineStart, lineEnd)).trim();
+            lineStart = lineEnd + 1;
+
+            const separator = line.indexOf('=');
+            if (separator < 0) continue;
+            const key = line.slice(0, separator).trim();
+            header[key] = line.slice(separator + 1).trim();
+
+            if (key === 'ElementDataFile') break;
+        }
+
+        if (!header.DimSize || !header.ElementType || !header.ElementDataFile) {
+            throw new Error('Not a MetaImage file (DimSize, ElementType or ElementDataFile missing)');
+        }
+
+        return { header, dataStart: lineStart };
+    }
+
+    /**
+     * @returns {Promise<Uint8Array>} Encoded data, inline or from the detached data file
+     */
+    async getEncodedData(file, bytes, dataStart, header, files) {
+        const dataFileName = header.ElementDataFile;
+        if (dataFileName === 'LOCAL') {
+            return bytes.subarray(dataStart);
+        }
+
+        if (dataFileName.startsWith('LIST') || dataFileName.includes('%')) {
+            throw new Error('Multi-file MetaImage data is not supported');
+        }
+
+        const dataFile = findCompanionFile(file, dataFileName, files);
+        if (!dataFile) {
+            throw new Error(`Data file "${dataFileName}" referenced by ${file.name} was not uploaded`);
+        }
+        return new Uint8Array(await dataFile.arrayBuffer());
+    }
+
+    /**
+     * Voxel-to-patient transform. MetaImage physical space is already LPS
+     * (ITK convention); each TransformMatrix row is one voxel axis.
+     */
+    getVoxelToPatient(header) {
+        const spacing = this.getNumbers(header, 'ElementSpacing');
+        const size = this.getNumbers(header, 'ElementSize');
+        const axisSpacing = [0, 1, 2].map(axis => spacing[axis] || size[axis] || 1);
+
+        const matrix = this.getNumbers(header, 'TransformMatrix', 'Orientation', 'Rotation');
+        const axes = matrix.length === 9
+            ? [0, 1, 2].map(axis => matrix.slice(axis * 3, axis * 3 + 3))
+            : [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+
+        const origin = this.getNumbers(header, 'Offset', 'Origin', 'Position');
+
+        return {
+            columns: axes.map((axis, index) => axis.map(value => value * axisSpacing[index])),
+            origin: origin.length === 3 ? origin : [0, 0, 0]
+        };
+    }
+
+    /**
+     * Numbers of the first present key among synonyms
+     */
+    getNumbers(header, ...keys) {
+        const key = keys.find(name => header[name] !== undefined);
+        return key ? header[key].split(/\s+/).map(Number) : [];
+    }
+
+    isTrue(value) {
+        return /^true$/i.test(value || '');
+    }
+}
+
+export default MetaImageReader;
@@ -0,0 +1,223 @@
+/**
+ * NIfTI Reader Module
+ * Reads NIfTI-1/NIfTI-2 volumes (.nii, .nii.gz) into local Cornerstone volume options
+ */
+
+import { isGzip, decompress, readScalars, buildLocalVolume } from './raster-volume.js';
+
+const NIFTI1_HEADER_SIZE = 348;
+const NIFTI2_HEADER_SIZE = 540;
+
+// NIfTI datatype codes -> scalar types
+const DATATYPES = {
+    2: 'uint8',
+    4: 'int16',
+    8: 'int32',
+    16: 'float32',
+    64: 'float64',
+    256: 'int8',
+    512: 'uint16',
+    768: 'uint32'
+};
+
+// xyzt_units spatial codes -> millimetres per unit
+const SPATIAL_UNITS = { 1: 1000, 2: 1, 3: 0.001 };
+
+class NiftiReader {
+    /**
+     * Check if a file is a NIfTI volume
+     * @param {File} file - File to check
+     * @returns {boolean} True for .nii and .nii.gz files
+     */
+    isNiftiFile(file) {
+        const name = file.name.toLowerCase();
+        return name.endsWith('.nii') || name.endsWith('.nii.gz');
+    }
+
+    /**
+     * Read a NIfTI file
+     * @param {File} file - .nii or .nii.gz file
+     * @returns {Promise<Object>} { volumeOptions, metadata, warnings } where volumeOptions
+     *   can be passed to VolumeViewer3D.displayLocalVolume
+     */
+    async read(file) {
+        let buffer = await file.arrayBuffer();
+        if (isGzip(new Uint8Array(buffer, 0, 2))) {
+            buffer = await decompress(buffer, 'gzip');
+        }
+
+        const view = new DataView(buffer);
+        const header = this.parseHeader(view);
+        const warnings = [];
+
+        if (header.dims[3] > 1) {
+            warnings.push(`${header.dims[3]} volumes in file (4D); only the first is shown`);
+        }
+
+        const [nx, ny, nz] = header.dims;
+        const { origin, columns } = this.getVoxelToPatient(header);
+        const { volumeOptions, metadata } = buildLocalVolume({
+            scalarData: this.readVoxels(view, header, nx * ny * nz),
+            dimensions: [nx, ny, nz],
+            columns,
+            origin,
+            voiRange: [header.calMin, header.calMax],
+            name: header.description || file.name,
+            format: 'NIfTI'
+        });
+
+        return { volumeOptions, metadata, warnings };
+    }
+
+    /**
+     * Parse a NIfTI-1 or NIfTI-2 header in either byte order
+     * @param {DataView} view - File contents
+     * @returns {Object} Header fields used for reading
+     */
+    parseHeader(view) {
+        let littleEndian = true;
+        let size = view.getInt32(0, true);
+        if (size !== NIFTI1_HEADER_SIZE && size !== NIFTI2_HEADER_SIZE) {
+            littleEndian = false;
+            size = view.getInt32(0, false);
+        }
+
+        if (size === NIFTI1_HEADER_SIZE) {
+            return this.parseNifti1Header(view, littleEndian);
+        }
+        if (size === NIFTI2_HEADER_SIZE) {
+            return this.parseNifti2Header(view, littleEndian);
+        }
+        throw new Error('Not a NIfTI file (unexpected header size)');
+    }
+
+    parseNifti1Header(view, le) {
+        const magic = this.readString(view, 344, 4);
+        if (magic !== 'n+1') {
+            throw new Error(magic === 'ni1'
+                ? 'Two-file NIfTI (.hdr/.img) is not supported; convert to a single .nii'
+                : 'Not a NIfTI-1 file (bad magic)');
+        }
+
+        const float = (offset) => view.getFloat32(offset, le);
+        const dim = Array.from({ length: 8 }, (_, i) => view.getInt16(40 + i * 2, le));
+
+        return {
+            headerSize: NIFTI1_HEADER_SIZE,
+            littleEndian: le,
+            dims: [dim[1], Math.max(dim[2], 1), Math.max(dim[3], 1), dim[0] >= 4 ? Math.max(dim[4], 1) : 1],
+            datatype: view.getInt16(70, le),
+            pixdim: Array.from({ length: 8 }, (_, i) => float(76 + i * 4)),
+            voxOffset: float(108),
+            sclSlope: float(112),
+            sclInter: float(116),
+            units: view.getUint8(123) & 0x07,
+            calMax: float(124),
+            calMin: float(128),
+            description: this.readString(view, 148, 80),
+            qformCode: view.getInt16(252, le),
+            sformCode: view.getInt16(254, le),
+            quatern: [float(256), float(260), float(264)],
+            qoffset: [float(268), float(272), float(276)],
+            srow: [0, 1, 2].map(row => Array.from({ length: 4 }, (_, i) => float(280 + row * 16 + i * 4)))
+        };
+    }
+
+    parseNifti2Header(view, le) {
+        const double = (offset) => view.getFloat64(offset, le);
+        const int64 = (offset) => Number(view.getBigInt64(offset, le));
+        const dim = Array.from({ length: 8 }, (_, i) => int64(16 + i * 8));
+
+        return {
+            headerSize: NIFTI2_HEADER_SIZE,
+            littleEndian: le,
+            dims: [dim[1], Math.max(dim[2], 1), Math.max(dim[3], 1), dim[0] >= 4 ? Math.max(dim[4], 1) : 1],
+            datatype: view.getInt16(12, le),
+            pixdim: Array.from({ length: 8 }, (_, i) => double(104 + i * 8)),
+            voxOffset: int64(168),
+            sclSlope: double(176),
+            sclInter: double(184),
+            units: view.getInt32(500, le) & 0x07,
+            calMax: double(192),
+            calMin: double(200),
+            description: this.readString(view, 240, 80),
+            qformCode: view.getInt32(344, le),
+            sformCode: view.getInt32(348, le),
+            quatern: [double(352), double(360), double(368)],
+            qoffset: [double(376), double(384), double(392)],
+            srow: [0, 1, 2].map(row => Array.from({ length: 4 }, (_, i) => double(400 + row * 32 + i * 8)))
+        };
+    }
+
+    /**
+     * Read the first volume as Float32 values with scl_slope/scl_inter applied
+     */
+    readVoxels(view, header, count) {
+        const type = DATATYPES[header.datatype];
+        if (!type) {
+            throw new Error(header.datatype === 128 || header.datatype === 2304
+                ? 'RGB NIfTI volumes are not supported'
+                : `Unsupported NIfTI datatype ${header.datatype}`);
+        }
+
+        // vox_offset can never point into the header (plus its 4-byte extension flag)
+        const offset = Math.max(Math.round(header.voxOffset), header.headerSize + 4);
+
+        // A slope of 0 means "no scaling" per the NIfTI standard
+        const scaled = Number.isFinite(header.sclSlope) && header.sclSlope !== 0;
+        return readScalars(view, offset, count, type, header.littleEndian, {
+            slope: scaled ? header.sclSlope : 1,
+            intercept: scaled && Number.isFinite(header.sclInter) ? header.sclInter : 0
+        });
+    }
+
+    /**
+     * Voxel-to-patient transform in DICOM LPS millimetres.
+     * Uses the sform when set, then the qform, then plain pixdim scaling.
+     * @param {Object} header - Parsed header
+     * @returns {Object} { origin, columns } where columns[n] is the step of voxel axis n
+     */
+    getVoxelToPatient(header) {
+        const [dx, dy, dz] = header.pixdim.slice(1, 4).map(value => Math.abs(value) || 1);
+        let columns;
+        let origin;
+
+        if (header.sformCode > 0) {
+            const [x, y, z] = header.srow;
+            columns = [0, 1, 2].map(i => [x[i], y[i], z[i]]);
+            origin = [x[3], y[3], z[3]];
+        } else if (header.qformCode > 0) {
+            const [b, c, d] = header.quatern;
+            const a = Math.sqrt(Math.max(0, 1 - (b * b + c * c + d * d)));
+            const qfac = header.pixdim[0] < 0 ? -1 : 1;
+            const rotation = [
+                [a * a + b * b - c * c - d * d, 2 * (b * c - a * d), 2 * (b * d + a * c)],
+                [2 * (b * c + a * d), a * a + c * c - b * b - d * d, 2 * (c * d - a * b)],
+                [2 * (b * d - a * c), 2 * (c * d + a * b), a * a + d * d - b * b - c * c]
+            ];
+            const scale = [dx, dy, dz * qfac];
+            columns = [0, 1, 2].map(i => rotation.map(row => row[i] * scale[i]));
+            origin = [...header.qoffset];
+        } else {
+            columns = [[dx, 0, 0], [0, dy, 0], [0, 0, dz]];
+            origin = [0, 0, 0];
+        }
+
+        // NIfTI world space is RAS, DICOM patient space is LPS
+        const toLps = (vector) => [-vector[0], -vector[1], vector[2]];
+        const unitScale = SPATIAL_UNITS[header.units] || 1;
+
+        return {
+            origin: toLps(origin).map(value => value * unitScale),
+            columns: columns.map(column => toLps(column).map(value => value * unitScale))
+        };
+    }
+
+    readString(view, offset, length) {
+        const bytes = new Uint8Array(view.buffer, view.byteOffset + offset, length);
+        const end = bytes.indexOf(0);
+        return new TextDecoder('latin1').decode(end >= 0 ? bytes.subarray(0, end) : bytes).trim();
+    }
+}
+
+export default NiftiReader;
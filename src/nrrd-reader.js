@@ -0,0 +1,192 @@
+/**
+ * NRRD Reader Module
+ * Reads NRRD volumes (.nrrd, or .nhdr with a detached data file) into
+ * local Cornerstone volume options
+ */
+
+import { SCALAR_TYPES, decompress, readScalars, findCompanionFile, buildLocalVolume } from './raster-volume.js';
+
+// NRRD type names (all spellings allowed by the format) -> scalar types
+const TYPES = {
+    int8: ['signed char', 'int8', 'int8_t'],
+    uint8: ['uchar', 'unsigned char', 'uint8', 'uint8_t'],
+    int16: ['short', 'short int', 'signed short', 'signed short int', 'int16', 'int16_t'],
+    uint16: ['ushort', 'unsigned short', 'unsigned short int', 'uint16', 'uint16_t'],
+    int32: ['int', 'signed int', 'int32', 'int32_t'],
+    uint32: ['uint', 'unsigned int', 'uint32', 'uint32_t'],
+    float32: ['float'],
+    float64: ['double']
+};
+
+// NRRD "space" values whose axes point right/anterior rather than left/posterior
+const RAS_SPACES = ['right-anterior-superior', 'ras'];
+const LAS_SPACES = ['left-anterior-superior', 'las'];
+
+class NrrdReader {
+    /**
+     * Check if a file is an NRRD volume or detached header
+     * @param {File} file - File to check
+     * @returns {boolean} True for .nrrd and .nhdr files
+     */
+    isNrrdFile(file) {
+        const name = file.name.toLowerCase();
+        return name.endsWith('.nrrd') || name.endsWith('.nhdr');
+    }
+
+    /**
+     * Read an NRRD file
+     * @param {File} file - .nrrd or .nhdr file
+     * @param {Array<File>} files - All uploaded files, searched for a detached data file
+     * @returns {Promise<Object>} { volumeOptions, metadata, warnings }
+     */
+    async read(file, files = []) {
+        const bytes = new Uint8Array(await file.arrayBuffer());
+        const { header, dataStart } = this.parseHeader(bytes);
+        const warnings = [];
+
+        const sizes = header.sizes.split(/\s+/).map(Number);
+        const directions = this.parseDirections(header['space directions']);
+
+        // A leading non-spatial axis (e.g. vector components) is interleaved; keep component 0
+        let stride = 1;
+        if (sizes.length === 4 && (!directions || directions[0] === null)) {
+            stride = sizes[0];
+            warnings.push(`${stride} components per voxel; only the first is shown`);
+        } else if (sizes.length !== 3) {
+            throw new Error(`Only 3D NRRD volumes are supported (dimension ${sizes.length})`);
+        }
+        const spatialSizes = sizes.slice(-3);
+        const spatialDirections = directions?.filter(direction => direction !== null);
+
+        const type = Object.keys(TYPES).find(key => TYPES[key].includes(header.type?.toLowerCase()));
+        if (!type) {
+            throw new Error(`Unsupported NRRD type "${header.type}"`);
+        }
+
+        let data = await this.getEncodedData(file, bytes, dataStart, header, files);
+        const encoding = (header.encoding || 'raw').toLowerCase();
+        if (encoding === 'gzip' || encoding === 'gz') {
+            data = new Uint8Array(await decompress(data, 'gzip'));
+        } else if (encoding !== 'raw') {
+            throw new Error(`Unsupported NRRD encoding "${header.encoding}" (raw and gzip are supported)`);
+        }
+
+        const count = spatialSizes[0] * spatialSizes[1] * spatialSizes[2];
+        const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+        let offset = parseInt(header['byte skip'] || '0', 10);
+        if (offset === -1) {
+            // Data sits at the end of the (decoded) file
+            offset = data.byteLength - count * stride * SCALAR_TYPES[type].bytes;
+        }
+
+        const scalarData = readScalars(view, offset, count, type, header.endian !== 'big', { stride });
+
+        const { volumeOptions, metadata } = buildLocalVolume({
+            scalarData,
+            dimensions: spatialSizes,
+            ...this.getVoxelToPatient(header, spatialDirections),
+            name: header.content || file.name,
+            format: 'NRRD'
+        });
+
+        return { volumeOptions, metadata, warnings };
+    }
+
+    /**
+     * Split the text header from the data
+     * @param {Uint8Array} bytes - File contents
+     * @returns {Object} { header, dataStart } with lower-case field names
+     */
+    parseHeader(bytes) {
+        const magic = new TextDecoder().decode(bytes.subarray(0, 8));
+        if (!magic.startsWith('NRRD000')) {
+            throw new Error('Not an NRRD file (bad magic)');
+        }
+
+        // The header ends at the first empty line
+        let end = -1;
+        for (let i = 0; i < bytes.length - 1; i++) {
+            if (bytes[i] === 0x0a && (bytes[i + 1] === 0x0a || (bytes[i + 1] === 0x0d && bytes[i + 2] === 0x0a))) {
+                end = i;
+                break;
+            }
+        }
+        const headerEnd = end < 0 ? bytes.length : end;
+        const dataStart = end < 0 ? bytes.length : end + (bytes[end + 1] === 0x0d ? 3 : 2);
+
+        const header = {};
+        new TextDecoder().decode(bytes.subarray(0, headerEnd)).split(/\r?\n/).slice(1).forEach(line => {
+            // Skip comments and key:=value pairs
+            if (line.startsWith('#') || line.includes(':=')) return;
+            const separator = line.indexOf(': ');
+            if (separator < 0) return;
+            header[line.slice(0, separator).trim().toLowerCase()] = line.slice(separator + 2).trim();
+        });
+
+        if (!header.sizes || !header.type) {
+            throw new Error('NRRD header is missing sizes or type');
+        }
+
+        // "datafile" is an accepted alias of "data file"
+        header['data file'] = header['data file'] || header.datafile;
+        return { header, dataStart };
+    }
+
+    /**
+     * @returns {Promise<Uint8Array>} Encoded data, inline or from the detached data file
+     */
+    async getEncodedData(file, bytes, dataStart, header, files) {
+        const dataFileName = header['data file'];
+        if (!dataFileName) {
+            return bytes.subarray(dataStart);
+        }
+
+        if (dataFileName.startsWith('LIST') || dataFileName.includes('%')) {
+            throw new Error('Multi-file NRRD data is not supported');
+        }
+
+        const dataFile = findCompanionFile(file, dataFileName, files);
+        if (!dataFile) {
+            throw new Error(`Data file "${dataFileName}" referenced by ${file.name} was not uploaded`);
+        }
+
+        return new Uint8Array(await dataFile.arrayBuffer());
+    }
+
+    /**
+     * Parse "(x,y,z) none (x,y,z)" style vectors; "none" marks a non-spatial axis
+     */
+    parseDirections(value) {
+        if (!value) return null;
+        return value.match(/\([^)]*\)|none/g)?.map(token =>
+            token === 'none' ? null : token.slice(1, -1).split(',').map(Number)
+        ) || null;
+    }
+
+    /**
+     * Voxel-to-patient transform in LPS from space directions/origin,
+     * falling back to axis spacings
+     */
+    getVoxelToPatient(header, directions) {
+        let columns = directions?.length === 3 ? directions : null;
+        if (!columns) {
+            const spacings = (header.spacings || '1 1 1').split(/\s+/).map(Number).slice(-3)
+                .map(value => (Number.isFinite(value) ? value : 1));
+            columns = [[spacings[0], 0, 0], [0, spacings[1], 0], [0, 0, spacings[2]]];
+        }
+
+        let origin = header['space origin']
+            ? header['space origin'].replace(/[()]/g, '').split(',').map(Number)
+            : [0, 0, 0];
+
+        const space = (header.space || '').toLowerCase();
+        const flip = RAS_SPACES.includes(space) ? [-1, -1, 1] : LAS_SPACES.includes(space) ? [1, -1, 1] : [1, 1, 1];
+        const toLps = (vector) => vector.map((value, axis) => value * flip[axis]);
+
+        columns = columns.map(toLps);
+        origin = toLps(origin);
+        return { columns, origin };
+    }
+}
+
+export default NrrdReader;
@@ -0,0 +1,142 @@
+/**
+ * PET SUV Module
+ * Standardized uptake value factors computed from the PET metadata, following
+ * the decay correction rules of the QIBA vendor-neutral SUV pseudo-code.
+ * An activity concentration in Bq/ml times a factor is the SUV in g/ml.
+ */
+
+import * as cornerstone from '@cornerstonejs/core';
+
+const SECONDS_PER_DAY = 24 * 60 * 60;
+
+// PET headers do not change once loaded, so factors are computed once per image
+const factorCache = new Map();
+
+/**
+ * SUV factors of a PET image
+ * @param {string} imageId - Cornerstone image ID
+ * @returns {Object} { suvbw, suvlbm } where suvlbm is null without patient height and sex,
+ *     or { error } saying why SUV cannot be computed
+ */
+export function getSuvFactors(imageId) {
+    if (!factorCache.has(imageId)) {
+        factorCache.set(imageId, computeSuvFactors(imageId));
+    }
+    return factorCache.get(imageId);
+}
+
+/**
+ * Metadata provider serving Cornerstone's scalingModule, so PET pixel data
+ * is pre-scaled to body-weight SUV when it is decoded
+ */
+export function suvScalingProvider(type, imageId) {
+    if (type !== 'scalingModule') return;
+
+    const factors = getSuvFactors(imageId);
+    return factors.error ? undefined : factors;
+}
+
+/**
+ * Lean body mass after Janmahasatian et al. (2005), as used for SUL in PERCIST
+ * @param {number} weight - Patient weight in kg
+ * @param {number} height - Patient size in m
+ * @param {string} sex - 'M' or 'F'
+ * @returns {number|null} Lean body mass in kg, or null when height or sex is unknown
+ */
+export function leanBodyMass(weight, height, sex) {
+    if (!(height > 0) || !['M', 'F'].includes(sex)) return null;
+
+    // PatientSize is sometimes written in cm
+    const meters = height > 3 ? height / 100 : height;
+    const bmi = weight / (meters * meters);
+    return sex === 'M'
+        ? 9270 * weight / (6680 + 216 * bmi)
+        : 9270 * weight / (8780 + 244 * bmi);
+}
+
+function computeSuvFactors(imageId) {
+    const get = (type) => cornerstone.metaData.get(type, imageId) || {};
+
+    const series = get('generalSeriesModule');
+    if (series.modality !== 'PT') {
+        return { error: 'not a PET image' };
+    }
+
+    const { units, decayCorrection } = get('petSeriesModule');
+    if (units !== 'BQML') {
+        return { error: `pixel units are ${units || 'unknown'}, not BQML` };
+    }
+    if (decayCorrection !== 'START' && decayCorrection !== 'ADMIN') {
+        return { error: `decay correction ${decayCorrection || 'unknown'} is not supported` };
+    }
+
+    const { patientWeight, patientSize, patientSex } = get('patientStudyModule');
+    if (!(patientWeight > 0)) {
+        return { error: 'patient weight missing' };
+    }
+
+    const info = get('petIsotopeModule').radiopharmaceuticalInfo || {};
+    const { radionuclideTotalDose: dose, radionuclideHalfLife: halfLife } = info;
+    if (!(dose > 0) || !(halfLife > 0)) {
+        return { error: 'injected dose or half-life missing' };
+    }
+
+    // Images corrected to the administration time need no further decay
+    let decayedDose = dose;
+    if (decayCorrection === 'START') {
+        const scanTime = getScanTime(series);
+        const injectionTime = getInjectionTime(info, series);
+        if (scanTime === null || injectionTime === null) {
+            return { error: 'scan or injection time missing' };
+        }
+
+        let elapsed = (scanTime - injectionTime) / 1000;
+        // A start time without a date that lies after the scan was the day before
+        if (elapsed < 0 && !info.radiopharmaceuticalStartDateTime) {
+            elapsed += SECONDS_PER_DAY;
+        }
+        if (elapsed < 0) {
+            return { error: 'injection time is after the scan' };
+        }
+        decayedDose = dose * Math.pow(2, -elapsed / halfLife);
+    }
+
+    const lbm = leanBodyMass(patientWeight, patientSize, patientSex);
+    return {
+        suvbw: patientWeight * 1000 / decayedDose,
+        suvlbm: lbm ? lbm * 1000 / decayedDose : null
+    };
+}
+
+/**
+ * Start of the PET acquisition in ms. Some scanners rewrite the series time
+ * after reconstruction, which then lies after the acquisition start.
+ */
+function getScanTime(series) {
+    const seriesTime = toTimestamp(series.seriesDate, series.seriesTime);
+    const acquisitionTime = toTimestamp(series.acquisitionDate || series.seriesDate, series.acquisitionTime);
+    if (seriesTime !== null && acquisitionTime !== null && acquisitionTime < seriesTime) {
+        return acquisitionTime;
+    }
+    return seriesTime ?? acquisitionTime;
+}
+
+function getInjectionTime(info, series) {
+    const match = /^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})?(\d{2})?(\.\d+)?/.exec(info.radiopharmaceuticalStartDateTime || '');
+    if (match) {
+        const [, year, month, day, hours, minutes = 0, seconds = 0, fraction = 0] = match;
+        return Date.UTC(year, month - 1, day, hours, minutes, seconds) + parseFloat(fraction || 0) * 1000;
+    }
+    return toTimestamp(series.seriesDate, info.radiopharmaceuticalStartTime);
+}
+
+/**
+ * @param {Object} date - Parsed DA { year, month, day }
+ * @param {Object} time - Parsed TM { hours, minutes, seconds, fractionalSeconds }
+ * @returns {number|null} Milliseconds, comparable between calls
+ */
+function toTimestamp(date, time) {
+    if (!date || !time || !Number.isFinite(time.hours)) return null;
+    return Date.UTC(date.year, date.month - 1, date.day, time.hours, time.minutes || 0, time.seconds || 0) +
+        (time.fractionalSeconds || 0) / 1000;
+}
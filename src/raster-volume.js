@@ -0,0 +1,193 @@
+/**
+ * Raster Volume Helpers
+ * Shared pieces for readers of non-DICOM volume formats (NIfTI, NRRD, MetaImage):
+ * voxel decoding, decompression and conversion to local Cornerstone volume options
+ */
+
+// Scalar types -> DataView getter and typed array for fast little-endian reads
+export const SCALAR_TYPES = {
+    int8: { bytes: 1, getter: 'getInt8', array: Int8Array },
+    uint8: { bytes: 1, getter: 'getUint8', array: Uint8Array },
+    int16: { bytes: 2, getter: 'getInt16', array: Int16Array },
+    uint16: { bytes: 2, getter: 'getUint16', array: Uint16Array },
+    int32: { bytes: 4, getter: 'getInt32', array: Int32Array },
+    uint32: { bytes: 4, getter: 'getUint32', array: Uint32Array },
+    float32: { bytes: 4, getter: 'getFloat32', array: Float32Array },
+    float64: { bytes: 8, getter: 'getFloat64', array: Float64Array }
+};
+
+/**
+ * @param {Uint8Array} bytes - Start of a file
+ * @returns {boolean} True if the bytes start with the gzip magic number
+ */
+export function isGzip(bytes) {
+    return bytes.length >= 2 && bytes[0] === 0x1f && bytes[1] === 0x8b;
+}
+
+/**
+ * Decompress with the browser's native DecompressionStream
+ * @param {ArrayBuffer|Uint8Array|Blob} data - Compressed data
+ * @param {string} format - 'gzip' or 'deflate' (zlib)
+ * @returns {Promise<ArrayBuffer>} Decompressed data
+ */
+export async function decompress(data, format = 'gzip') {
+    const blob = data instanceof Blob ? data : new Blob([data]);
+    const stream = blob.stream().pipeThrough(new DecompressionStream(format));
+    return new Response(stream).arrayBuffer();
+}
+
+/**
+ * Decode voxels into Float32 values with an optional linear rescale
+ * @param {DataView} view - Buffer holding the voxels
+ * @param {number} offset - Byte offset of the first voxel
+ * @param {number} count - Number of values to read
+ * @param {string} type - Key of SCALAR_TYPES
+ * @param {boolean} littleEndian - Byte order
+ * @param {Object} options - { slope, intercept, stride } where stride skips interleaved components
+ * @returns {Float32Array} Decoded values
+ */
+export function readScalars(view, offset, count, type, littleEndian, { slope = 1, intercept = 0, stride = 1 } = {}) {
+    const scalarType = SCALAR_TYPES[type];
+    if (!scalarType) {
+        throw new Error(`Unsupported voxel type ${type}`);
+    }
+    if (offset < 0 || offset + count * stride * scalarType.bytes > view.byteLength) {
+        throw new Error('Voxel data is truncated');
+    }
+
+    const scalarData = new Float32Array(count);
+
+    if ((littleEndian || scalarType.bytes === 1) && (view.byteOffset + offset) % scalarType.bytes === 0) {
+        const source = new scalarType.array(view.buffer, view.byteOffset + offset, count * stride);
+        for (let i = 0; i < count; i++) {
+            scalarData[i] = source[i * stride] * slope + intercept;
+        }
+    } else {
+        const read = view[scalarType.getter].bind(view);
+        const step = scalarType.bytes * stride;
+        for (let i = 0; i < count; i++) {
+            scalarData[i] = read(offset + i * step, littleEndian) * slope + intercept;
+        }
+    }
+
+    return scalarData;
+}
+
+/**
+ * Find a detached data file (NRRD "data file", MetaImage ElementDataFile)
+ * among the uploaded files, preferring the header's own folder
+ * @param {File} headerFile - Header file
+ * @param {string} name - Referenced file name, relative to the header
+ * @param {Array<File>} files - All uploaded files
+ * @returns {File|null} The data file
+ */
+export function findCompanionFile(headerFile, name, files = []) {
+    const headerPath = headerFile.relativePath || headerFile.name;
+    const directory = headerPath.includes('/') ? headerPath.slice(0, headerPath.lastIndexOf('/') + 1) : '';
+    const wanted = `${directory}${name}`.toLowerCase();
+    const baseName = name.slice(name.lastIndexOf('/') + 1).toLowerCase();
+
+    return files.find(file => (file.relativePath || file.name).toLowerCase() === wanted) ||
+        files.find(file => file.name.toLowerCase() === baseName) ||
+        null;
+}
+
+/**
+ * Build local volume options from voxels and a voxel-to-LPS transform.
+ * The slice axis is flipped when the axes are left-handed, as Cornerstone
+ * derives the slice normal from the row and column directions.
+ * @param {Object} options
+ * @param {Float32Array} options.scalarData - Voxels, x fastest
+ * @param {Array<number>} options.dimensions - [nx, ny, nz]
+ * @param {Array<Array<number>>} options.columns - LPS step (mm) of each voxel axis
+ * @param {Array<number>} options.origin - LPS position (mm) of the first voxel
+ * @param {Array<number>} [options.voiRange] - Display range; defaults to the data range
+ * @param {string} options.name - Shown as the patient name
+ * @param {string} options.format - Shown as the modality, e.g. 'NIfTI'
+ * @returns {Object} { volumeOptions, metadata } for VolumeViewer3D.displayLocalVolume
+ */
+export function buildLocalVolume({ scalarData, dimensions, columns, origin, voiRange, name, format }) {
+    const [nx, ny, nz] = dimensions;
+
+    if (determinant(columns) < 0) {
+        scalarData = flipSlices(scalarData, nx * ny, nz);
+        origin = origin.map((value, axis) => value + columns[2][axis] * (nz - 1));
+        columns = [columns[0], columns[1], columns[2].map(value => -value)];
+    }
+
+    const spacing = columns.map(column => Math.hypot(...column) || 1);
+    const direction = columns.flatMap((column, index) => column.map(value => value / spacing[index]));
+    const [low, high] = voiRange && voiRange[1] > voiRange[0] ? voiRange : getRange(scalarData);
+    const voi = { windowCenter: (low + high) / 2, windowWidth: Math.max(high - low, 1) };
+
+    const volumeOptions = {
+        scalarData,
+        dimensions: [nx, ny, nz],
+        spacing,
+        origin,
+        direction,
+        metadata: {
+            BitsAllocated: 32,
+            BitsStored: 32,
+            SamplesPerPixel: 1,
+            HighBit: 31,
+            PhotometricInterpretation: 'MONOCHROME2',
+            PixelRepresentation: 1,
+            Modality: 'OT',
+            FrameOfReferenceUID: null,
+            ImageOrientationPatient: direction.slice(0, 6),
+            PixelSpacing: [spacing[0], spacing[1]],
+            Columns: nx,
+            Rows: ny,
+            voiLut: [voi],
+            VOILUTFunction: 'LINEAR'
+        }
+    };
+
+    const metadata = {
+        patientName: name,
+        studyDate: 'Unknown',
+        modality: format,
+        dimensions: `${nx} x ${ny}`,
+        windowCenter: voi.windowCenter,
+        windowWidth: voi.windowWidth,
+        volumeSpacing: {
+            x: spacing[0],
+            y: spacing[1],
+            z: spacing[2],
+            isUniform: true,
+            gaps: [],
+            warnings: []
+        }
+    };
+
+    return { volumeOptions, metadata };
+}
+
+export function getRange(scalarData) {
+    let min = Infinity;
+    let max = -Infinity;
+    for (let i = 0; i < scalarData.length; i++) {
+        const value = scalarData[i];
+        if (value < min) min = value;
+        if (value > max) max = value;
+    }
+    return Number.isFinite(min) ? [min, max] : [0, 1];
+}
+
+function flipSlices(scalarData, sliceLength, depth) {
+    const flipped = new Float32Array(scalarData.length);
+    for (let k = 0; k < depth; k++) {
+        flipped.set(
+            scalarData.subarray(k * sliceLength, (k + 1) * sliceLength),
+            (depth - 1 - k) * sliceLength
+        );
+    }
+    return flipped;
+}
+
+function determinant([a, b, c]) {
+    return a[0] * (b[1] * c[2] - b[2] * c[1]) -
+        a[1] * (b[0] * c[2] - b[2] * c[0]) +
+        a[2] * (b[0] * c[1] - b[1] * c[0]);
+}
@@ -0,0 +1,92 @@
+/**
+ * Reduction Dialog Module
+ * Offers downsampled or cropped loading for series that exceed the memory budget
+ */
+
+import { IN_PLANE_FACTORS, SLICE_STEPS, estimateVolumeBytes, getReducedSize, formatBytes, ordinal } from './volume-budget.js';
+
+class ReductionDialog {
+    constructor(dialogId) {
+        this.dialogId = dialogId;
+    }
+
+    /**
+     * Ask how to load an oversized series
+     * @param {Object} size - Full { width, height, depth }
+     * @param {number} budgetBytes - Memory budget
+     * @param {Object} suggestion - Preselected reduction from suggestReduction
+     * @param {Object} options - { allowInPlane }
+     * @returns {Promise<Object|null>} { inPlane, sliceStep, first, last }, the identity
+     *     reduction for full resolution, or null if cancelled
+     */
+    choose(size, budgetBytes, suggestion, { allowInPlane = true } = {}) {
+        const dialog = document.getElementById(this.dialogId);
+        const full = { inPlane: 1, sliceStep: 1, first: 0, last: size.depth - 1 };
+        if (!dialog?.showModal) {
+            return Promise.resolve(suggestion);
+        }
+
+        const form = dialog.querySelector('form');
+        const { inPlane, sliceStep, first, last } = form.elements;
+
+        dialog.querySelector('.reduction-summary').textContent =
+            `${size.width} x ${size.height} x ${size.depth} voxels need about ` +
+            `${formatBytes(estimateVolumeBytes(size))}, more than the ${formatBytes(budgetBytes)} budget.`;
+
+        this.fillSelect(inPlane, IN_PLANE_FACTORS, factor => factor === 1 ? 'Full' : `1/${factor}`);
+        inPlane.disabled = !allowInPlane;
+        this.fillSelect(sliceStep, SLICE_STEPS, step => step === 1 ? 'All' : `Every ${ordinal(step)}`);
+        [first, last].forEach(input => {
+            input.min = 1;
+            input.max = size.depth;
+        });
+
+        inPlane.value = suggestion.inPlane;
+        sliceStep.value = suggestion.sliceStep;
+        first.value = suggestion.first + 1;
+        last.value = suggestion.last + 1;
+
+        const read = () => {
+            const from = Math.min(Math.max(parseInt(first.value, 10) || 1, 1), size.depth);
+            const to = Math.min(Math.max(parseInt(last.value, 10) || size.depth, from), size.depth);
+            return {
+                inPlane: parseInt(inPlane.value, 10),
+                sliceStep: parseInt(sliceStep.value, 10),
+                first: from - 1,
+                last: to - 1
+            };
+        };
+
+        const estimate = dialog.querySelector('.reduction-estimate');
+        const update = () => {
+            const reduced = getReducedSize(size, read());
+            const bytes = estimateVolumeBytes(reduced);
+            estimate.textContent = `Result: ${reduced.width} x ${reduced.height} x ${reduced.depth}, about ${formatBytes(bytes)}`;
+            estimate.classList.toggle('over-budget', bytes > budgetBytes);
+        };
+        form.oninput = update;
+        update();
+
+        return new Promise(resolve => {
+            dialog.addEventListener('close', () => {
+                form.oninput = null;
+                const choice = dialog.returnValue;
+                resolve(choice === 'reduced' ? read() : choice === 'full' ? full : null);
+            }, { once: true });
+            dialog.returnValue = '';
+            dialog.showModal();
+        });
+    }
+
+    fillSelect(select, values, label) {
+        select.innerHTML = '';
+        values.forEach(value => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label(value);
+            select.appendChild(option);
+        });
+    }
+}
+
+export default ReductionDialog;
@@ -0,0 +1,134 @@
+/**
+ * Render State Module
+ * Single description of how the 3D volume is shaded, from which the color and
+ * scalar opacity functions are derived. Each control changes its own part:
+ * - colorPoints / opacityPoints: base transfer function (presets, editor)
+ * - windowLevel: opacity ramp from 0 at the window bottom to 1 at its top
+ * - opacity: global multiplier
+ * - tissueOpacities: multipliers for the values of each tissue range
+ * - blendWeight: share of the volume in a two-volume fusion
+ * The applied opacity is the product of all of them.
+ */
+
+// HU value ranges of the tissue opacity controls
+export const TISSUE_RANGES = {
+    bone: { min: 200, max: 2000 },
+    softtissue: { min: -100, max: 200 },
+    lung: { min: -1000, max: -100 },
+    vessel: { min: 100, max: 400 }
+};
+
+// Width of the step at the edges of a tissue range
+const TISSUE_EDGE = 0.5;
+
+// Colormaps for a fused volume, as [position 0-1 across the window, r, g, b]
+export const FUSION_COLORMAPS = {
+    hot: [[0, 0, 0, 0], [0.4, 0.9, 0, 0], [0.8, 1, 0.9, 0], [1, 1, 1, 1]],
+    rainbow: [[0, 0, 0, 1], [0.33, 0, 1, 1], [0.5, 0, 1, 0], [0.67, 1, 1, 0], [1, 1, 0, 0]],
+    cool: [[0, 0, 1, 1], [1, 1, 0, 1]],
+    grayscale: [[0, 0, 0, 0], [1, 1, 1, 1]]
+};
+
+/**
+ * @param {Object} functions - Base { colorPoints, opacityPoints }
+ * @returns {Object} State with no window, full opacity and neutral tissues
+ */
+export function createRenderState({ colorPoints = [], opacityPoints = [] } = {}) {
+    return {
+        colorPoints,
+        opacityPoints,
+        windowLevel: null,
+        opacity: 1,
+        tissueOpacities: {},
+        blendWeight: 1
+    };
+}
+
+/**
+ * Color points that spread a fusion colormap across a window
+ * @param {string} name - Key of FUSION_COLORMAPS
+ * @param {Object} windowLevel - { width, center }
+ * @returns {Array<Object>} { value, color } points
+ */
+export function getColormapPoints(name, { width, center }) {
+    const colormap = FUSION_COLORMAPS[name] || FUSION_COLORMAPS.hot;
+    const lower = center - width / 2;
+    return colormap.map(([position, r, g, b]) => ({ value: lower + position * width, color: [r, g, b] }));
+}
+
+/**
+ * Opacity weights of the base and fused volume for a blend position: both are
+ * fully shown in the middle and each fades out towards the other end
+ * @param {number} blend - 0 shows only the base volume, 1 only the fused one
+ * @returns {Array<number>} [base weight, fused weight]
+ */
+export function getBlendWeights(blend) {
+    return [Math.min(1, 2 * (1 - blend)), Math.min(1, 2 * blend)];
+}
+
+/**
+ * @param {Array<Object>} points - { value, opacity } sorted by value
+ * @param {number} value - Scalar value
+ * @returns {number} Linearly interpolated opacity; 1 when there are no points
+ */
+function getBaseOpacity(points, value) {
+    if (points.length === 0) return 1;
+    if (value <= points[0].value) return points[0].opacity;
+    const last = points[points.length - 1];
+    if (value >= last.value) return last.opacity;
+
+    const next = points.findIndex(point => point.value > value);
+    const a = points[next - 1];
+    const b = points[next];
+    return a.opacity + (b.opacity - a.opacity) * (value - a.value) / (b.value - a.value || 1);
+}
+
+function getWindowFactor(windowLevel, value) {
+    if (!windowLevel) return 1;
+    const lower = windowLevel.center - windowLevel.width / 2;
+    return Math.min(Math.max((value - lower) / (windowLevel.width || 1), 0), 1);
+}
+
+function getTissueFactor(tissueOpacities, value) {
+    return Object.entries(tissueOpacities).reduce((factor, [tissue, opacity]) => {
+        const range = TISSUE_RANGES[tissue];
+        return range && value >= range.min && value <= range.max ? factor * opacity : factor;
+    }, 1);
+}
+
+/**
+ * Opacity function actually applied to the volume
+ * @param {Object} state - Render state
+ * @returns {Array<Object>} { value, opacity } points sorted by value
+ */
+export function deriveOpacityPoints(state) {
+    const { opacityPoints, windowLevel, opacity, tissueOpacities, blendWeight = 1 } = state;
+    const values = new Set(opacityPoints.map(point => point.value));
+
+    if (windowLevel) {
+        values.add(windowLevel.center - windowLevel.width / 2);
+        values.add(windowLevel.center + windowLevel.width / 2);
+    }
+    Object.entries(tissueOpacities).forEach(([tissue, factor]) => {
+        const range = TISSUE_RANGES[tissue];
+        if (!range || factor === 1) return;
+        [range.min - TISSUE_EDGE, range.min, range.max, range.max + TISSUE_EDGE].forEach(value => values.add(value));
+    });
+
+    // A single point gives a constant function
+    if (values.size === 0) values.add(0);
+
+    let sorted = [...values].sort((a, b) => a - b);
+    // Base curve times window ramp is not linear between break points
+    if (windowLevel && opacityPoints.length > 0) {
+        sorted = sorted.flatMap((value, i) => i === 0 ? [value] : [(sorted[i - 1] + value) / 2, value]);
+    }
+
+    return sorted.map(value => ({
+        value,
+        opacity: opacity * blendWeight *
+            getBaseOpacity(opacityPoints, value) *
+            getWindowFactor(windowLevel, value) *
+            getTissueFactor(tissueOpacities, value)
+    }));
+}
@@ -0,0 +1,119 @@
+/**
+ * Series Browser Module
+ * Lists the series found in an upload and lets the user pick one for 3D volume creation
+ */
+
+import * as cornerstone from '@cornerstonejs/core';
+
+class SeriesBrowser {
+    constructor(containerId, onSelect) {
+        this.containerId = containerId;
+        this.onSelect = onSelect;
+        this.series = [];
+        this.activeSeriesId = null;
+    }
+
+    /**
+     * Replace the listed series and render the browser
+     * @param {Array<Object>} series - Series groups from DicomLoader.groupIntoSeries
+     */
+    setSeries(series) {
+        this.series = series || [];
+        this.activeSeriesId = null;
+        this.render();
+    }
+
+    /**
+     * Highlight the series currently shown in the viewer
+     * @param {string} seriesId - Series id
+     */
+    setActive(seriesId) {
+        this.activeSeriesId = seriesId;
+
+        const container = document.getElementById(this.containerId);
+        if (!container) return;
+
+        container.querySelectorAll('.series-item').forEach(item => {
+            item.classList.toggle('active', item.dataset.seriesId === seriesId);
+        });
+    }
+
+    /**
+     * Render series cards with thumbnail, description and slice count
+     */
+    render() {
+        const container = document.getElementById(this.containerId);
+        if (!container) return;
+
+        container.innerHTML = '';
+        container.style.display = this.series.length > 0 ? '' : 'none';
+        if (this.series.length === 0) return;
+
+        const title = document.createElement('h3');
+        title.textContent = `Series (${this.series.length})`;
+        container.appendChild(title);
+
+        const list = document.createElement('div');
+        list.className = 'series-list';
+        container.appendChild(list);
+
+        this.series.forEach(series => {
+            const item = document.createElement('button');
+            item.type = 'button';
+            item.className = 'series-item';
+            item.dataset.seriesId = series.id;
+            item.classList.toggle('active', series.id === this.activeSeriesId);
+
+            const canvas = document.createElement('canvas');
+            canvas.className = 'series-thumbnail';
+            canvas.width = 64;
+            canvas.height = 64;
+            item.appendChild(canvas);
+
+            const details = document.createElement('div');
+            details.className = 'series-details';
+
+            const description = document.createElement('div');
+            description.className = 'series-description';
+            description.textContent = series.seriesDescription || 'No description';
+            details.appendChild(description);
+
+            const summary = document.createElement('div');
+            summary.className = 'series-summary';
+            const seriesNumber = series.seriesNumber ?? '-';
+            summary.textContent = `#${seriesNumber} · ${series.modality} · ${series.orientation}`;
+            details.appendChild(summary);
+
+            const count = document.createElement('div');
+            count.className = 'series-count';
+            count.textContent = `${series.images.length} slice${series.images.length === 1 ? '' : 's'}`;
+            details.appendChild(count);
+
+            item.appendChild(details);
+            item.addEventListener('click', () => this.onSelect?.(series));
+            list.appendChild(item);
+
+            this.renderThumbnail(canvas, series);
+        });
+    }
+
+    /**
+     * Draw the middle slice of a series into its thumbnail canvas
+     * @param {HTMLCanvasElement} canvas - Target canvas
+     * @param {Object} series - Series group
+     */
+    renderThumbnail(canvas, series) {
+        const middle = series.images[Math.floor(series.images.length / 2)];
+        if (!middle) return;
+
+        cornerstone.utilities.loadImageToCanvas({
+            canvas,
+            imageId: middle.imageId,
+            thumbnail: true
+        }).catch((error) => {
+            console.warn('Could not render series thumbnail:', error);
+        });
+    }
+}
+
+export default SeriesBrowser;
@@ -0,0 +1,164 @@
+/**
+ * Series Validator Module
+ * Checks that the slices of a series can form one volume before it is built.
+ * Errors block volume creation; warnings let the user decide.
+ */
+
+import * as cornerstone from '@cornerstonejs/core';
+
+// Direction cosines further apart than this describe a different plane
+const ORIENTATION_TOLERANCE = 1e-3;
+// Relative difference below which pixel spacings are the same
+const SPACING_TOLERANCE = 1e-3;
+
+class SeriesValidator {
+    /**
+     * Validate the slices of one series
+     * @param {Array<Object>} images - Results from loadDicomFile or loadDicomWebSeries
+     * @returns {Object} { errors, warnings }, each a list of { check, message, files }
+     */
+    validate(images) {
+        const report = { errors: [], warnings: [] };
+        if (!images || images.length === 0) return report;
+
+        const headers = images.map(entry => this.readHeader(entry));
+        const { errors, warnings } = report;
+
+        this.checkConsistent(errors, headers, {
+            check: 'matrix',
+            label: 'Matrix size (columns x rows)',
+            getValue: header => header.rows && header.columns ? `${header.columns} x ${header.rows}` : null
+        });
+        this.checkConsistent(errors, headers, {
+            check: 'samples-per-pixel',
+            label: 'Samples per pixel',
+            getValue: header => header.samplesPerPixel
+        });
+        this.checkConsistent(errors, headers, {
+            check: 'orientation',
+            label: 'Image orientation',
+            getValue: header => header.orientation,
+            equals: (a, b) => a.every((value, i) => Math.abs(value - b[i]) <= ORIENTATION_TOLERANCE),
+            format: value => value.map(component => component.toFixed(3)).join('\\')
+        });
+        this.checkConsistent(errors, headers, {
+            check: 'pixel-spacing',
+            label: 'Pixel spacing',
+            getValue: header => header.pixelSpacing,
+            equals: (a, b) => a.every((value, i) =>
+                Math.abs(value - b[i]) <= SPACING_TOLERANCE * Math.max(Math.abs(value), Math.abs(b[i]))),
+            format: value => `${value.join(' x ')} mm`
+        });
+        this.checkConsistent(errors, headers, {
+            check: 'modality',
+            label: 'Modality',
+            getValue: header => header.modality
+        });
+        this.checkConsistent(errors, headers, {
+            check: 'frame-of-reference',
+            label: 'Frame of reference',
+            getValue: header => header.frameOfReferenceUID
+        });
+
+        this.checkConsistent(warnings, headers, {
+            check: 'bit-depth',
+            label: 'Pixel format',
+            getValue: header => header.bitsAllocated
+                ? `${header.bitsAllocated}-bit ${header.pixelRepresentation === 1 ? 'signed' : 'unsigned'}`
+                : null
+        });
+        this.checkConsistent(warnings, headers, {
+            check: 'slice-thickness',
+            label: 'Slice thickness',
+            getValue: header => header.sliceThickness,
+            format: value => `${value} mm`
+        });
+        this.checkPresent(warnings, headers, {
+            check: 'geometry-missing',
+            message: 'Image position or orientation missing; slices are ordered by instance number',
+            getValue: header => header.orientation && header.position
+        });
+        this.checkPresent(warnings, headers, {
+            check: 'pixel-spacing-missing',
+            message: 'Pixel spacing missing; 1 mm is assumed',
+            getValue: header => header.pixelSpacing
+        });
+        this.checkPresent(warnings, headers, {
+            check: 'frame-of-reference-missing',
+            message: 'Frame of reference UID missing; slices cannot be confirmed to share one coordinate system',
+            getValue: header => header.frameOfReferenceUID
+        });
+
+        return report;
+    }
+
+    /**
+     * Collect the attributes that have to agree across a volume
+     * @param {Object} entry - Loaded image
+     * @returns {Object} Header values, null where absent
+     */
+    readHeader(entry) {
+        const { metadata } = entry;
+        const pixelModule = cornerstone.metaData.get('imagePixelModule', entry.imageId) || {};
+
+        return {
+            fileName: entry.fileName,
+            rows: pixelModule.rows ?? entry.image?.height ?? null,
+            columns: pixelModule.columns ?? entry.image?.width ?? null,
+            samplesPerPixel: pixelModule.samplesPerPixel ?? null,
+            bitsAllocated: pixelModule.bitsAllocated ?? null,
+            pixelRepresentation: pixelModule.pixelRepresentation ?? null,
+            orientation: metadata.imageOrientationPatient,
+            position: metadata.imagePositionPatient,
+            pixelSpacing: metadata.pixelSpacing,
+            sliceThickness: metadata.sliceThickness,
+            modality: metadata.modality && metadata.modality !== 'Unknown' ? metadata.modality : null,
+            frameOfReferenceUID: metadata.frameOfReferenceUID
+        };
+    }
+
+    /**
+     * Report an attribute that takes more than one value. Slices without the
+     * attribute are left to checkPresent.
+     * @param {Array<Object>} issues - List the issue is added to
+     * @param {Array<Object>} headers - Results of readHeader
+     * @param {Object} options - { check, label, getValue, equals, format }
+     */
+    checkConsistent(issues, headers, { check, label, getValue, equals = (a, b) => a === b, format = String }) {
+        const groups = [];
+        headers.forEach(header => {
+            const value = getValue(header);
+            if (value === null || value === undefined) return;
+
+            const group = groups.find(candidate => equals(candidate.value, value));
+            if (group) {
+                group.headers.push(header);
+            } else {
+                groups.push({ value, headers: [header] });
+            }
+        });
+        if (groups.length < 2) return;
+
+        // The largest group is taken as the series' value; the others are the odd ones out
+        groups.sort((a, b) => b.headers.length - a.headers.length);
+        const variants = groups.map(group => `${format(group.value)} (${group.headers.length})`).join(', ');
+        issues.push({
+            check,
+            message: `${label} differs between slices: ${variants}`,
+            files: groups.slice(1).flatMap(group => group.headers.map(header => header.fileName))
+        });
+    }
+
+    checkPresent(issues, headers, { check, message, getValue }) {
+        const missing = headers.filter(header => !getValue(header));
+        if (missing.length === 0) return;
+
+        issues.push({
+            check,
+            message: `${message} (${missing.length} of ${headers.length} slices)`,
+            files: missing.map(header => header.fileName)
+        });
+    }
+}
+
+export default SeriesValidator;
@@ -0,0 +1,195 @@
+/**
+ * Study Library Module
+ * Keeps the files of loaded DICOM series in IndexedDB so they can be reopened
+ * after a reload without selecting them again. Everything stays in the browser.
+ */
+
+import * as cornerstone from '@cornerstonejs/core';
+
+const DB_NAME = 'medical-3d-library';
+const DB_VERSION = 1;
+// One record per series, listed in the library view
+const SERIES_STORE = 'series';
+// One record per file, keyed [seriesId, index]
+const FILES_STORE = 'files';
+
+class StudyLibrary {
+    constructor() {
+        this.dbPromise = null;
+    }
+
+    isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * @returns {Promise<IDBDatabase>} The library database, created on first use
+     */
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    db.createObjectStore(SERIES_STORE, { keyPath: 'id' });
+                    db.createObjectStore(FILES_STORE, { keyPath: ['seriesId', 'index'] });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+                request.onblocked = () => reject(new Error('Library is open in another tab with an older version'));
+            });
+            // Allow a retry after a failed open
+            this.dbPromise.catch(() => {
+                this.dbPromise = null;
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * @returns {Promise<Array<Object>>} Stored series records, most recently added first
+     */
+    async list() {
+        const db = await this.open();
+        const records = await requestResult(db.transaction(SERIES_STORE).objectStore(SERIES_STORE).getAll());
+        return records.sort((a, b) => b.addedAt - a.addedAt);
+    }
+
+    /**
+     * @param {Object} series - Series group whose images carry the File they were read from
+     * @returns {Promise<boolean>} True if a stored copy has at least as many files and bytes,
+     *     so a partial load never replaces a complete copy
+     */
+    async isStored(series) {
+        const db = await this.open();
+        const record = await requestResult(db.transaction(SERIES_STORE).objectStore(SERIES_STORE).get(series.id));
+        const files = getSeriesFiles(series);
+        return Boolean(record) &&
+            record.fileCount >= files.length &&
+            record.size >= files.reduce((total, file) => total + file.size, 0);
+    }
+
+    /**
+     * Store the files of a series, replacing an earlier copy
+     * @param {Object} series - Series group whose images carry the File they were read from
+     * @returns {Promise<Object>} The stored series record
+     */
+    async addSeries(series) {
+        const files = getSeriesFiles(series);
+        if (files.length === 0) {
+            throw new Error('Series has no local files to store');
+        }
+
+        const record = {
+            ...this.describeSeries(series),
+            fileCount: files.length,
+            size: files.reduce((total, file) => total + file.size, 0),
+            addedAt: Date.now()
+        };
+
+        // Ask the browser not to evict the library under storage pressure
+        await navigator.storage?.persist?.().catch(() => false);
+
+        const db = await this.open();
+        const transaction = db.transaction([SERIES_STORE, FILES_STORE], 'readwrite');
+        const fileStore = transaction.objectStore(FILES_STORE);
+        fileStore.delete(seriesFileRange(record.id));
+        files.forEach((file, index) => {
+            fileStore.put({ seriesId: record.id, index, name: file.name, blob: file });
+        });
+        transaction.objectStore(SERIES_STORE).put(record);
+        await transactionDone(transaction);
+
+        console.log(`Stored series ${record.id} in library (${files.length} files)`);
+        return record;
+    }
+
+    /**
+     * @param {string} id - Stored series id
+     * @returns {Promise<Array<File>>} The series' files, as originally selected
+     */
+    async getFiles(id) {
+        const db = await this.open();
+        const records = await requestResult(
+            db.transaction(FILES_STORE).objectStore(FILES_STORE).getAll(seriesFileRange(id))
+        );
+        if (records.length === 0) {
+            throw new Error('Series files are missing from the library');
+        }
+        return records.map(record => new File([record.blob], record.name, { type: record.blob.type }));
+    }
+
+    /**
+     * @param {string} id - Stored series id
+     */
+    async remove(id) {
+        const db = await this.open();
+        const transaction = db.transaction([SERIES_STORE, FILES_STORE], 'readwrite');
+        transaction.objectStore(FILES_STORE).delete(seriesFileRange(id));
+        transaction.objectStore(SERIES_STORE).delete(id);
+        await transactionDone(transaction);
+    }
+
+    /**
+     * @returns {Promise<Object|null>} { usage, quota } in bytes for this origin, or null if unknown
+     */
+    async getStorageEstimate() {
+        if (!navigator.storage?.estimate) return null;
+
+        const { usage, quota } = await navigator.storage.estimate();
+        return { usage: usage || 0, quota: quota || 0 };
+    }
+
+    /**
+     * Library record fields shown in the library view
+     * @param {Object} series - Series group
+     * @returns {Object} { id, patientName, studyDate, studyDescription, seriesDescription, ... }
+     */
+    describeSeries(series) {
+        const { imageId, metadata } = series.images[0];
+        const study = cornerstone.metaData.get('generalStudyModule', imageId) || {};
+
+        return {
+            id: series.id,
+            patientName: metadata.patientName,
+            studyDate: metadata.studyDate,
+            studyDescription: study.studyDescription || '',
+            studyInstanceUID: series.studyInstanceUID,
+            seriesInstanceUID: series.seriesInstanceUID,
+            seriesNumber: series.seriesNumber,
+            seriesDescription: series.seriesDescription,
+            modality: series.modality,
+            sliceCount: series.images.length
+        };
+    }
+}
+
+/**
+ * @param {Object} series - Series group whose images carry the File they were read from
+ * @returns {Array<File>} Distinct files of the series; frames of a multi-frame file share one
+ */
+function getSeriesFiles(series) {
+    return [...new Set(series.images.map(entry => entry.file).filter(Boolean))];
+}
+
+function seriesFileRange(id) {
+    return IDBKeyRange.bound([id, 0], [id, Infinity]);
+}
+
+function requestResult(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function transactionDone(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        // Quota errors abort the transaction
+        transaction.onabort = () => reject(transaction.error || new Error('Library transaction aborted'));
+    });
+}
+
+export default StudyLibrary;
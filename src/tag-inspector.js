@@ -0,0 +1,320 @@
+/**
+ * Tag Inspector Module
+ * Searchable list of every data element of a slice, with per-slice
+ * navigation and highlighting of tags whose value varies across the series
+ */
+
+import * as cornerstoneDICOMImageLoader from '@cornerstonejs/dicom-image-loader';
+import { lookupTag, formatTag } from './dicom-dictionary.js';
+
+const BINARY_VRS = ['OB', 'OD', 'OF', 'OL', 'OV', 'OW', 'UN'];
+const TEXT_VRS = ['LT', 'ST', 'UT'];
+const MAX_VALUE_LENGTH = 200;
+const MAX_NUMERIC_VALUES = 16;
+
+// Differ on every slice by design, so they would drown out the interesting differences
+const PER_SLICE_TAGS = ['00080018', '00020003', '00200013', '00200032', '00201041', '7FE00010'];
+
+class TagInspector {
+    constructor(containerId) {
+        this.containerId = containerId;
+        this.images = [];
+        this.index = 0;
+        this.filter = '';
+        this.onlyVarying = false;
+        this.varyingTags = new Map();
+        // Frames of a multi-frame file share one data set, so rows are cached per data set
+        this.rowCache = new WeakMap();
+    }
+
+    /**
+     * Show the tags of a series
+     * @param {Array<Object>} images - Loaded images in slice order (from createVolumeFromImages)
+     */
+    setImages(images) {
+        this.images = (images || []).filter(entry => this.getSource(entry));
+        this.index = Math.floor(this.images.length / 2);
+        this.varyingTags = this.findVaryingTags();
+        this.render();
+    }
+
+    /**
+     * Data set behind a loaded image: the parsed file for local files,
+     * the WADO-RS DICOM JSON for DICOMweb frames
+     */
+    getSource(entry) {
+        if (entry?.image?.data?.elements) {
+            return { dataSet: entry.image.data };
+        }
+        const json = entry?.imageId?.startsWith('wadors:')
+            ? cornerstoneDICOMImageLoader.wadors.metaDataManager.get(entry.imageId)
+            : null;
+        return json ? { json } : null;
+    }
+
+    /**
+     * Flatten a slice's data set into display rows, sequences expanded in place
+     * @param {Object} entry - Loaded image
+     * @returns {Array<Object>} { tag, vr, name, value, depth }
+     */
+    getRows(entry) {
+        const source = this.getSource(entry);
+        if (!source) return [];
+
+        const key = source.dataSet || source.json;
+        if (!this.rowCache.has(key)) {
+            this.rowCache.set(key, source.dataSet ? this.readDataSet(source.dataSet, 0) : this.readJson(source.json, 0));
+        }
+        return this.rowCache.get(key);
+    }
+
+    readDataSet(dataSet, depth) {
+        const rows = [];
+        Object.keys(dataSet.elements).sort().forEach(key => {
+            const element = dataSet.elements[key];
+            const tag = key.slice(1).toUpperCase();
+            const entry = lookupTag(tag);
+            const vr = element.vr || entry.vr || (element.items ? 'SQ' : null);
+
+            if (element.items) {
+                rows.push({ tag, vr: 'SQ', name: entry.name, value: `${element.items.length} item(s)`, depth });
+                element.items.forEach((item, index) => {
+                    rows.push({ tag: '', vr: '', name: `Item ${index + 1}`, value: '', depth: depth + 1 });
+                    if (item.dataSet) {
+                        rows.push(...this.readDataSet(item.dataSet, depth + 2));
+                    }
+                });
+                return;
+            }
+
+            rows.push({ tag, vr: vr || '??', name: entry.name, value: this.formatElement(dataSet, element, key, vr), depth });
+        });
+        return rows;
+    }
+
+    formatElement(dataSet, element, key, vr) {
+        if (element.encapsulatedPixelData) {
+            return `<encapsulated, ${element.fragments?.length ?? 0} fragment(s)>`;
+        }
+        if (BINARY_VRS.includes(vr) || key === 'x7fe00010') {
+            return `<${element.length} bytes>`;
+        }
+
+        const numeric = {
+            US: ['uint16', 2], SS: ['int16', 2], UL: ['uint32', 4], SL: ['int32', 4],
+            FL: ['float', 4], FD: ['double', 8]
+        }[vr];
+        if (numeric) {
+            const [reader, size] = numeric;
+            const count = Math.floor(element.length / size);
+            const values = Array.from({ length: Math.min(count, MAX_NUMERIC_VALUES) }, (_, i) => dataSet[reader](key, i));
+            return values.join('\\') + (count > MAX_NUMERIC_VALUES ? `\\... (${count} values)` : '');
+        }
+        if (vr === 'AT') {
+            return dataSet.attributeTag(key) || '';
+        }
+
+        const text = TEXT_VRS.includes(vr) ? dataSet.text(key) : dataSet.string(key);
+        // Unknown VRs in implicit data sets may be binary
+        if (!vr && text && /[\x00-\x08\x0e-\x1f]/.test(text)) {
+            return `<${element.length} bytes>`;
+        }
+        return this.truncate(text ?? '');
+    }
+
+    readJson(json, depth) {
+        const rows = [];
+        Object.keys(json).sort().forEach(key => {
+            const attribute = json[key];
+            const tag = key.toUpperCase();
+            const { name } = lookupTag(tag);
+            const values = attribute.Value || [];
+
+            if (attribute.vr === 'SQ') {
+                rows.push({ tag, vr: 'SQ', name, value: `${values.length} item(s)`, depth });
+                values.forEach((item, index) => {
+                    rows.push({ tag: '', vr: '', name: `Item ${index + 1}`, value: '', depth: depth + 1 });
+                    rows.push(...this.readJson(item || {}, depth + 2));
+                });
+                return;
+            }
+
+            let value;
+            if (attribute.InlineBinary !== undefined || attribute.BulkDataURI !== undefined) {
+                value = '<binary>';
+            } else if (attribute.vr === 'PN') {
+                value = values.map(item => item?.Alphabetic || '').join('\\');
+            } else {
+                value = values.join('\\');
+            }
+            rows.push({ tag, vr: attribute.vr || '??', name, value: this.truncate(value), depth });
+        });
+        return rows;
+    }
+
+    truncate(value) {
+        return value.length > MAX_VALUE_LENGTH ? `${value.slice(0, MAX_VALUE_LENGTH)}...` : value;
+    }
+
+    /**
+     * Top-level tags whose value differs between slices
+     * @returns {Map<string, number>} Tag -> number of distinct values
+     */
+    findVaryingTags() {
+        const valuesByTag = new Map();
+
+        this.images.forEach(entry => {
+            this.getRows(entry)
+                .filter(row => row.depth === 0 && !PER_SLICE_TAGS.includes(row.tag))
+                .forEach(row => {
+                    if (!valuesByTag.has(row.tag)) valuesByTag.set(row.tag, new Set());
+                    valuesByTag.get(row.tag).add(row.value);
+                });
+        });
+
+        // A tag missing from some slices also varies
+        const varying = new Map();
+        valuesByTag.forEach((values, tag) => {
+            const missing = this.images.some(entry => !this.hasTag(entry, tag));
+            const distinct = values.size + (missing ? 1 : 0);
+            if (distinct > 1) varying.set(tag, distinct);
+        });
+        return varying;
+    }
+
+    hasTag(entry, tag) {
+        const source = this.getSource(entry);
+        return source.dataSet
+            ? Boolean(source.dataSet.elements[`x${tag.toLowerCase()}`])
+            : Boolean(source.json[tag]);
+    }
+
+    render() {
+        const container = document.getElementById(this.containerId);
+        if (!container) return;
+
+        container.innerHTML = '';
+        container.style.display = this.images.length > 0 ? '' : 'none';
+        if (this.images.length === 0) return;
+
+        const toolbar = document.createElement('div');
+        toolbar.className = 'tag-inspector-toolbar';
+
+        const previous = this.createButton('◀', () => this.showSlice(this.index - 1));
+        const next = this.createButton('▶', () => this.showSlice(this.index + 1));
+
+        const slider = document.createElement('input');
+        slider.type = 'range';
+        slider.min = 0;
+        slider.max = this.images.length - 1;
+        slider.value = this.index;
+        slider.addEventListener('input', () => this.showSlice(parseInt(slider.value, 10)));
+
+        const position = document.createElement('span');
+        position.className = 'tag-inspector-position';
+        position.textContent = `Slice ${this.index + 1} / ${this.images.length}`;
+
+        const search = document.createElement('input');
+        search.type = 'search';
+        search.placeholder = 'Search tag, name or value';
+        search.value = this.filter;
+        search.addEventListener('input', () => {
+            this.filter = search.value;
+            this.renderTable();
+        });
+
+        const varyingLabel = document.createElement('label');
+        const varying = document.createElement('input');
+        varying.type = 'checkbox';
+        varying.checked = this.onlyVarying;
+        varying.addEventListener('change', () => {
+            this.onlyVarying = varying.checked;
+            this.renderTable();
+        });
+        varyingLabel.append(varying, ` Only varying (${this.varyingTags.size})`);
+
+        toolbar.append(previous, slider, next, position, search, varyingLabel);
+        container.appendChild(toolbar);
+
+        const fileName = document.createElement('div');
+        fileName.className = 'tag-inspector-file';
+        container.appendChild(fileName);
+
+        const tableContainer = document.createElement('div');
+        tableContainer.className = 'tag-inspector-table';
+        container.appendChild(tableContainer);
+
+        this.renderTable();
+    }
+
+    showSlice(index) {
+        this.index = Math.min(Math.max(index, 0), this.images.length - 1);
+
+        const container = document.getElementById(this.containerId);
+        const slider = container?.querySelector('.tag-inspector-toolbar input[type="range"]');
+        if (slider) slider.value = this.index;
+        const position = container?.querySelector('.tag-inspector-position');
+        if (position) position.textContent = `Slice ${this.index + 1} / ${this.images.length}`;
+
+        this.renderTable();
+    }
+
+    renderTable() {
+        const container = document.getElementById(this.containerId);
+        const tableContainer = container?.querySelector('.tag-inspector-table');
+        if (!tableContainer) return;
+
+        const entry = this.images[this.index];
+        const fileName = container.querySelector('.tag-inspector-file');
+        if (fileName) fileName.textContent = entry.fileName || '';
+
+        const query = this.filter.trim().toLowerCase();
+        const rows = this.getRows(entry).filter(row => {
+            if (this.onlyVarying && !(row.depth === 0 && this.varyingTags.has(row.tag))) return false;
+            if (!query) return true;
+            return (row.tag && formatTag(row.tag).toLowerCase().includes(query)) ||
+                row.tag.toLowerCase().includes(query) ||
+                row.name.toLowerCase().includes(query) ||
+                String(row.value).toLowerCase().includes(query);
+        });
+
+        const table = document.createElement('table');
+        const head = table.createTHead().insertRow();
+        ['Tag', 'VR', 'Name', 'Value'].forEach(label => {
+            const cell = document.createElement('th');
+            cell.textContent = label;
+            head.appendChild(cell);
+        });
+
+        const body = table.createTBody();
+        rows.forEach(row => {
+            const tr = body.insertRow();
+            const distinct = this.varyingTags.get(row.tag);
+            if (distinct && row.depth === 0) {
+                tr.className = 'tag-varies';
+                tr.title = `${distinct} distinct values across ${this.images.length} slices`;
+            }
+
+            tr.insertCell().textContent = row.tag ? formatTag(row.tag) : '';
+            tr.insertCell().textContent = row.vr;
+            const nameCell = tr.insertCell();
+            nameCell.textContent = row.name;
+            nameCell.style.paddingLeft = `${0.4 + row.depth * 0.75}rem`;
+            tr.insertCell().textContent = row.value;
+        });
+
+        tableContainer.innerHTML = '';
+        tableContainer.appendChild(table);
+    }
+
+    createButton(label, onClick) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'preset-btn';
+        button.textContent = label;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+}
+
+export default TagInspector;
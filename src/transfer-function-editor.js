@@ -0,0 +1,426 @@
+/**
+ * Transfer Function Editor Module
+ * Canvas widget showing a histogram of the volume's values with editable
+ * opacity and color control points for the 3D volume rendering
+ */
+
+const HEIGHT = 150;
+const COLOR_BAR_HEIGHT = 18;
+const LABEL_HEIGHT = 14;
+const POINT_RADIUS = 5;
+// Pointer distance in CSS pixels that still picks a control point
+const HIT_DISTANCE = 8;
+// Smallest number of points each function keeps
+const MIN_POINTS = 2;
+
+/**
+ * Piecewise linear interpolation between sorted points
+ * @param {Array<Object>} points - Sorted by value
+ * @param {number} value - Scalar value
+ * @param {Function} read - Maps a point to the array of numbers interpolated
+ * @returns {Array<number>} Interpolated numbers, clamped at the end points
+ */
+function interpolate(points, value, read) {
+    if (value <= points[0].value) return read(points[0]);
+    const last = points[points.length - 1];
+    if (value >= last.value) return read(last);
+
+    const next = points.findIndex(point => point.value > value);
+    const a = points[next - 1];
+    const b = points[next];
+    const t = (value - a.value) / (b.value - a.value || 1);
+    const from = read(a);
+    const to = read(b);
+    return from.map((start, i) => start + (to[i] - start) * t);
+}
+
+function toHex(color) {
+    return '#' + color.map(c => Math.round(c * 255).toString(16).padStart(2, '0')).join('');
+}
+
+function fromHex(hex) {
+    return [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16) / 255);
+}
+
+class TransferFunctionEditor {
+    /**
+     * @param {string} containerId - Element the editor is rendered into
+     * @param {Function} onChange - Called with { colorPoints, opacityPoints } on every edit
+     */
+    constructor(containerId, onChange) {
+        this.containerId = containerId;
+        this.onChange = onChange;
+        this.canvas = null;
+        this.colorInput = null;
+        this.histogram = null;
+        this.range = [0, 1];
+        // { value, color: [r, g, b] } and { value, opacity }, sorted by value
+        this.colorPoints = [];
+        this.opacityPoints = [];
+        // Opacity after window level, tissue and global opacity, drawn for reference
+        this.appliedOpacityPoints = [];
+        this.drag = null;
+    }
+
+    initialize() {
+        const container = document.getElementById(this.containerId);
+        if (!container) return;
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.className = 'tf-canvas';
+        this.canvas.title = 'Click to add a point, drag to move it, right-click to delete it. ' +
+            'Double-click a color marker to change its color.';
+        container.appendChild(this.canvas);
+
+        this.colorInput = document.createElement('input');
+        this.colorInput.type = 'color';
+        this.colorInput.className = 'tf-color-input';
+        container.appendChild(this.colorInput);
+
+        this.canvas.addEventListener('mousedown', (e) => this.handleMouseDown(e));
+        this.canvas.addEventListener('dblclick', (e) => this.handleDoubleClick(e));
+        this.canvas.addEventListener('contextmenu', (e) => this.handleContextMenu(e));
+        window.addEventListener('resize', () => this.draw());
+    }
+
+    /**
+     * Show the value distribution of a new volume
+     * @param {Object|null} histogram - { min, max, counts } from VolumeViewer3D.getHistogram
+     */
+    setHistogram(histogram) {
+        this.histogram = histogram;
+        this.updateRange();
+        this.draw();
+    }
+
+    /**
+     * Replace the edited points with those currently on the volume
+     * @param {Object|null} functions - { colorPoints, opacityPoints, appliedOpacityPoints }
+     *     from VolumeViewer3D.getTransferFunction
+     */
+    setFunctions(functions) {
+        if (this.drag) return;
+
+        this.colorPoints = (functions?.colorPoints || []).map(point => ({ ...point, color: [...point.color] }));
+        this.opacityPoints = (functions?.opacityPoints || []).map(point => ({ ...point }));
+        this.appliedOpacityPoints = functions?.appliedOpacityPoints || [];
+        this.updateRange();
+        this.draw();
+    }
+
+    /**
+     * Update the reference curve of the applied opacity, also while dragging
+     * @param {Array<Object>} points - { value, opacity } points
+     */
+    setAppliedOpacity(points) {
+        this.appliedOpacityPoints = points || [];
+        this.draw();
+    }
+
+    /**
+     * Horizontal axis: the data range, widened to take in every control point
+     */
+    updateRange() {
+        const values = [...this.colorPoints, ...this.opacityPoints].map(point => point.value);
+        if (this.histogram) {
+            values.push(this.histogram.min, this.histogram.max);
+        }
+        if (values.length === 0) {
+            this.range = [0, 1];
+            return;
+        }
+
+        const min = Math.min(...values);
+        const max = Math.max(...values);
+        this.range = [min, max > min ? max : min + 1];
+    }
+
+    /**
+     * @returns {Object} Canvas areas in CSS pixels
+     */
+    getLayout() {
+        const width = this.canvas.clientWidth;
+        const curveBottom = HEIGHT - COLOR_BAR_HEIGHT - LABEL_HEIGHT;
+        return {
+            width,
+            curveTop: POINT_RADIUS,
+            curveBottom,
+            barTop: curveBottom + 2,
+            barBottom: curveBottom + 2 + COLOR_BAR_HEIGHT - 4
+        };
+    }
+
+    valueToX(value) {
+        const [min, max] = this.range;
+        return ((value - min) / (max - min)) * this.getLayout().width;
+    }
+
+    xToValue(x) {
+        const [min, max] = this.range;
+        const fraction = Math.min(Math.max(x / this.getLayout().width, 0), 1);
+        return min + fraction * (max - min);
+    }
+
+    opacityToY(opacity) {
+        const { curveTop, curveBottom } = this.getLayout();
+        return curveBottom - opacity * (curveBottom - curveTop);
+    }
+
+    yToOpacity(y) {
+        const { curveTop, curveBottom } = this.getLayout();
+        return Math.min(Math.max((curveBottom - y) / (curveBottom - curveTop), 0), 1);
+    }
+
+    colorAt(value) {
+        if (this.colorPoints.length === 0) return [1, 1, 1];
+        return interpolate(this.colorPoints, value, point => point.color);
+    }
+
+    opacityAt(value) {
+        if (this.opacityPoints.length === 0) return 0;
+        return interpolate(this.opacityPoints, value, point => [point.opacity])[0];
+    }
+
+    draw() {
+        if (!this.canvas) return;
+
+        const ratio = window.devicePixelRatio || 1;
+        const width = this.canvas.clientWidth;
+        if (width === 0) return;
+        this.canvas.width = Math.round(width * ratio);
+        this.canvas.height = Math.round(HEIGHT * ratio);
+
+        const ctx = this.canvas.getContext('2d');
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        ctx.clearRect(0, 0, width, HEIGHT);
+
+        const layout = this.getLayout();
+        this.drawHistogram(ctx, layout);
+        this.drawAppliedOpacity(ctx, layout);
+        this.drawOpacity(ctx, layout);
+        this.drawColorBar(ctx, layout);
+        this.drawLabels(ctx, layout);
+    }
+
+    drawHistogram(ctx, { width, curveTop, curveBottom }) {
+        if (!this.histogram) return;
+
+        // Log counts so air and background do not flatten everything else
+        const { min, max, counts } = this.histogram;
+        const peak = Math.log1p(Math.max(...counts));
+        if (peak === 0) return;
+
+        const binWidth = (max - min) / counts.length;
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.25)';
+        counts.forEach((count, bin) => {
+            if (count === 0) return;
+            const x0 = this.valueToX(min + bin * binWidth);
+            const x1 = this.valueToX(min + (bin + 1) * binWidth);
+            const height = (Math.log1p(count) / peak) * (curveBottom - curveTop);
+            ctx.fillRect(x0, curveBottom - height, Math.max(x1 - x0, 1), height);
+        });
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.2)';
+        ctx.strokeRect(0.5, curveTop, width - 1, curveBottom - curveTop);
+    }
+
+    drawAppliedOpacity(ctx, { width }) {
+        const points = this.appliedOpacityPoints;
+        if (points.length === 0) return;
+
+        ctx.save();
+        ctx.setLineDash([4, 3]);
+        ctx.strokeStyle = 'rgba(255, 214, 64, 0.9)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(0, this.opacityToY(points[0].opacity));
+        points.forEach(point => ctx.lineTo(this.valueToX(point.value), this.opacityToY(point.opacity)));
+        ctx.lineTo(width, this.opacityToY(points[points.length - 1].opacity));
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    drawOpacity(ctx, { width, curveBottom }) {
+        if (this.opacityPoints.length === 0) return;
+
+        // Area under the opacity curve in the mapped color
+        for (let x = 0; x < width; x++) {
+            const value = this.xToValue(x + 0.5);
+            const [r, g, b] = this.colorAt(value).map(c => Math.round(c * 255));
+            const y = this.opacityToY(this.opacityAt(value));
+            ctx.fillStyle = `rgba(${r}, ${g}, ${b}, 0.45)`;
+            ctx.fillRect(x, y, 1, curveBottom - y);
+        }
+
+        ctx.strokeStyle = '#fff';
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        ctx.moveTo(0, this.opacityToY(this.opacityPoints[0].opacity));
+        this.opacityPoints.forEach(point => ctx.lineTo(this.valueToX(point.value), this.opacityToY(point.opacity)));
+        ctx.lineTo(width, this.opacityToY(this.opacityPoints[this.opacityPoints.length - 1].opacity));
+        ctx.stroke();
+
+        this.opacityPoints.forEach(point => {
+            ctx.beginPath();
+            ctx.arc(this.valueToX(point.value), this.opacityToY(point.opacity), POINT_RADIUS, 0, Math.PI * 2);
+            ctx.fillStyle = point === this.drag?.point ? '#4a9eff' : '#fff';
+            ctx.fill();
+            ctx.strokeStyle = '#333';
+            ctx.lineWidth = 1;
+            ctx.stroke();
+        });
+    }
+
+    drawColorBar(ctx, { width, barTop, barBottom }) {
+        for (let x = 0; x < width; x++) {
+            const [r, g, b] = this.colorAt(this.xToValue(x + 0.5)).map(c => Math.round(c * 255));
+            ctx.fillStyle = `rgb(${r}, ${g}, ${b})`;
+            ctx.fillRect(x, barTop, 1, barBottom - barTop);
+        }
+
+        // Markers below the bar, filled with the point's color
+        this.colorPoints.forEach(point => {
+            const x = this.valueToX(point.value);
+            ctx.beginPath();
+            ctx.moveTo(x, barBottom - 4);
+            ctx.lineTo(x - POINT_RADIUS, barBottom + 4);
+            ctx.lineTo(x + POINT_RADIUS, barBottom + 4);
+            ctx.closePath();
+            ctx.fillStyle = toHex(point.color);
+            ctx.fill();
+            ctx.strokeStyle = point === this.drag?.point ? '#4a9eff' : '#fff';
+            ctx.lineWidth = 1.5;
+            ctx.stroke();
+        });
+    }
+
+    drawLabels(ctx, { width }) {
+        const [min, max] = this.range;
+        const digits = max - min < 20 ? 1 : 0;
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+        ctx.font = '11px sans-serif';
+        ctx.textBaseline = 'bottom';
+        ctx.textAlign = 'left';
+        ctx.fillText(min.toFixed(digits), 2, HEIGHT);
+        ctx.textAlign = 'right';
+        ctx.fillText(max.toFixed(digits), width - 2, HEIGHT);
+    }
+
+    /**
+     * @param {MouseEvent} event - Mouse event on the canvas
+     * @returns {Object} { x, y, point, kind } with the control point under the pointer, if any
+     */
+    hitTest(event) {
+        const rect = this.canvas.getBoundingClientRect();
+        const x = event.clientX - rect.left;
+        const y = event.clientY - rect.top;
+        const { barTop } = this.getLayout();
+
+        if (y >= barTop) {
+            const point = this.findNearest(this.colorPoints, p => Math.abs(this.valueToX(p.value) - x));
+            return { x, y, point, kind: 'color' };
+        }
+
+        const point = this.findNearest(this.opacityPoints, p =>
+            Math.hypot(this.valueToX(p.value) - x, this.opacityToY(p.opacity) - y));
+        return { x, y, point, kind: 'opacity' };
+    }
+
+    findNearest(points, distance) {
+        let nearest = null;
+        let best = HIT_DISTANCE;
+        points.forEach(point => {
+            const d = distance(point);
+            if (d <= best) {
+                best = d;
+                nearest = point;
+            }
+        });
+        return nearest;
+    }
+
+    handleMouseDown(event) {
+        if (event.button !== 0) return;
+        event.preventDefault();
+
+        let { x, y, point, kind } = this.hitTest(event);
+        if (!point) {
+            const value = this.xToValue(x);
+            point = kind === 'color'
+                ? { value, color: this.colorAt(value) }
+                : { value, opacity: this.yToOpacity(y) };
+            const points = kind === 'color' ? this.colorPoints : this.opacityPoints;
+            points.push(point);
+            points.sort((a, b) => a.value - b.value);
+            this.emitChange();
+        }
+
+        this.drag = { point, kind };
+        this.draw();
+
+        const onMove = (moveEvent) => this.dragTo(moveEvent);
+        const onUp = () => {
+            window.removeEventListener('mousemove', onMove);
+            window.removeEventListener('mouseup', onUp);
+            this.drag = null;
+            this.draw();
+        };
+        window.addEventListener('mousemove', onMove);
+        window.addEventListener('mouseup', onUp);
+    }
+
+    /**
+     * Move the dragged point, keeping it between its neighbours
+     * @param {MouseEvent} event - mousemove during a drag
+     */
+    dragTo(event) {
+        const { point, kind } = this.drag;
+        const points = kind === 'color' ? this.colorPoints : this.opacityPoints;
+        const index = points.indexOf(point);
+        const rect = this.canvas.getBoundingClientRect();
+
+        const lower = points[index - 1]?.value ?? -Infinity;
+        const upper = points[index + 1]?.value ?? Infinity;
+        point.value = Math.min(Math.max(this.xToValue(event.clientX - rect.left), lower), upper);
+        if (kind === 'opacity') {
+            point.opacity = this.yToOpacity(event.clientY - rect.top);
+        }
+
+        this.draw();
+        this.emitChange();
+    }
+
+    handleDoubleClick(event) {
+        const { point, kind } = this.hitTest(event);
+        if (!point || kind !== 'color') return;
+
+        this.colorInput.value = toHex(point.color);
+        this.colorInput.oninput = () => {
+            point.color = fromHex(this.colorInput.value);
+            this.draw();
+            this.emitChange();
+        };
+        this.colorInput.click();
+    }
+
+    handleContextMenu(event) {
+        event.preventDefault();
+        const { point, kind } = this.hitTest(event);
+        if (!point) return;
+
+        const points = kind === 'color' ? this.colorPoints : this.opacityPoints;
+        if (points.length <= MIN_POINTS) return;
+
+        points.splice(points.indexOf(point), 1);
+        this.draw();
+        this.emitChange();
+    }
+
+    emitChange() {
+        this.onChange?.({
+            colorPoints: this.colorPoints.map(point => ({ ...point, color: [...point.color] })),
+            opacityPoints: this.opacityPoints.map(point => ({ ...point }))
+        });
+    }
+}
+
+export default TransferFunctionEditor;
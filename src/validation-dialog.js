@@ -0,0 +1,67 @@
+/**
+ * Validation Dialog Module
+ * Modal report of series consistency problems, shown before a volume is built
+ */
+
+// File names listed per issue before the rest are summarised
+const MAX_LISTED_FILES = 5;
+
+class ValidationDialog {
+    constructor(dialogId) {
+        this.dialogId = dialogId;
+    }
+
+    /**
+     * Show a validation report and wait for the user's decision
+     * @param {Object} report - Result of SeriesValidator.validate
+     * @param {string} title - Series the report is about
+     * @returns {Promise<boolean>} True if the volume should be built anyway;
+     *     always false when the report has errors
+     */
+    confirm(report, title) {
+        const dialog = document.getElementById(this.dialogId);
+        if (!dialog?.showModal) {
+            return Promise.resolve(report.errors.length === 0);
+        }
+
+        const blocked = report.errors.length > 0;
+        dialog.querySelector('.validation-title').textContent = title;
+        dialog.querySelector('.validation-summary').textContent = blocked
+            ? 'These slices cannot be combined into one volume:'
+            : 'The series can be displayed, but check these warnings first:';
+        this.renderList(dialog.querySelector('.validation-errors'), report.errors);
+        this.renderList(dialog.querySelector('.validation-warnings'), report.warnings);
+        dialog.querySelector('.validation-continue').hidden = blocked;
+
+        return new Promise(resolve => {
+            dialog.addEventListener('close', () => {
+                resolve(!blocked && dialog.returnValue === 'continue');
+            }, { once: true });
+            dialog.returnValue = '';
+            dialog.showModal();
+        });
+    }
+
+    renderList(list, issues) {
+        if (!list) return;
+
+        list.innerHTML = '';
+        list.style.display = issues.length > 0 ? '' : 'none';
+        issues.forEach(issue => {
+            const item = document.createElement('li');
+            item.textContent = issue.message;
+
+            if (issue.files?.length > 0) {
+                const files = document.createElement('small');
+                const listed = issue.files.slice(0, MAX_LISTED_FILES).join(', ');
+                const more = issue.files.length - MAX_LISTED_FILES;
+                files.textContent = more > 0 ? `${listed} and ${more} more` : listed;
+                item.appendChild(files);
+            }
+
+            list.appendChild(item);
+        });
+    }
+}
+
+export default ValidationDialog;
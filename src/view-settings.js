@@ -0,0 +1,49 @@
+/**
+ * View Settings Module
+ * Remembers the 3D view settings (rendering mode, opacity, clipping) of each
+ * series in localStorage so they come back when the series is opened again
+ */
+
+const STORAGE_KEY = 'volume-view-settings';
+// Series remembered before the least recently saved are dropped
+const MAX_SERIES = 50;
+
+function readAll() {
+    try {
+        return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    } catch (error) {
+        console.warn('Ignoring unreadable view settings:', error);
+        return {};
+    }
+}
+
+/**
+ * @param {string} key - Series id, or file:<name> for single-file volumes
+ * @returns {Object|null} Saved { renderingMode, opacity, clipping }, or null
+ */
+export function loadViewSettings(key) {
+    return readAll()[key] || null;
+}
+
+/**
+ * Merge changed settings into those saved for a series
+ * @param {string} key - Series id, or file:<name> for single-file volumes
+ * @param {Object} changes - Any of { renderingMode, opacity, clipping }
+ */
+export function saveViewSettings(key, changes) {
+    const all = readAll();
+    all[key] = { ...all[key], ...changes, savedAt: Date.now() };
+
+    const keys = Object.keys(all);
+    if (keys.length > MAX_SERIES) {
+        keys.sort((a, b) => all[a].savedAt - all[b].savedAt)
+            .slice(0, keys.length - MAX_SERIES)
+            .forEach(oldKey => delete all[oldKey]);
+    }
+
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(all));
+    } catch (error) {
+        console.warn('Could not save view settings:', error);
+    }
+}
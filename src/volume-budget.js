@@ -0,0 +1,98 @@
+/**
+ * Volume Budget Helpers
+ * Voxel memory estimates and the downsampling or cropping that brings a
+ * series within a memory budget
+ */
+
+// Cornerstone keeps rescaled volumes as 32-bit floats
+const BYTES_PER_VOXEL = 4;
+export const IN_PLANE_FACTORS = [1, 2, 4];
+export const SLICE_STEPS = [1, 2, 3, 4, 6, 8];
+
+/**
+ * @param {Object} size - { width, height, depth } in voxels
+ * @returns {number} Bytes needed for the voxel data
+ */
+export function estimateVolumeBytes({ width, height, depth }) {
+    return width * height * depth * BYTES_PER_VOXEL;
+}
+
+/**
+ * Size of a volume after reduction
+ * @param {Object} size - Full { width, height, depth }
+ * @param {Object} reduction - { inPlane, sliceStep, first, last } with first/last as 0-based slice indices
+ * @returns {Object} Reduced { width, height, depth }
+ */
+export function getReducedSize({ width, height, depth }, { inPlane = 1, sliceStep = 1, first = 0, last = depth - 1 } = {}) {
+    return {
+        width: Math.floor(width / inPlane),
+        height: Math.floor(height / inPlane),
+        depth: Math.floor((last - first) / sliceStep) + 1
+    };
+}
+
+/**
+ * Least reduction that fits the budget: the combination of in-plane factor
+ * and slice step that keeps the most voxels, cropped to a centred slab of
+ * slices when even the coarsest combination is too large
+ * @param {Object} size - Full { width, height, depth }
+ * @param {number} budgetBytes - Memory budget
+ * @param {Object} options - { allowInPlane } is false when pixel data is not in memory (DICOMweb)
+ * @returns {Object} { inPlane, sliceStep, first, last }
+ */
+export function suggestReduction(size, budgetBytes, { allowInPlane = true } = {}) {
+    const full = { first: 0, last: size.depth - 1 };
+    const candidates = (allowInPlane ? IN_PLANE_FACTORS : [1])
+        .flatMap(inPlane => SLICE_STEPS.map(sliceStep => ({ inPlane, sliceStep, ...full })))
+        .map(reduction => ({ reduction, bytes: estimateVolumeBytes(getReducedSize(size, reduction)) }));
+
+    const fitting = candidates.filter(candidate => candidate.bytes <= budgetBytes);
+    if (fitting.length > 0) {
+        return fitting.reduce((best, candidate) => candidate.bytes > best.bytes ? candidate : best).reduction;
+    }
+
+    const coarsest = candidates[candidates.length - 1].reduction;
+    const { width, height } = getReducedSize(size, coarsest);
+    const slices = Math.max(1, Math.floor(budgetBytes / estimateVolumeBytes({ width, height, depth: 1 })));
+    const span = Math.min(size.depth - 1, (slices - 1) * coarsest.sliceStep);
+    const first = Math.floor((size.depth - 1 - span) / 2);
+    return { ...coarsest, first, last: first + span };
+}
+
+/**
+ * @param {Object} reduction - { inPlane, sliceStep, first, last }
+ * @param {number} depth - Slices in the full series
+ * @returns {string} e.g. '1/2 in-plane, every 2nd slice'
+ */
+export function describeReduction({ inPlane, sliceStep, first, last }, depth) {
+    const parts = [];
+    if (inPlane > 1) {
+        parts.push(`1/${inPlane} in-plane`);
+    }
+    if (sliceStep > 1) {
+        parts.push(`every ${ordinal(sliceStep)} slice`);
+    }
+    if (first > 0 || last < depth - 1) {
+        parts.push(`slices ${first + 1}-${last + 1} of ${depth}`);
+    }
+    return parts.join(', ') || 'full resolution';
+}
+
+/**
+ * @param {number} n
+ * @returns {string} e.g. '2nd', '4th'
+ */
+export function ordinal(n) {
+    const suffix = { 1: 'st', 2: 'nd', 3: 'rd' }[n % 10];
+    return `${n}${suffix && Math.floor(n / 10) % 10 !== 1 ? suffix : 'th'}`;
+}
+
+/**
+ * @param {number} bytes
+ * @returns {string} e.g. '1.2 GB', '340 MB' or '12 KB'
+ */
+export function formatBytes(bytes) {
+    if (bytes >= 1024 ** 3) return `${(bytes / 1024 ** 3).toFixed(1)} GB`;
+    if (bytes >= 1024 ** 2) return `${Math.round(bytes / 1024 ** 2)} MB`;
+    return `${Math.ceil(bytes / 1024)} KB`;
+}
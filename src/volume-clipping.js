@@ -0,0 +1,336 @@
+/**
+ * Volume Clipping Module
+ * Crop box and oblique clipping planes for the 3D volume viewport. The crop
+ * box follows the volume's voxel axes and is edited with face handles drawn
+ * over the 3D view; oblique planes are added through the current view direction.
+ */
+
+import * as cornerstone from '@cornerstonejs/core';
+import { Enums } from '@cornerstonejs/core';
+import vtkPlane from '@kitware/vtk.js/Common/DataModel/Plane';
+import { dot, normalize } from './dicom-geometry.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+// Thinnest crop box slab, as a fraction of the volume extent
+const MIN_BOX_SIZE = 0.02;
+// Handles whose axis points nearly at the viewer cannot be dragged reliably
+const MIN_HANDLE_AXIS_PIXELS = 8;
+
+/**
+ * @returns {Object} Uncropped state: box as [min, max] fractions of each voxel axis,
+ *     oblique planes as { normal, offset } in mm from the volume centre
+ */
+function createDefaultState() {
+    return { box: [[0, 1], [0, 1], [0, 1]], planes: [], invert: false };
+}
+
+class VolumeClipping {
+    /**
+     * @param {VolumeViewer3D} viewer - Viewer owning the 3D viewport
+     */
+    constructor(viewer) {
+        this.viewer = viewer;
+        this.state = createDefaultState();
+        this.overlay = null;
+        this.handlesVisible = false;
+        this.drag = null;
+        // vtkPlane instances reused between updates
+        this.vtkPlanes = [];
+        // Called with the new state after each user edit
+        this.onChange = null;
+    }
+
+    /**
+     * Add the handle overlay to the 3D viewport element
+     * @param {HTMLElement} element - 3D viewport element
+     */
+    attach(element) {
+        this.overlay = document.createElementNS(SVG_NS, 'svg');
+        this.overlay.classList.add('crop-overlay');
+        element.appendChild(this.overlay);
+
+        // Cornerstone resets the first two clipping planes whenever the camera turns
+        element.addEventListener(Enums.Events.CAMERA_MODIFIED, () => {
+            this.apply();
+            this.drawHandles();
+        });
+    }
+
+    /**
+     * @returns {Object} Copy of the crop box, planes and invert flag, for saving
+     */
+    getState() {
+        return JSON.parse(JSON.stringify(this.state));
+    }
+
+    /**
+     * Restore a saved state; missing or malformed parts fall back to no clipping
+     * @param {Object} state - From getState
+     */
+    setState(state) {
+        const defaults = createDefaultState();
+        const validBox = Array.isArray(state?.box) && state.box.length === 3 &&
+            state.box.every(range => range?.length === 2 && range.every(Number.isFinite));
+        const planes = Array.isArray(state?.planes)
+            ? state.planes.filter(plane => plane?.normal?.length === 3 && Number.isFinite(plane.offset))
+            : [];
+
+        this.state = {
+            box: validBox ? state.box.map(range => [...range]) : defaults.box,
+            planes: planes.map(plane => ({ normal: normalize(plane.normal), offset: plane.offset })),
+            invert: Boolean(state?.invert)
+        };
+        this.update();
+    }
+
+    reset() {
+        this.state = createDefaultState();
+        this.update();
+    }
+
+    isActive() {
+        const { box, planes } = this.state;
+        return planes.length > 0 || box.some(([min, max]) => min > 0 || max < 1);
+    }
+
+    setHandlesVisible(visible) {
+        this.handlesVisible = visible;
+        this.drawHandles();
+    }
+
+    /**
+     * Keep the other side of every oblique plane
+     */
+    toggleInvert() {
+        this.state.invert = !this.state.invert;
+        this.commit();
+    }
+
+    /**
+     * Add a plane facing the viewer through the volume centre that removes
+     * the half of the volume nearer the camera
+     * @returns {number} Index of the new plane
+     */
+    addPlaneFromView() {
+        const viewport = this.viewer.getViewport();
+        const { viewPlaneNormal } = viewport.getCamera();
+        this.state.planes.push({ normal: viewPlaneNormal.map(value => -value), offset: 0 });
+        this.commit();
+        return this.state.planes.length - 1;
+    }
+
+    setPlaneOffset(index, offset) {
+        if (!this.state.planes[index]) return;
+        this.state.planes[index].offset = offset;
+        this.update();
+    }
+
+    removePlane(index) {
+        this.state.planes.splice(index, 1);
+        this.commit();
+    }
+
+    /**
+     * @returns {number} Largest useful plane offset: half the volume diagonal in mm
+     */
+    getPlaneRange() {
+        const geometry = this.getGeometry();
+        if (!geometry) return 0;
+
+        const { corner, axes } = geometry;
+        const far = axes.reduce((point, axis) => point.map((value, i) => value + axis.vector[i]), [...corner]);
+        return Math.sqrt(far.reduce((sum, value, i) => sum + (value - corner[i]) ** 2, 0)) / 2;
+    }
+
+    /**
+     * Apply, render and report a finished edit
+     */
+    commit() {
+        this.update();
+        this.onChange?.(this.getState());
+    }
+
+    update() {
+        this.apply();
+        this.viewer.getViewport()?.render();
+        this.drawHandles();
+    }
+
+    /**
+     * Volume frame in world coordinates
+     * @returns {Object|null} { corner, axes, center } where each axis has the world
+     *     vector spanning the volume and its unit direction
+     */
+    getGeometry() {
+        const volume = cornerstone.cache.getVolume(this.viewer.volumeId);
+        const imageData = volume?.imageData;
+        if (!imageData) return null;
+
+        const dimensions = imageData.getDimensions();
+        const corner = imageData.indexToWorld([0, 0, 0]);
+        const axes = dimensions.map((size, a) => {
+            const index = [0, 0, 0];
+            index[a] = size - 1;
+            const end = imageData.indexToWorld(index);
+            const vector = end.map((value, i) => value - corner[i]);
+            return { vector, direction: normalize(vector) };
+        });
+        const center = corner.map((value, i) => value + axes.reduce((sum, axis) => sum + axis.vector[i] / 2, 0));
+        return { corner, axes, center };
+    }
+
+    /**
+     * @param {Object} geometry - From getGeometry
+     * @param {Array<number>} fractions - Position along each voxel axis, 0-1
+     * @returns {Array<number>} World point
+     */
+    toWorld({ corner, axes }, fractions) {
+        return corner.map((value, i) => value + axes.reduce((sum, axis, a) => sum + axis.vector[i] * fractions[a], 0));
+    }
+
+    /**
+     * Set the clipping planes of the 3D volume actors from the current state.
+     * Clipping keeps the side of each plane its normal points to.
+     */
+    apply() {
+        // A fused second volume is clipped with the base volume
+        const mappers = (this.viewer.getViewport()?.getActors() || [])
+            .map(actorEntry => actorEntry.actor?.getMapper?.())
+            .filter(Boolean);
+        const geometry = this.getGeometry();
+        if (mappers.length === 0 || !geometry) return;
+
+        const planes = [];
+        const middle = this.state.box.map(([min, max]) => (min + max) / 2);
+        this.state.box.forEach(([min, max], a) => {
+            const direction = geometry.axes[a].direction;
+            if (min > 0) {
+                const fractions = [...middle];
+                fractions[a] = min;
+                planes.push({ origin: this.toWorld(geometry, fractions), normal: direction });
+            }
+            if (max < 1) {
+                const fractions = [...middle];
+                fractions[a] = max;
+                planes.push({ origin: this.toWorld(geometry, fractions), normal: direction.map(value => -value) });
+            }
+        });
+
+        const side = this.state.invert ? -1 : 1;
+        this.state.planes.forEach(({ normal, offset }) => {
+            planes.push({
+                origin: geometry.center.map((value, i) => value + normal[i] * offset),
+                normal: normal.map(value => value * side)
+            });
+        });
+
+        planes.forEach(({ origin, normal }, index) => {
+            if (!this.vtkPlanes[index]) {
+                this.vtkPlanes[index] = vtkPlane.newInstance();
+            }
+            this.vtkPlanes[index].setOrigin(...origin);
+            this.vtkPlanes[index].setNormal(...normal);
+        });
+        mappers.forEach(mapper => {
+            mapper.removeAllClippingPlanes();
+            planes.forEach((plane, index) => mapper.addClippingPlane(this.vtkPlanes[index]));
+        });
+    }
+
+    /**
+     * Draw the crop box edges and one handle per face over the 3D view
+     */
+    drawHandles() {
+        if (!this.overlay) return;
+
+        this.overlay.innerHTML = '';
+        const viewport = this.viewer.getViewport();
+        const geometry = this.getGeometry();
+        if (!this.handlesVisible || !viewport || !geometry) return;
+
+        const { box } = this.state;
+        const toCanvas = fractions => viewport.worldToCanvas(this.toWorld(geometry, fractions));
+        const corners = Array.from({ length: 8 }, (_, corner) =>
+            toCanvas(box.map((range, a) => range[(corner >> a) & 1])));
+
+        corners.forEach((start, a) => {
+            [1, 2, 4].filter(bit => !(a & bit)).forEach(bit => {
+                const end = corners[a | bit];
+                const line = document.createElementNS(SVG_NS, 'line');
+                line.setAttribute('x1', start[0]);
+                line.setAttribute('y1', start[1]);
+                line.setAttribute('x2', end[0]);
+                line.setAttribute('y2', end[1]);
+                this.overlay.appendChild(line);
+            });
+        });
+
+        const middle = box.map(([min, max]) => (min + max) / 2);
+        box.forEach((range, axis) => {
+            range.forEach((value, side) => {
+                const fractions = [...middle];
+                fractions[axis] = value;
+                const [x, y] = toCanvas(fractions);
+
+                const handle = document.createElementNS(SVG_NS, 'circle');
+                handle.setAttribute('cx', x);
+                handle.setAttribute('cy', y);
+                handle.setAttribute('r', 6);
+                handle.classList.add('crop-handle');
+                handle.addEventListener('mousedown', (event) => this.startDrag(event, axis, side));
+                this.overlay.appendChild(handle);
+            });
+        });
+    }
+
+    /**
+     * Drag a face of the crop box along its voxel axis
+     * @param {MouseEvent} event - mousedown on the face handle
+     * @param {number} axis - Voxel axis 0-2
+     * @param {number} side - 0 for the min face, 1 for the max face
+     */
+    startDrag(event, axis, side) {
+        // Keep the rotate tool from seeing the press
+        event.stopPropagation();
+        event.preventDefault();
+
+        const viewport = this.viewer.getViewport();
+        const geometry = this.getGeometry();
+        if (!viewport || !geometry) return;
+
+        // Screen movement for sliding the face across the whole volume
+        const middle = this.state.box.map(([min, max]) => (min + max) / 2);
+        const from = [...middle];
+        const to = [...middle];
+        from[axis] = 0;
+        to[axis] = 1;
+        const start = viewport.worldToCanvas(this.toWorld(geometry, from));
+        const end = viewport.worldToCanvas(this.toWorld(geometry, to));
+        const screenAxis = [end[0] - start[0], end[1] - start[1]];
+        const lengthSquared = dot([...screenAxis, 0], [...screenAxis, 0]);
+        if (lengthSquared < MIN_HANDLE_AXIS_PIXELS ** 2) return;
+
+        const startValue = this.state.box[axis][side];
+        const onMove = (moveEvent) => {
+            const delta = [moveEvent.clientX - event.clientX, moveEvent.clientY - event.clientY, 0];
+            const value = startValue + dot(delta, [...screenAxis, 0]) / lengthSquared;
+            const range = this.state.box[axis];
+            range[side] = side === 0
+                ? Math.min(Math.max(value, 0), range[1] - MIN_BOX_SIZE)
+                : Math.max(Math.min(value, 1), range[0] + MIN_BOX_SIZE);
+            this.update();
+        };
+        const onUp = () => {
+            window.removeEventListener('mousemove', onMove);
+            window.removeEventListener('mouseup', onUp);
+            this.drag = null;
+            this.onChange?.(this.getState());
+        };
+
+        this.drag = { axis, side };
+        window.addEventListener('mousemove', onMove);
+        window.addEventListener('mouseup', onUp);
+    }
+}
+
+export default VolumeClipping;
@@ -11,9 +11,69 @@ import {
     TrackballRotateTool,
     PanTool,
     ZoomTool,
+    CrosshairsTool,
+    StackScrollTool,
 } from '@cornerstonejs/tools';
+import { getPlaneBoxIntersection } from './dicom-geometry.js';
+import VolumeClipping from './volume-clipping.js';
+import {
+    createRenderState,
+    deriveOpacityPoints,
+    getBlendWeights,
+    getColormapPoints,
+    TISSUE_RANGES
+} from './render-state.js';
 const { ToolGroupManager, Enums: csToolsEnums } = cornerstoneTools;
 const { MouseBindings } = csToolsEnums;
+const { imageRetrieveMetadataProvider } = cornerstone.utilities;
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+// Voxels read for the transfer function histogram; larger volumes are sampled evenly
+const HISTOGRAM_SAMPLES = 1000000;
+
+// Orthogonal MPR views; a view's colour marks its plane in the other views and in 3D
+const MPR_VIEWS = [
+    { viewportId: 'CT_AXIAL', orientation: Enums.OrientationAxis.AXIAL, label: 'Axial', color: 'rgb(255, 82, 82)' },
+    { viewportId: 'CT_SAGITTAL', orientation: Enums.OrientationAxis.SAGITTAL, label: 'Sagittal', color: 'rgb(255, 214, 64)' },
+    { viewportId: 'CT_CORONAL', orientation: Enums.OrientationAxis.CORONAL, label: 'Coronal', color: 'rgb(76, 217, 100)' }
+];
+
+/**
+ * Retrieve stages that load every `step`-th slice first, copying each into the
+ * following slices as a stand-in, then fill in the remaining slices
+ * @param {number} step - Slice interval of the preview pass
+ * @returns {Array<Object>} Stages for ProgressiveRetrieveImages
+ */
+function createInterleavedStages(step) {
+    const nearbyFrames = Array.from({ length: step - 1 }, (_, i) => ({
+        offset: i + 1,
+        imageQualityStatus: Enums.ImageQualityStatus.ADJACENT_REPLICATE
+    }));
+
+    const fillStages = Array.from({ length: step - 1 }, (_, i) => ({
+        id: `fill-${i + 1}`,
+        decimate: step,
+        offset: i + 1,
+        priority: 6 + i
+    }));
+
+    return [{ id: 'preview', decimate: step, offset: 0, priority: 5, nearbyFrames }, ...fillStages];
+}
+
+/**
+ * World positions of the eight corner voxels of a volume, in the corner order
+ * getPlaneBoxIntersection expects
+ * @param {Object} imageData - vtkImageData of a Cornerstone volume
+ * @returns {Array<Array<number>>} Corner positions
+ */
+function getVolumeCorners(imageData) {
+    const [nx, ny, nz] = imageData.getDimensions();
+    return Array.from({ length: 8 }, (_, corner) => imageData.indexToWorld([
+        corner & 1 ? nx - 1 : 0,
+        corner & 2 ? ny - 1 : 0,
+        corner & 4 ? nz - 1 : 0
+    ]));
+}
 
 class VolumeViewer3D {
     constructor(containerId) {
@@ -27,8 +87,23 @@ class VolumeViewer3D {
         this.volumeId = `${this.volumeLoaderScheme}:${this.volumeName}`;
         this.toolGroupId = 'VOLUME_3D_TOOL_GROUP';
         this.toolGroup = null;
+        this.mprToolGroupId = 'MPR_TOOL_GROUP';
+        this.mprToolGroup = null;
+        this.mprEnabled = false;
+        // MPR viewport elements by viewport id
+        this.mprElements = {};
+        this.slicePlaneOverlay = null;
+        // Transfer functions, window and opacities the 3D rendering is derived from
+        this.renderState = createRenderState();
+        // Second volume rendered with the first, e.g. PET over CT
+        this.fusionVolumeId = `${this.volumeLoaderScheme}:FUSION_VOLUME_ID`;
+        this.fusion = null;
+        this.clipping = new VolumeClipping(this);
+        // Called once all voxels of a newly displayed volume are available
+        this.onVolumeLoaded = null;
         this.isInitialized = false;
         this.currentVolumeData = null;
+        this.stopStreaming = null;
     }
 
     /**
@@ -51,6 +126,7 @@ async initialize() {
         
         // Create tool group for 3D viewport interactions
         this.setupToolGroup();
+        this.setupMprToolGroup();
         
         // Get the container element
         const container = document.getElementById(this.containerId);
@@ -61,14 +137,22 @@ async initialize() {
         // Clear any existing content
         container.innerHTML = '';
         
-        // Create viewport element
-        const viewportElement = document.createElement('div');
-        viewportElement.style.width = '100%';
-        viewportElement.style.height = '100%';
-        viewportElement.style.backgroundColor = '#000';
-        viewportElement.style.position = 'relative';
-        viewportElement.oncontextmenu = () => false;
-        container.appendChild(viewportElement);
+        // 3D view plus the MPR views, which stay hidden until the MPR layout is chosen
+        const grid = document.createElement('div');
+        grid.className = 'viewport-grid';
+        container.appendChild(grid);
+
+        const viewportElement = this.createViewportElement(grid, '3D');
+        this.slicePlaneOverlay = document.createElementNS(SVG_NS, 'svg');
+        this.slicePlaneOverlay.classList.add('slice-planes');
+        viewportElement.appendChild(this.slicePlaneOverlay);
+        this.clipping.attach(viewportElement);
+
+        MPR_VIEWS.forEach(({ viewportId, label, color }) => {
+            const element = this.createViewportElement(grid, label, color);
+            element.hidden = true;
+            this.mprElements[viewportId] = element;
+        });
 
         // Create rendering engine
         this.renderingEngine = new cornerstone.RenderingEngine(this.renderingEngineId);
@@ -116,6 +200,8 @@ registerTools() {
         cornerstoneTools.addTool(cornerstoneTools.TrackballRotateTool);
         cornerstoneTools.addTool(cornerstoneTools.PanTool);
         cornerstoneTools.addTool(cornerstoneTools.ZoomTool);
+        cornerstoneTools.addTool(CrosshairsTool);
+        cornerstoneTools.addTool(StackScrollTool);
         
         console.log('All tools registered successfully');
     } catch (error) {
@@ -173,6 +259,165 @@ setupToolGroup() {
     }
 }
 
+    /**
+     * Tool group for the MPR views: crosshairs on the left button, pan on the
+     * middle button, zoom on the right button and slice scrolling on the wheel
+     */
+    setupMprToolGroup() {
+        try {
+            ToolGroupManager.destroyToolGroup(this.mprToolGroupId);
+        } catch (e) {
+            console.log('No existing MPR tool group to destroy');
+        }
+
+        this.mprToolGroup = ToolGroupManager.createToolGroup(this.mprToolGroupId);
+        this.mprToolGroup.addTool(CrosshairsTool.toolName, {
+            getReferenceLineColor: (viewportId) =>
+                MPR_VIEWS.find(view => view.viewportId === viewportId)?.color || 'rgb(200, 200, 200)',
+            getReferenceLineControllable: () => true,
+            getReferenceLineDraggableRotatable: () => true,
+            getReferenceLineSlabThicknessControlsOn: () => false
+        });
+        this.mprToolGroup.addTool(PanTool.toolName);
+        this.mprToolGroup.addTool(ZoomTool.toolName);
+        this.mprToolGroup.addTool(StackScrollTool.toolName);
+
+        this.mprToolGroup.setToolActive(PanTool.toolName, {
+            bindings: [{ mouseButton: MouseBindings.Auxiliary }],
+        });
+        this.mprToolGroup.setToolActive(ZoomTool.toolName, {
+            bindings: [{ mouseButton: MouseBindings.Secondary }],
+        });
+        this.mprToolGroup.setToolActive(StackScrollTool.toolName, {
+            bindings: [{ mouseButton: MouseBindings.Wheel }],
+        });
+        // Crosshairs are activated once the views hold a volume
+    }
+
+    /**
+     * Add a labelled viewport element to the layout grid
+     * @param {HTMLElement} grid - Layout grid
+     * @param {string} label - View name shown in the corner
+     * @param {string} color - Label colour
+     * @returns {HTMLElement} Element to enable as a viewport
+     */
+    createViewportElement(grid, label, color = '#fff') {
+        const element = document.createElement('div');
+        element.className = 'viewport-pane';
+        element.oncontextmenu = () => false;
+
+        const caption = document.createElement('span');
+        caption.className = 'viewport-label';
+        caption.textContent = label;
+        caption.style.color = color;
+        element.appendChild(caption);
+
+        // Slice planes follow both the 3D camera and the MPR slices
+        element.addEventListener(Enums.Events.CAMERA_MODIFIED, () => this.updateSlicePlanes());
+        grid.appendChild(element);
+        return element;
+    }
+
+    /**
+     * Switch between the 3D view alone and the 3D view with axial, sagittal
+     * and coronal views of the same volume, linked by crosshairs
+     * @param {boolean} enabled - Show the MPR views
+     */
+    async setMprEnabled(enabled) {
+        if (!this.renderingEngine || enabled === this.mprEnabled) return;
+        this.mprEnabled = enabled;
+
+        document.getElementById(this.containerId)?.querySelector('.viewport-grid')?.classList.toggle('mpr', enabled);
+        Object.values(this.mprElements).forEach(element => {
+            element.hidden = !enabled;
+        });
+
+        try {
+            if (enabled) {
+                MPR_VIEWS.forEach(({ viewportId, orientation }) => {
+                    this.renderingEngine.enableElement({
+                        viewportId,
+                        type: Enums.ViewportType.ORTHOGRAPHIC,
+                        element: this.mprElements[viewportId],
+                        defaultOptions: { orientation, background: [0, 0, 0] },
+                    });
+                    this.mprToolGroup.addViewport(viewportId, this.renderingEngineId);
+                });
+            } else {
+                this.mprToolGroup.setToolDisabled(CrosshairsTool.toolName);
+                MPR_VIEWS.forEach(({ viewportId }) => {
+                    this.mprToolGroup.removeViewports(this.renderingEngineId, viewportId);
+                    this.renderingEngine.disableElement(viewportId);
+                });
+            }
+
+            // The 3D view changes size with the layout
+            this.renderingEngine.resize(true, true);
+            if (enabled && cornerstone.cache.getVolume(this.volumeId)) {
+                await this.showMprVolume();
+            }
+            this.viewport?.render();
+            this.updateSlicePlanes();
+            this.clipping.drawHandles();
+            console.log(`MPR layout ${enabled ? 'enabled' : 'disabled'}`);
+        } catch (error) {
+            console.error('Error switching MPR layout:', error);
+        }
+    }
+
+    /**
+     * Put the current volume on the MPR views and centre the crosshairs
+     */
+    async showMprVolume() {
+        const viewportIds = MPR_VIEWS.map(view => view.viewportId);
+        await setVolumesForViewports(this.renderingEngine, [{ volumeId: this.volumeId }], viewportIds);
+        this.applyMprWindowLevel();
+
+        this.mprToolGroup.setToolActive(CrosshairsTool.toolName, {
+            bindings: [{ mouseButton: MouseBindings.Primary }],
+        });
+        this.renderingEngine.renderViewports(viewportIds);
+    }
+
+    applyMprWindowLevel() {
+        // Without a window the MPR views keep the volume's default
+        if (!this.mprEnabled || !this.renderState.windowLevel) return;
+
+        const { width, center } = this.renderState.windowLevel;
+        MPR_VIEWS.forEach(({ viewportId }) => {
+            const viewport = this.renderingEngine.getViewport(viewportId);
+            viewport?.setProperties({ voiRange: { lower: center - width / 2, upper: center + width / 2 } });
+            viewport?.render();
+        });
+    }
+
+    /**
+     * Outline the MPR slice planes on the 3D view in their view colours
+     */
+    updateSlicePlanes() {
+        const overlay = this.slicePlaneOverlay;
+        if (!overlay) return;
+
+        overlay.innerHTML = '';
+        const volume = cornerstone.cache.getVolume(this.volumeId);
+        if (!this.mprEnabled || !volume?.imageData || !this.viewport) return;
+
+        const corners = getVolumeCorners(volume.imageData);
+        MPR_VIEWS.forEach(({ viewportId, color }) => {
+            const mprViewport = this.renderingEngine.getViewport(viewportId);
+            if (!mprViewport?.hasVolumeId?.(this.volumeId)) return;
+
+            const { focalPoint, viewPlaneNormal } = mprViewport.getCamera();
+            const outline = getPlaneBoxIntersection(corners, focalPoint, viewPlaneNormal);
+            if (outline.length < 3) return;
+
+            const polygon = document.createElementNS(SVG_NS, 'polygon');
+            polygon.setAttribute('points', outline.map(point => this.viewport.worldToCanvas(point).join(',')).join(' '));
+            polygon.setAttribute('stroke', color);
+            overlay.appendChild(polygon);
+        });
+    }
+
     /**
      * Sets the active tool for the primary mouse button (left-click).
      * @param {string} toolName - The name of the tool to activate (e.g., 'TrackballRotate', 'Pan', 'Zoom').
@@ -227,11 +472,13 @@ setActiveTool(toolName) {
 }
 
     /**
-     * Create and display a volume from multiple DICOM images
+     * Create and display a volume from multiple DICOM images. Resolves once the
+     * volume is on the viewport; slices keep streaming in afterwards
      * @param {Array} imageIds - Array of Cornerstone image IDs
      * @param {Object} metadata - Volume metadata
+     * @param {Object} options - { interleave } loads every Nth slice first as a coarse preview
      */
-    async displayVolume(imageIds, metadata = {}) {
+    async displayVolume(imageIds, metadata = {}, { interleave = 1 } = {}) {
         if (!this.isInitialized) {
             throw new Error('Volume viewer not initialized');
         }
@@ -240,39 +487,31 @@ setActiveTool(toolName) {
             console.log('Creating volume from images:', imageIds.length);
             this.showMessage('Creating 3D volume...', 'loading');
 
-            const existingVolume = cornerstone.cache.getVolume(this.volumeId);
-            if (existingVolume) {
-                cornerstone.cache.removeVolumeLoadObject(this.volumeId);
-            }
+            this.removeCurrentVolume();
 
             const volume = await volumeLoader.createAndCacheVolume(this.volumeId, {
                 imageIds,
             });
             console.log('Volume created successfully:', volume);
-            
-            await volume.load();
-            console.log('Volume loaded');
-
-            this.currentVolumeData = {
-                volume: volume,
-                imageIds: imageIds,
-                metadata: metadata
-            };
 
-            await setVolumesForViewports(
-                this.renderingEngine,
-                [{ volumeId: this.volumeId }],
-                [this.viewportId]
+            imageRetrieveMetadataProvider.add(
+                this.volumeId,
+                interleave > 1 ? { stages: createInterleavedStages(interleave) } : undefined
             );
-            console.log('Volume set on viewport');
 
-            this.viewport.setProperties({ preset: 'CT-Bone' });
-            this.setupInitialCamera();
-            this.viewport.render();
-            this.hideMessage();
-            this.showMessage('3D Volume loaded - Drag to rotate in any direction', 'info');
-            this.updateVolumeInfo(metadata, imageIds.length);
-            console.log('Volume displayed successfully');
+            // Put the still empty volume on the viewport straight away; the
+            // streaming volume re-renders itself as slices arrive
+            this.streamVolume(volume).then(event => {
+                if (event.cancelled) return;
+                const failed = event.totalNumFrames - event.framesLoaded;
+                console.log(`Volume loaded (${event.framesLoaded}/${event.totalNumFrames} slices)`);
+                if (failed > 0) {
+                    this.showMessage(`${failed} slice(s) failed to load`, 'info');
+                }
+                this.onVolumeLoaded?.();
+            });
+
+            await this.showLoadedVolume(volume, imageIds, metadata);
 
         } catch (error) {
             console.error('Error displaying volume:', error);
@@ -281,6 +520,157 @@ setActiveTool(toolName) {
             throw error;
         }
     }
+
+    /**
+     * Start loading a streaming volume's slices, with a slice counter on the viewport
+     * @param {Object} volume - Cornerstone streaming image volume
+     * @returns {Promise<Object>} Final load status event, or { cancelled: true }
+     */
+    streamVolume(volume) {
+        return new Promise(resolve => {
+            const total = volume.imageIds.length;
+            const onModified = (event) => {
+                if (event.detail.volumeId === volume.volumeId) {
+                    this.showStreamStatus(event.detail.framesProcessed, total);
+                }
+            };
+
+            const stop = (result) => {
+                cornerstone.eventTarget.removeEventListener(Enums.Events.IMAGE_VOLUME_MODIFIED, onModified);
+                this.hideStreamStatus();
+                if (this.stopStreaming === stop) this.stopStreaming = null;
+                resolve(result);
+            };
+            this.stopStreaming = stop;
+
+            cornerstone.eventTarget.addEventListener(Enums.Events.IMAGE_VOLUME_MODIFIED, onModified);
+            this.showStreamStatus(0, total);
+            volume.load(event => stop(event));
+        });
+    }
+
+    /**
+     * Stop streaming and drop the displayed volume from the cache
+     */
+    removeCurrentVolume() {
+        // setVolumesForViewports replaces every actor, so the fusion goes with the base volume
+        this.removeFusionVolume();
+
+        const existingVolume = cornerstone.cache.getVolume(this.volumeId);
+        if (!existingVolume) return;
+
+        this.stopStreaming?.({ cancelled: true });
+
+        // Interleaved requests are queued per image rather than per volume, so
+        // cancelLoading() does not find them
+        const imageIds = new Set(existingVolume.imageIds);
+        cornerstone.imageLoadPoolManager.filterRequests(({ additionalDetails }) => !imageIds.has(additionalDetails?.imageId));
+
+        cornerstone.cache.removeVolumeLoadObject(this.volumeId);
+    }
+
+    showStreamStatus(loaded, total) {
+        const container = document.getElementById(this.containerId);
+        if (!container) return;
+
+        let status = container.querySelector('.stream-status');
+        if (!status) {
+            status = document.createElement('div');
+            status.className = 'stream-status';
+            container.appendChild(status);
+        }
+        status.textContent = `Loading slices ${loaded} / ${total}`;
+    }
+
+    hideStreamStatus() {
+        document.getElementById(this.containerId)?.querySelector('.stream-status')?.remove();
+    }
+
+    /**
+     * Keep a badge on the viewport listing geometry corrections applied to the
+     * displayed volume, so a resampled volume is never mistaken for the original
+     * @param {Array<string>} corrections - e.g. 'Gantry tilt 15.0° corrected'
+     */
+    showCorrections(corrections) {
+        const container = document.getElementById(this.containerId);
+        if (!container) return;
+
+        container.querySelector('.correction-badge')?.remove();
+        if (corrections.length === 0) return;
+
+        const badge = document.createElement('div');
+        badge.className = 'correction-badge';
+        badge.textContent = corrections.join(' · ');
+        container.appendChild(badge);
+    }
+
+    /**
+     * Create and display a volume from voxel data already in memory
+     * (e.g. a series resampled onto a uniform grid)
+     * @param {Object} volumeOptions - Options for volumeLoader.createLocalVolume
+     * @param {Object} metadata - Volume metadata
+     */
+    async displayLocalVolume(volumeOptions, metadata = {}) {
+        if (!this.isInitialized) {
+            throw new Error('Volume viewer not initialized');
+        }
+
+        try {
+            console.log('Creating local volume:', volumeOptions.dimensions);
+            this.showMessage('Creating 3D volume...', 'loading');
+
+            this.removeCurrentVolume();
+
+            const volume = volumeLoader.createLocalVolume(this.volumeId, volumeOptions);
+            console.log('Local volume created successfully:', volume);
+
+            await this.showLoadedVolume(volume, volume.imageIds, metadata);
+            this.onVolumeLoaded?.();
+
+        } catch (error) {
+            console.error('Error displaying local volume:', error);
+            this.hideMessage();
+            this.showError(`Failed to display volume: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Put a cached volume on the 3D viewport and apply the default look
+     * @param {Object} volume - Cornerstone image volume
+     * @param {Array} imageIds - Image IDs backing the volume
+     * @param {Object} metadata - Volume metadata
+     */
+    async showLoadedVolume(volume, imageIds, metadata) {
+        this.currentVolumeData = {
+            volume: volume,
+            imageIds: imageIds,
+            metadata: metadata
+        };
+
+        await setVolumesForViewports(
+            this.renderingEngine,
+            [{ volumeId: this.volumeId }],
+            [this.viewportId]
+        );
+        console.log('Volume set on viewport');
+
+        // The Cornerstone preset is the base look until a preset or the editor replaces it
+        this.viewport.setProperties({ preset: 'CT-Bone' });
+        this.renderState = createRenderState(this.readActorFunctions());
+        this.setupInitialCamera();
+        this.clipping.reset();
+
+        if (this.mprEnabled) {
+            await this.showMprVolume();
+        }
+        this.updateSlicePlanes();
+        this.hideMessage();
+        this.showMessage('3D Volume loaded - Drag to rotate in any direction', 'info');
+        this.showCorrections(metadata.corrections || []);
+        this.updateVolumeInfo(metadata, imageIds.length);
+        console.log('Volume displayed successfully');
+    }
     
     // ... (các hàm khác như setupInitialCamera, displayVolume, v.v. giữ nguyên không đổi) ...
     // --- BẠN KHÔNG CẦN THAY ĐỔI CÁC HÀM BÊN DƯỚI ---
@@ -690,7 +1080,8 @@ setActiveTool(toolName) {
     }
 
     /**
-     * Apply 3D preset with color points and window level
+     * Apply 3D preset with color points and window level. Alpha values of the
+     * color points become the base opacity curve.
      * @param {Object} preset - Preset configuration with colorPoints, windowLevel, and opacity
      */
     apply3DPreset(preset) {
@@ -699,69 +1090,44 @@ setActiveTool(toolName) {
             return;
         }
 
-        try {
-            // 1. Apply window level first
-            if (preset.windowLevel) {
-                this.setWindowLevel(preset.windowLevel.width, preset.windowLevel.center);
-            }
-
-            // 2. Apply RGB color mapping using scalar values
-            if (preset.colorPoints && preset.colorPoints.length > 0) {
-                this.setRGBTransferFunction(preset.colorPoints);
+        const state = this.renderState;
+        if (preset.colorPoints && preset.colorPoints.length > 0) {
+            state.colorPoints = preset.colorPoints.map(point => ({ value: point.value, color: point.color.slice(0, 3) }));
+            if (preset.colorPoints.every(point => point.color.length > 3)) {
+                state.opacityPoints = preset.colorPoints.map(point => ({ value: point.value, opacity: point.color[3] }));
             }
-
-            // Apply global opacity if specified
-            if (preset.opacity !== undefined) {
-                this.setVolumeOpacity(preset.opacity);
-            }
-
-            // Render the changes
-            //this.viewport.render();
-            
-            console.log(`Applied 3D preset: ${preset.name}`);
-            
-        } catch (error) {
-            console.error('Error applying 3D preset:', error);
         }
+        if (preset.windowLevel) {
+            state.windowLevel = { ...preset.windowLevel };
+        }
+        if (preset.opacity !== undefined) {
+            state.opacity = preset.opacity;
+        }
+
+        this.applyRenderState();
+        console.log(`Applied 3D preset: ${preset.name}`);
     }
 
     /**
-     * Apply custom preset using Cornerstone3D's volume properties
-     * @param {Object} preset - Custom preset configuration
+     * Apply custom preset with color points placed by relative position
+     * @param {Object} preset - Custom preset configuration with colorPoints { position (0-1), color (RGBA) }
      */
     applyCustomPreset(preset) {
-        try {
-            // Build transfer function points for Cornerstone3D
-            let transferFunctionPoints = [];
-            
-            if (preset.colorPoints && preset.colorPoints.length > 0) {
-                preset.colorPoints.forEach(point => {
-                    const { position, color } = point;
-                    // Convert position (0-1) to HU values (assuming CT data range)
-                    const huValue = (position - 0.5) * 4000; // -2000 to +2000 HU range
-                    
-                    transferFunctionPoints.push({
-                        value: huValue,
-                        opacity: color[3] || 0.1,
-                        color: [color[0], color[1], color[2]]
-                    });
-                });
-            }
-
-            // Apply the custom transfer function
-            if (transferFunctionPoints.length > 0) {
-                this.viewport.setProperties({
-                    transferFunctionPoints: transferFunctionPoints
-                });
-            }
-
-        } catch (error) {
-            console.error('Error applying custom preset:', error);
-        }
+        if (!preset.colorPoints || preset.colorPoints.length === 0) return;
+
+        // Convert position (0-1) to HU values (assuming CT data range)
+        const points = preset.colorPoints.map(({ position, color }) => ({
+            value: (position - 0.5) * 4000, // -2000 to +2000 HU range
+            color
+        }));
+        this.setBaseTransferFunction({
+            colorPoints: points.map(({ value, color }) => ({ value, color: color.slice(0, 3) })),
+            opacityPoints: points.map(({ value, color }) => ({ value, opacity: color[3] ?? 0.1 }))
+        });
     }
 
     /**
-     * Update volume opacity using Cornerstone3D API
+     * Set the global opacity multiplier
      * @param {number} opacity - Opacity value (0-1)
      */
     setVolumeOpacity(opacity) {
@@ -770,24 +1136,16 @@ setActiveTool(toolName) {
             return;
         }
 
-        try {
-            // Use Cornerstone3D's volume properties API
-            this.viewport.setProperties({
-                globalOpacityMultiplier: opacity
-            });
-            
-            this.viewport.render();
-            console.log('Volume opacity set to:', opacity);
-            
-            // Update opacity display if exists
-            const opacityDisplay = document.getElementById('opacity-value');
-            if (opacityDisplay) {
-                opacityDisplay.textContent = Math.round(opacity * 100) + '%';
-            }
-            
-        } catch (error) {
-            console.error('Error setting volume opacity:', error);
-        }
+        this.renderState.opacity = opacity;
+        this.applyRenderState();
+        console.log('Volume opacity set to:', opacity);
+    }
+
+    /**
+     * @returns {number} Global opacity multiplier (0-1)
+     */
+    getVolumeOpacity() {
+        return this.renderState.opacity;
     }
 
     /**
@@ -818,7 +1176,7 @@ setActiveTool(toolName) {
     }
 
     /**
-     * Set tissue-specific opacities using Cornerstone3D approach
+     * Scale the opacity of tissue value ranges; tissues not listed keep their setting
      * @param {Object} tissueOpacities - Object with tissue types and their opacity values
      */
     setTissueOpacities(tissueOpacities) {
@@ -827,64 +1185,88 @@ setActiveTool(toolName) {
             return;
         }
 
+        Object.entries(tissueOpacities).forEach(([tissue, opacity]) => {
+            if (TISSUE_RANGES[tissue]) {
+                this.renderState.tissueOpacities[tissue] = opacity;
+            }
+        });
+        this.applyRenderState();
+        console.log('Applied tissue-specific opacities:', this.renderState.tissueOpacities);
+    }
+
+    /**
+     * @returns {Object} Opacity of each tissue range, 1 where unchanged
+     */
+    getTissueOpacities() {
+        return Object.fromEntries(Object.keys(TISSUE_RANGES).map(tissue =>
+            [tissue, this.renderState.tissueOpacities[tissue] ?? 1]));
+    }
+
+    /**
+     * Write the functions derived from the render state to the volume actor
+     * and the window to the MPR views
+     */
+    applyRenderState() {
+        if (!this.viewport || !this.currentVolumeData) return;
+
         try {
-            // Define HU ranges for different tissues
-            const tissueRanges = {
-                bone: { min: 200, max: 2000 },
-                softtissue: { min: -100, max: 200 },
-                lung: { min: -1000, max: -100 },
-                vessel: { min: 100, max: 400 }
-            };
-            
-            // Build transfer function points for tissue-specific opacities
-            let transferFunctionPoints = [];
-            
-            Object.entries(tissueOpacities).forEach(([tissue, opacity]) => {
-                const range = tissueRanges[tissue];
-                if (range) {
-                    // Add points at range boundaries
-                    transferFunctionPoints.push({
-                        value: range.min,
-                        opacity: opacity,
-                        color: this.getTissueColor(tissue)
-                    });
-                    transferFunctionPoints.push({
-                        value: range.max,
-                        opacity: opacity,
-                        color: this.getTissueColor(tissue)
-                    });
-                }
-            });
-            
-            // Apply the tissue-specific transfer function
-            if (transferFunctionPoints.length > 0) {
-                this.viewport.setProperties({
-                    transferFunctionPoints: transferFunctionPoints
-                });
-                this.viewport.render();
+            // The base volume is always the first actor
+            this.writeRenderState(this.viewport.getDefaultActor(), this.renderState);
+            this.applyMprWindowLevel();
+            this.viewport.render();
+
+            // Update opacity display if exists
+            const opacityDisplay = document.getElementById('opacity-value');
+            if (opacityDisplay) {
+                opacityDisplay.textContent = Math.round(this.renderState.opacity * 100) + '%';
             }
-            
-            console.log('Applied tissue-specific opacities:', tissueOpacities);
-            
         } catch (error) {
-            console.error('Error setting tissue opacities:', error);
+            console.error('Error applying render state:', error);
         }
     }
 
     /**
-     * Get default color for tissue type
-     * @param {string} tissue - Tissue type
-     * @returns {Array} RGB color array
+     * Set a volume actor's color and scalar opacity functions from a render state
+     * @param {Object} actorEntry - Viewport actor entry of the volume
+     * @param {Object} state - Render state
      */
-    getTissueColor(tissue) {
-        const tissueColors = {
-            bone: [1.0, 0.9, 0.8],
-            softtissue: [0.9, 0.7, 0.6],
-            lung: [0.4, 0.6, 0.8],
-            vessel: [0.8, 0.2, 0.2]
-        };
-        
-        return tissueColors[tissue] || [1.0, 1.0, 1.0];
+    writeRenderState(actorEntry, state) {
+        const property = actorEntry?.actor?.getProperty();
+        if (!property) return;
+
+        if (state.colorPoints.length > 0) {
+            const rgbTransferFunction = property.getRGBTransferFunction(0);
+            rgbTransferFunction.removeAllPoints();
+            state.colorPoints.forEach(({ value, color }) => rgbTransferFunction.addRGBPoint(value, color[0], color[1], color[2]));
+        }
+
+        const scalarOpacity = property.getScalarOpacity(0);
+        scalarOpacity.removeAllPoints();
+        deriveOpacityPoints(state).forEach(({ value, opacity }) => scalarOpacity.addPoint(value, opacity));
+        property.setScalarOpacity(0, scalarOpacity);
+    }
+
+    /**
+     * Read the color and opacity functions currently on the volume actor
+     * @returns {Object} { colorPoints: [{ value, color }], opacityPoints: [{ value, opacity }] }
+     */
+    readActorFunctions() {
+        const property = this.viewport.getDefaultActor().actor.getProperty();
+        const rgbTransferFunction = property.getRGBTransferFunction(0);
+        const scalarOpacity = property.getScalarOpacity(0);
+        const node = [];
+
+        const colorPoints = [];
+        for (let i = 0; i < rgbTransferFunction.getSize(); i++) {
+            rgbTransferFunction.getNodeValue(i, node);
+            colorPoints.push({ value: node[0], color: [node[1], node[2], node[3]] });
+        }
+        const opacityPoints = [];
+        for (let i = 0; i < scalarOpacity.getSize(); i++) {
+            scalarOpacity.getNodeValue(i, node);
+            opacityPoints.push({ value: node[0], opacity: node[1] });
+        }
+        return { colorPoints, opacityPoints };
     }
 
     /**
@@ -922,6 +1304,21 @@ setActiveTool(toolName) {
                 dimensionsElement.textContent = dimensionText;
             }
 
+            // Update voxel spacing
+            const spacingElement = document.getElementById('spacing');
+            if (spacingElement) {
+                const spacing = metadata.volumeSpacing;
+                spacingElement.textContent = spacing
+                    ? `${[spacing.x, spacing.y, spacing.z].map(value => Number(value).toFixed(2)).join(' x ')} mm`
+                    : '-';
+            }
+
+            // Update voxel memory, with the full-resolution size when reduced
+            const memoryElement = document.getElementById('volume-memory');
+            if (memoryElement) {
+                memoryElement.textContent = metadata.memory || '-';
+            }
+
             console.log('Volume information updated');
 
         } catch (error) {
@@ -963,10 +1360,10 @@ setActiveTool(toolName) {
         `;
 
         if (type === 'loading') {
-            messageElement.innerHTML = `
-                <div class="loading-spinner" style="margin: 0 auto 0.5rem; width: 20px; height: 20px;"></div>
-                ${message}
-            `;
+            const spinner = document.createElement('div');
+            spinner.className = 'loading-spinner';
+            spinner.style.cssText = 'margin: 0 auto 0.5rem; width: 20px; height: 20px;';
+            messageElement.append(spinner, document.createTextNode(message));
         } else {
             messageElement.textContent = message;
         }
@@ -995,7 +1392,8 @@ setActiveTool(toolName) {
             patientName: 'Error',
             studyDate: '-',
             modality: '-',
-            dimensions: '-'
+            dimensions: '-',
+            volumeSpacing: null
         }, 0);
     }
 
@@ -1032,6 +1430,8 @@ setActiveTool(toolName) {
             if (this.viewport) {
                 this.viewport.render();
             }
+            this.updateSlicePlanes();
+            this.clipping.drawHandles();
 
             console.log('Volume viewport resized');
         } catch (error) {
@@ -1044,6 +1444,16 @@ setActiveTool(toolName) {
      */
     destroy() {
         try {
+            if (this.mprToolGroup) {
+                try {
+                    ToolGroupManager.destroyToolGroup(this.mprToolGroupId);
+                } catch (e) {
+                    console.log('MPR tool group already destroyed or not found');
+                }
+                this.mprToolGroup = null;
+                this.mprEnabled = false;
+            }
+
             // Destroy tool group
             if (this.toolGroup) {
                 try {
@@ -1057,7 +1467,7 @@ setActiveTool(toolName) {
             // Remove volume from cache
             if (this.volumeId) {
                 try {
-                    cornerstone.cache.removeVolumeLoadObject(this.volumeId);
+                    this.removeCurrentVolume();
                 } catch (e) {
                     console.log('Volume already removed or not found');
                 }
@@ -1122,7 +1532,8 @@ setActiveTool(toolName) {
     }
 
     /**
-     * Set window level (width and center)
+     * Set window level (width and center): an opacity ramp over the window in
+     * 3D and the grey-level window of the MPR views
      * @param {number} width - Window width
      * @param {number} center - Window center
      */
@@ -1132,50 +1543,14 @@ setActiveTool(toolName) {
             return;
         }
 
-        try {
-
-            // Lấy actors từ viewport
-            const actors = this.viewport.getActors();
-            if (actors && actors.length > 0) {
-                const volumeActor = actors[0]; // Lấy volume actor đầu tiên
-                console.log('Volume actor found:', volumeActor);
-                if (volumeActor && volumeActor.actor) {
-                    console.log('Setting window level on volume actor:', volumeActor);
-                    const property = volumeActor.actor.getProperty();
-
-                    // Truy cập ScalarOpacity transfer function theo VTK
-                    const scalarOpacity = property.getScalarOpacity(0);
-                    
-                    // Xóa tất cả các điểm cũ
-                    scalarOpacity.removeAllPoints();
-                    
-                    // Thêm các điểm mới cho window level
-                    const windowMin = center - width / 2;
-                    const windowMax = center + width / 2;
-                    
-                    // Tạo gradient opacity dựa trên window level
-                    scalarOpacity.addPoint(windowMin, 0.0);                // Bắt đầu window
-                    scalarOpacity.addPoint(windowMax, 1.0);                // Kết thúc window
-                    
-                    // Cập nhật lại opacity
-                    property.setScalarOpacity(0, scalarOpacity);
-
-                    this.viewport.render();
-                    
-                    console.log(`Window level: Width=${width}, Center=${center}`);
-                    
-                }
-            }
-            
-            
-        } catch (error) {
-            console.error('Error setting window level:', error);
-        }
+        this.renderState.windowLevel = { width, center };
+        this.applyRenderState();
+        console.log(`Window level: Width=${width}, Center=${center}`);
     }
 
-     /**
-     * Set RGB transfer function (color mapping)
-     * @param {Array} colorPoints - Array of {value, r, g, b} points
+    /**
+     * Set the base color map (RGB transfer function)
+     * @param {Array} colorPoints - Array of { value, color: [r, g, b] } points
      */
     setRGBTransferFunction(colorPoints) {
         if (!this.viewport || !this.currentVolumeData) {
@@ -1183,63 +1558,230 @@ setActiveTool(toolName) {
             return;
         }
 
-        try {
-            const actors = this.viewport.getActors();
-            if (actors && actors.length > 0) {
-                const volumeActor = actors[0];
-                
-                if (volumeActor && volumeActor.actor) {
-                    const property = volumeActor.actor.getProperty();
-
-                    if (property && property.getRGBTransferFunction) {
-                        const rgbTransferFunction = property.getRGBTransferFunction(0);
-                        
-                        // Xóa tất cả các điểm cũ
-                        rgbTransferFunction.removeAllPoints();
-                        
-                        // Thêm các điểm màu mới với scalar values
-                        colorPoints.forEach(point => {
-                            rgbTransferFunction.addRGBPoint(
-                                point.value,        // Scalar value (HU)
-                                point.color[0],     // Red
-                                point.color[1],     // Green
-                                point.color[2]      // Blue
-                            );
-                        });
-                        
-                        this.viewport.render();
-                        console.log('RGB transfer function applied:', colorPoints);
-                    }
-                }
-            }
-        } catch (error) {
-            console.error('Error setting RGB transfer function:', error);
+        this.renderState.colorPoints = colorPoints.map(({ value, color }) => ({ value, color: color.slice(0, 3) }));
+        this.applyRenderState();
+    }
+
+    /**
+     * Set the base opacity curve; window, tissue and global opacity still apply on top
+     * @param {Array} opacityPoints - Array of { value, opacity } points
+     */
+    setScalarOpacityFunction(opacityPoints) {
+        if (!this.viewport || !this.currentVolumeData) {
+            console.warn('No volume available for opacity adjustment');
+            return;
         }
+
+        this.renderState.opacityPoints = opacityPoints.map(({ value, opacity }) => ({ value, opacity }));
+        this.applyRenderState();
     }
 
+    /**
+     * Set the base color map and opacity curve together
+     * @param {Object} functions - { colorPoints, opacityPoints }
+     */
+    setBaseTransferFunction({ colorPoints, opacityPoints }) {
+        if (!this.viewport || !this.currentVolumeData) {
+            console.warn('No volume available for transfer function change');
+            return;
+        }
+
+        this.renderState.colorPoints = colorPoints.map(({ value, color }) => ({ value, color: color.slice(0, 3) }));
+        this.renderState.opacityPoints = opacityPoints.map(({ value, opacity }) => ({ value, opacity }));
+        this.applyRenderState();
+    }
 
     /**
-     * Get current window level settings
-     * @returns {Object} Current window level {width, center}
+     * Base transfer function of the render state, plus the opacity curve
+     * actually applied once window, tissue and global opacity are included
+     * @returns {Object|null} { colorPoints, opacityPoints, appliedOpacityPoints }
      */
-    getWindowLevel() {
+    getTransferFunction() {
+        if (!this.currentVolumeData) return null;
+
+        const { colorPoints, opacityPoints } = this.renderState;
+        return {
+            colorPoints: colorPoints.map(point => ({ ...point, color: [...point.color] })),
+            opacityPoints: opacityPoints.map(point => ({ ...point })),
+            appliedOpacityPoints: deriveOpacityPoints(this.renderState)
+        };
+    }
+
+    /**
+     * Render a second volume in the 3D viewport with the displayed one.
+     * The caller checks that both share a frame of reference.
+     * @param {Object} source - { imageIds } to stream, or { volumeOptions } of a local volume
+     * @param {Object} metadata - Volume metadata of the fused series
+     * @param {Object} options - { colormap, windowLevel, opacity, blend } of the fused volume
+     */
+    async displayFusionVolume(source, metadata, { colormap = 'hot', windowLevel, opacity = 1, blend = 0.5 }) {
         if (!this.viewport || !this.currentVolumeData) {
-            return { width: 400, center: 50 };
+            throw new Error('Load a volume before fusing a second one');
         }
 
-        try {
-            const properties = this.viewport.getProperties();
-            if (properties.voiRange) {
-                const { lower, upper } = properties.voiRange;
-                const width = upper - lower;
-                const center = lower + width / 2;
-                return { width, center };
-            }
-        } catch (error) {
-            console.error('Error getting window level:', error);
+        this.removeFusionVolume();
+
+        if (source.volumeOptions) {
+            volumeLoader.createLocalVolume(this.fusionVolumeId, source.volumeOptions);
+        } else {
+            const volume = await volumeLoader.createAndCacheVolume(this.fusionVolumeId, { imageIds: source.imageIds });
+            volume.load();
+        }
+
+        await this.viewport.addVolumes([{ volumeId: this.fusionVolumeId, actorUID: this.fusionVolumeId, visibility: true }]);
+
+        const renderState = createRenderState();
+        renderState.opacity = opacity;
+        this.fusion = { metadata, colormap, blend, renderState };
+        this.setFusionWindowLevel(windowLevel.width, windowLevel.center);
+        this.clipping.update();
+        console.log(`Fused ${metadata.modality} volume`);
+    }
+
+    /**
+     * Drop the fused volume and show the base volume alone again
+     */
+    removeFusionVolume() {
+        if (!this.fusion) return;
+        this.fusion = null;
+
+        const volume = cornerstone.cache.getVolume(this.fusionVolumeId);
+        if (volume) {
+            const imageIds = new Set(volume.imageIds);
+            cornerstone.imageLoadPoolManager.filterRequests(({ additionalDetails }) => !imageIds.has(additionalDetails?.imageId));
+            cornerstone.cache.removeVolumeLoadObject(this.fusionVolumeId);
         }
+        this.viewport?.removeVolumeActors([this.fusionVolumeId]);
+
+        this.renderState.blendWeight = 1;
+        this.applyRenderState();
+        console.log('Fusion removed');
+    }
+
+    /**
+     * Write both volumes' functions with the blend weights applied
+     */
+    applyFusion() {
+        if (!this.fusion) return;
+
+        const [baseWeight, fusionWeight] = getBlendWeights(this.fusion.blend);
+        this.renderState.blendWeight = baseWeight;
+        this.fusion.renderState.blendWeight = fusionWeight;
+        this.writeRenderState(this.viewport.getActor(this.fusionVolumeId), this.fusion.renderState);
+        this.applyRenderState();
+    }
 
-        return { width: 400, center: 50 };
+    /**
+     * @param {string} colormap - Key of FUSION_COLORMAPS
+     */
+    setFusionColormap(colormap) {
+        if (!this.fusion) return;
+
+        const { renderState } = this.fusion;
+        this.fusion.colormap = colormap;
+        renderState.colorPoints = getColormapPoints(colormap, renderState.windowLevel);
+        this.applyFusion();
+    }
+
+    /**
+     * Window of the fused volume: its opacity ramp and the range its colormap spans
+     * @param {number} width - Window width in the fused volume's values
+     * @param {number} center - Window center in the fused volume's values
+     */
+    setFusionWindowLevel(width, center) {
+        if (!this.fusion) return;
+
+        const { renderState } = this.fusion;
+        renderState.windowLevel = { width, center };
+        renderState.colorPoints = getColormapPoints(this.fusion.colormap, renderState.windowLevel);
+        this.applyFusion();
+    }
+
+    /**
+     * @param {number} opacity - Global opacity of the fused volume (0-1)
+     */
+    setFusionOpacity(opacity) {
+        if (!this.fusion) return;
+
+        this.fusion.renderState.opacity = opacity;
+        this.applyFusion();
+    }
+
+    /**
+     * @param {number} blend - 0 shows only the base volume, 1 only the fused one
+     */
+    setFusionBlend(blend) {
+        if (!this.fusion) return;
+
+        this.fusion.blend = blend;
+        this.applyFusion();
+    }
+
+    /**
+     * @returns {Object|null} { modality, colormap, windowLevel, opacity, blend } of the fused volume
+     */
+    getFusionState() {
+        if (!this.fusion) return null;
+
+        const { metadata, colormap, blend, renderState } = this.fusion;
+        return {
+            modality: metadata.modality,
+            colormap,
+            windowLevel: { ...renderState.windowLevel },
+            opacity: renderState.opacity,
+            blend
+        };
+    }
+
+    /**
+     * @returns {Object|null} { width, height, depth } of the displayed base volume in voxels
+     */
+    getVolumeSize() {
+        const dimensions = cornerstone.cache.getVolume(this.volumeId)?.dimensions;
+        return dimensions ? { width: dimensions[0], height: dimensions[1], depth: dimensions[2] } : null;
+    }
+
+    /**
+     * Histogram of the displayed volume's values, sampled on large volumes
+     * @param {number} binCount - Number of bins between the smallest and largest value
+     * @returns {Object|null} { min, max, counts }
+     */
+    getHistogram(binCount = 256) {
+        const volume = cornerstone.cache.getVolume(this.volumeId);
+        const voxelManager = volume?.voxelManager;
+        if (!voxelManager) return null;
+
+        const total = voxelManager.getScalarDataLength();
+        const step = Math.max(1, Math.ceil(total / HISTOGRAM_SAMPLES));
+        const samples = new Float32Array(Math.ceil(total / step));
+        let count = 0;
+        let min = Infinity;
+        let max = -Infinity;
+        for (let index = 0; index < total; index += step) {
+            const value = voxelManager.getAtIndex(index);
+            // Slices that failed to load have no voxels
+            if (value === null || value === undefined) continue;
+            samples[count++] = value;
+            if (value < min) min = value;
+            if (value > max) max = value;
+        }
+        if (count === 0) return null;
+
+        const counts = new Array(binCount).fill(0);
+        const scale = max > min ? binCount / (max - min) : 0;
+        for (let i = 0; i < count; i++) {
+            counts[Math.min(Math.floor((samples[i] - min) * scale), binCount - 1)]++;
+        }
+        return { min, max, counts };
+    }
+
+    /**
+     * Get current window level settings
+     * @returns {Object|null} Current window level {width, center}, or null while no window is applied
+     */
+    getWindowLevel() {
+        const { windowLevel } = this.renderState;
+        return windowLevel ? { ...windowLevel } : null;
     }
 
     /**
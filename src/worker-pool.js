@@ -0,0 +1,127 @@
+/**
+ * Worker Pool Module
+ * Runs tasks on a bounded set of Web Workers. Each worker handles one task
+ * at a time and answers a message with { id, result } or { id, error }.
+ */
+
+class WorkerPool {
+    /**
+     * @param {Function} createWorker - Returns a new Worker
+     * @param {number} size - Maximum number of workers
+     */
+    constructor(createWorker, size) {
+        this.createWorker = createWorker;
+        this.size = Math.max(1, size);
+        this.idle = [];
+        this.running = new Map();
+        this.queue = [];
+        this.nextId = 1;
+    }
+
+    /**
+     * Queue a task
+     * @param {Object} message - Posted to the worker together with a task id
+     * @param {Object} options - { transfer, signal } where aborting the signal drops or stops the task
+     * @returns {Promise<*>} The worker's result
+     */
+    run(message, { transfer = [], signal } = {}) {
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                reject(createAbortError());
+                return;
+            }
+
+            const task = { id: this.nextId++, message, transfer, signal, resolve, reject };
+            task.onAbort = () => this.cancel(task);
+            signal?.addEventListener('abort', task.onAbort, { once: true });
+
+            this.queue.push(task);
+            this.dispatch();
+        });
+    }
+
+    dispatch() {
+        while (this.queue.length > 0) {
+            if (this.queue[0].signal?.aborted) {
+                // Aborted together with a running task whose cancel triggered this dispatch
+                const aborted = this.queue.shift();
+                aborted.signal.removeEventListener('abort', aborted.onAbort);
+                aborted.reject(createAbortError());
+                continue;
+            }
+
+            let worker = this.idle.pop();
+            if (!worker && this.running.size < this.size) {
+                worker = this.spawn();
+            }
+            if (!worker) return;
+
+            const task = this.queue.shift();
+            this.running.set(worker, task);
+            worker.postMessage({ id: task.id, ...task.message }, task.transfer);
+        }
+    }
+
+    spawn() {
+        const worker = this.createWorker();
+        worker.onmessage = (event) => this.finish(worker, event.data);
+        worker.onerror = (event) => {
+            event.preventDefault();
+            this.finish(worker, { error: event.message || 'Worker failed' });
+        };
+        return worker;
+    }
+
+    finish(worker, { result, error }) {
+        const task = this.running.get(worker);
+        this.running.delete(worker);
+        this.idle.push(worker);
+
+        if (task) {
+            task.signal?.removeEventListener('abort', task.onAbort);
+            if (error) {
+                task.reject(new Error(error));
+            } else {
+                task.resolve(result);
+            }
+        }
+
+        this.dispatch();
+    }
+
+    cancel(task) {
+        const queued = this.queue.indexOf(task);
+        if (queued >= 0) {
+            this.queue.splice(queued, 1);
+        } else {
+            // Stop a running task's worker so it does not keep a core busy
+            const worker = [...this.running].find(([, running]) => running === task)?.[0];
+            if (!worker) return;
+            worker.terminate();
+            this.running.delete(worker);
+        }
+
+        task.reject(createAbortError());
+        this.dispatch();
+    }
+
+    /**
+     * Stop all workers and reject pending tasks
+     */
+    terminate() {
+        [...this.queue, ...this.running.values()].forEach(task => task.reject(createAbortError()));
+        [...this.idle, ...this.running.keys()].forEach(worker => worker.terminate());
+        this.queue = [];
+        this.idle = [];
+        this.running.clear();
+    }
+}
+
+/**
+ * @returns {DOMException} Error named AbortError, as thrown by fetch on abort
+ */
+export function createAbortError() {
+    return new DOMException('Cancelled', 'AbortError');
+}
+
+export default WorkerPool;
@@ -0,0 +1,238 @@
+/**
+ * ZIP Reader Module
+ * Streams entries out of ZIP archives in the browser using File.slice and
+ * the native DecompressionStream, without reading the whole archive into memory
+ */
+
+const EOCD_SIGNATURE = 0x06054b50;
+const ZIP64_EOCD_LOCATOR_SIGNATURE = 0x07064b50;
+const ZIP64_EOCD_SIGNATURE = 0x06064b50;
+const CENTRAL_DIRECTORY_SIGNATURE = 0x02014b50;
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+
+// EOCD record (22 bytes) plus the largest possible archive comment
+const MAX_EOCD_SEARCH = 22 + 0xffff;
+
+/**
+ * @param {string} reason - Reason code reported with the entry
+ * @param {string} message - Human readable message
+ * @returns {Error} Error with a reason property
+ */
+function createEntryError(reason, message) {
+    const error = new Error(message);
+    error.reason = reason;
+    return error;
+}
+
+class ZipReader {
+    /**
+     * Check if a file is a ZIP archive
+     * @param {File} file - File to check
+     * @returns {boolean} True for .zip files
+     */
+    isZipFile(file) {
+        return file.name.toLowerCase().endsWith('.zip') ||
+            file.type === 'application/zip' ||
+            file.type === 'application/x-zip-compressed';
+    }
+
+    /**
+     * Extract all file entries from an archive
+     * @param {File} archive - ZIP file
+     * @param {Function} onProgress - Called with { entriesDone, entriesTotal, bytesDone, bytesTotal }
+     * @returns {Promise<Object>} { files, failed } - extracted files with a relativePath property,
+     *     and { file, error, reason } for entries that could not be extracted
+     */
+    async extract(archive, onProgress) {
+        const entries = (await this.readCentralDirectory(archive))
+            .filter(entry => !entry.isDirectory && !this.isIgnoredEntry(entry.name));
+
+        const bytesTotal = entries.reduce((total, entry) => total + entry.compressedSize, 0);
+        const archiveName = archive.name.replace(/\.zip$/i, '');
+        const basePath = archive.relativePath && archive.relativePath.includes('/')
+            ? archive.relativePath.slice(0, archive.relativePath.lastIndexOf('/') + 1)
+            : '';
+
+        const files = [];
+        const failed = [];
+        let bytesDone = 0;
+
+        for (let index = 0; index < entries.length; index++) {
+            const entry = entries[index];
+            try {
+                const blob = await this.readEntry(archive, entry);
+                const fileName = entry.name.slice(entry.name.lastIndexOf('/') + 1);
+                const file = new File([blob], fileName);
+                file.relativePath = `${basePath}${archiveName}/${entry.name}`;
+                files.push(file);
+            } catch (error) {
+                console.warn(`Could not extract ${entry.name} from ${archive.name}:`, error);
+                failed.push({
+                    file: `${archiveName}/${entry.name}`,
+                    error: `Could not extract from ${archive.name}: ${error.message}`,
+                    reason: error.reason || 'archive-error'
+                });
+            }
+
+            bytesDone += entry.compressedSize;
+            onProgress?.({
+                entriesDone: index + 1,
+                entriesTotal: entries.length,
+                bytesDone,
+                bytesTotal
+            });
+        }
+
+        return { files, failed };
+    }
+
+    /**
+     * Read the central directory listing of an archive
+     * @param {File} archive - ZIP file
+     * @returns {Promise<Array<Object>>} Entry descriptors
+     */
+    async readCentralDirectory(archive) {
+        const tailStart = Math.max(0, archive.size - MAX_EOCD_SEARCH);
+        const tail = await this.readBytes(archive, tailStart, archive.size);
+
+        let eocd = -1;
+        for (let i = tail.byteLength - 22; i >= 0; i--) {
+            if (tail.getUint32(i, true) === EOCD_SIGNATURE) {
+                eocd = i;
+                break;
+            }
+        }
+
+        if (eocd < 0) {
+            throw new Error(`${archive.name} is not a valid ZIP archive`);
+        }
+
+        let entryCount = tail.getUint16(eocd + 10, true);
+        let directorySize = tail.getUint32(eocd + 12, true);
+        let directoryOffset = tail.getUint32(eocd + 16, true);
+
+        // ZIP64 archives (over 4 GB or 65535 entries) keep the real values in a separate record
+        const locator = eocd - 20;
+        if (locator >= 0 && tail.getUint32(locator, true) === ZIP64_EOCD_LOCATOR_SIGNATURE) {
+            const zip64Offset = this.getUint64(tail, locator + 8);
+            const zip64 = await this.readBytes(archive, zip64Offset, zip64Offset + 56);
+            if (zip64.getUint32(0, true) === ZIP64_EOCD_SIGNATURE) {
+                entryCount = this.getUint64(zip64, 32);
+                directorySize = this.getUint64(zip64, 40);
+                directoryOffset = this.getUint64(zip64, 48);
+            }
+        }
+
+        const directory = await this.readBytes(archive, directoryOffset, directoryOffset + directorySize);
+        const decoder = new TextDecoder();
+        const entries = [];
+
+        let offset = 0;
+        for (let i = 0; i < entryCount; i++) {
+            if (directory.getUint32(offset, true) !== CENTRAL_DIRECTORY_SIGNATURE) {
+                throw new Error(`Corrupt central directory in ${archive.name}`);
+            }
+
+            const flags = directory.getUint16(offset + 8, true);
+            const nameLength = directory.getUint16(offset + 28, true);
+            const extraLength = directory.getUint16(offset + 30, true);
+            const commentLength = directory.getUint16(offset + 32, true);
+            const nameBytes = new Uint8Array(directory.buffer, directory.byteOffset + offset + 46, nameLength);
+
+            const entry = {
+                name: decoder.decode(nameBytes),
+                method: directory.getUint16(offset + 10, true),
+                encrypted: (flags & 0x1) !== 0,
+                compressedSize: directory.getUint32(offset + 20, true),
+                uncompressedSize: directory.getUint32(offset + 24, true),
+                localHeaderOffset: directory.getUint32(offset + 42, true)
+            };
+            entry.isDirectory = entry.name.endsWith('/');
+
+            this.applyZip64Extra(entry, directory, offset + 46 + nameLength, extraLength);
+            entries.push(entry);
+
+            offset += 46 + nameLength + extraLength + commentLength;
+        }
+
+        return entries;
+    }
+
+    /**
+     * Replace 0xFFFFFFFF placeholders with values from the ZIP64 extra field
+     */
+    applyZip64Extra(entry, view, start, length) {
+        let offset = start;
+        while (offset + 4 <= start + length) {
+            const headerId = view.getUint16(offset, true);
+            const size = view.getUint16(offset + 2, true);
+
+            if (headerId === 0x0001) {
+                let field = offset + 4;
+                ['uncompressedSize', 'compressedSize', 'localHeaderOffset'].forEach(key => {
+                    if (entry[key] === 0xffffffff && field + 8 <= offset + 4 + size) {
+                        entry[key] = this.getUint64(view, field);
+                        field += 8;
+                    }
+                });
+                return;
+            }
+
+            offset += 4 + size;
+        }
+    }
+
+    /**
+     * Decompress a single entry
+     * @param {File} archive - ZIP file
+     * @param {Object} entry - Entry descriptor from readCentralDirectory
+     * @returns {Promise<Blob>} Uncompressed entry contents
+     */
+    async readEntry(archive, entry) {
+        if (entry.encrypted) {
+            throw createEntryError('encrypted-entry', 'Encrypted entries are not supported');
+        }
+
+        const header = await this.readBytes(archive, entry.localHeaderOffset, entry.localHeaderOffset + 30);
+        if (header.getUint32(0, true) !== LOCAL_HEADER_SIGNATURE) {
+            throw new Error('Invalid local file header');
+        }
+
+        // The local header may carry a different extra field length than the central directory
+        const dataStart = entry.localHeaderOffset + 30 +
+            header.getUint16(26, true) + header.getUint16(28, true);
+        const compressed = archive.slice(dataStart, dataStart + entry.compressedSize);
+
+        if (entry.method === 0) {
+            return compressed;
+        }
+
+        if (entry.method === 8) {
+            const stream = compressed.stream().pipeThrough(new DecompressionStream('deflate-raw'));
+            return new Response(stream).blob();
+        }
+
+        throw createEntryError('unsupported-compression', `Unsupported compression method ${entry.method}`);
+    }
+
+    /**
+     * Skip folders and metadata that archivers add next to the real files
+     * @param {string} name - Entry path
+     * @returns {boolean} True if the entry should be ignored
+     */
+    isIgnoredEntry(name) {
+        const baseName = name.slice(name.lastIndexOf('/') + 1);
+        return name.startsWith('__MACOSX/') || baseName.startsWith('.') || baseName === 'Thumbs.db';
+    }
+
+    async readBytes(file, start, end) {
+        const buffer = await file.slice(start, end).arrayBuffer();
+        return new DataView(buffer);
+    }
+
+    getUint64(view, offset) {
+        return view.getUint32(offset, true) + view.getUint32(offset + 4, true) * 0x100000000;
+    }
+}
+
+export default ZipReader;
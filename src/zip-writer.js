@@ -0,0 +1,144 @@
+/**
+ * ZIP Writer Module
+ * Builds ZIP archives in memory, deflating entries with the native
+ * CompressionStream when that makes them smaller
+ */
+
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const CENTRAL_DIRECTORY_SIGNATURE = 0x02014b50;
+const EOCD_SIGNATURE = 0x06054b50;
+
+// Bit 11: file names are UTF-8
+const UTF8_FLAG = 0x0800;
+const MAX_ZIP32 = 0xffffffff;
+
+let crcTable = null;
+
+class ZipWriter {
+    constructor() {
+        this.parts = [];
+        this.entries = [];
+        this.offset = 0;
+    }
+
+    /**
+     * Add a file to the archive
+     * @param {string} name - Path inside the archive, '/' separated
+     * @param {Uint8Array} data - File contents
+     */
+    async addFile(name, data) {
+        const nameBytes = new TextEncoder().encode(name);
+        const crc = this.crc32(data);
+
+        let method = 0;
+        let stored = data;
+        const compressed = await this.deflate(data);
+        if (compressed && compressed.length < data.length) {
+            method = 8;
+            stored = compressed;
+        }
+
+        if (this.offset + 30 + nameBytes.length + stored.length > MAX_ZIP32 || this.entries.length >= 0xffff) {
+            throw new Error('Archive would exceed 4 GB or 65535 files; export fewer series');
+        }
+
+        const { time, date } = this.getDosDateTime(new Date());
+        const header = new DataView(new ArrayBuffer(30));
+        header.setUint32(0, LOCAL_HEADER_SIGNATURE, true);
+        header.setUint16(4, 20, true);
+        header.setUint16(6, UTF8_FLAG, true);
+        header.setUint16(8, method, true);
+        header.setUint16(10, time, true);
+        header.setUint16(12, date, true);
+        header.setUint32(14, crc, true);
+        header.setUint32(18, stored.length, true);
+        header.setUint32(22, data.length, true);
+        header.setUint16(26, nameBytes.length, true);
+        header.setUint16(28, 0, true);
+
+        this.entries.push({
+            nameBytes,
+            method,
+            time,
+            date,
+            crc,
+            compressedSize: stored.length,
+            uncompressedSize: data.length,
+            localHeaderOffset: this.offset
+        });
+
+        this.parts.push(new Uint8Array(header.buffer), nameBytes, stored);
+        this.offset += 30 + nameBytes.length + stored.length;
+    }
+
+    /**
+     * Finish the archive
+     * @returns {Blob} ZIP file
+     */
+    toBlob() {
+        const directoryOffset = this.offset;
+        const directory = this.entries.map(entry => {
+            const record = new DataView(new ArrayBuffer(46));
+            record.setUint32(0, CENTRAL_DIRECTORY_SIGNATURE, true);
+            record.setUint16(4, 20, true);
+            record.setUint16(6, 20, true);
+            record.setUint16(8, UTF8_FLAG, true);
+            record.setUint16(10, entry.method, true);
+            record.setUint16(12, entry.time, true);
+            record.setUint16(14, entry.date, true);
+            record.setUint32(16, entry.crc, true);
+            record.setUint32(20, entry.compressedSize, true);
+            record.setUint32(24, entry.uncompressedSize, true);
+            record.setUint16(28, entry.nameBytes.length, true);
+            record.setUint32(42, entry.localHeaderOffset, true);
+            return [new Uint8Array(record.buffer), entry.nameBytes];
+        }).flat();
+        const directorySize = directory.reduce((total, part) => total + part.length, 0);
+
+        const eocd = new DataView(new ArrayBuffer(22));
+        eocd.setUint32(0, EOCD_SIGNATURE, true);
+        eocd.setUint16(8, this.entries.length, true);
+        eocd.setUint16(10, this.entries.length, true);
+        eocd.setUint32(12, directorySize, true);
+        eocd.setUint32(16, directoryOffset, true);
+
+        return new Blob([...this.parts, ...directory, new Uint8Array(eocd.buffer)], { type: 'application/zip' });
+    }
+
+    /**
+     * @returns {Promise<Uint8Array|null>} Raw deflate data, or null without CompressionStream
+     */
+    async deflate(data) {
+        if (typeof CompressionStream === 'undefined') return null;
+        const stream = new Blob([data]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    crc32(data) {
+        if (!crcTable) {
+            crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                }
+                crcTable[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xffffffff;
+        for (let i = 0; i < data.length; i++) {
+            crc = crcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+
+    getDosDateTime(now) {
+        return {
+            time: (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2),
+            date: ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate()
+        };
+    }
+}
+
+export default ZipWriter;
@@ -15,7 +15,15 @@ module.exports = {
     open: true,
     historyApiFallback: true,
     client: false,
-    webSocketServer: false
+    webSocketServer: false,
+    // Forward DICOMweb requests to a local server (Orthanc or scripts/dicomweb-mock-server.js)
+    // so the browser does not need CORS to reach it
+    proxy: {
+      '/dicom-web': {
+        target: process.env.DICOMWEB_TARGET || 'http://localhost:8042',
+        changeOrigin: true
+      }
+    }
   },
   
   plugins: [